@@ -0,0 +1,286 @@
+/**
+ * AUTH.JS
+ *
+ * - Users live in a JSON store file with scrypt-hashed passwords.
+ * - Browsers log in once and get an HttpOnly session cookie.
+ * - Scripts send "Authorization: Bearer <token>" (or Basic with the user
+ *   name and the token as password). Only the SHA-256 of each token is
+ *   stored, so the file never holds usable secrets.
+ * - Authentication is switched on as soon as the store has a user,
+ *   unless config.auth.enabled says otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config, resolveConfigPath } = require('./config');
+
+const authConfig = config.auth || {};
+const usersFile = resolveConfigPath(authConfig.usersFile || 'users.json');
+const sessionTtl = (authConfig.sessionTtlHours || 24) * 60 * 60 * 1000;
+const SESSION_COOKIE = 'sid';
+
+// scrypt cost parameters (N, r, p) and output length
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLen: 64 };
+// Checked against when the username is unknown, so timing doesn't leak names
+const DUMMY_HASH = 'scrypt$16384$8$1$' + Buffer.alloc(16).toString('base64') + '$' + Buffer.alloc(64).toString('base64');
+
+// Keep an in-memory map of browser sessions
+const sessions = new Map();
+// Failed logins per client, to slow down password guessing
+const loginFailures = new Map();
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW = 15 * 60 * 1000;
+
+let store = { users: {}, tokens: [] };
+let storeMtime = 0;
+
+// Re-read the store whenever the file changes on disk
+function loadStore() {
+  try {
+    const mtime = fs.statSync(usersFile).mtimeMs;
+    if (mtime !== storeMtime) {
+      const data = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+      store = { users: data.users || {}, tokens: data.tokens || [] };
+      storeMtime = mtime;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Failed to read user store ${usersFile}:`, err.message);
+    }
+    store = { users: {}, tokens: [] };
+    storeMtime = 0;
+  }
+  return store;
+}
+
+function saveStore(next) {
+  fs.mkdirSync(path.dirname(usersFile), { recursive: true });
+  const tmp = usersFile + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(next, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, usersFile);
+  store = next;
+  storeMtime = fs.statSync(usersFile).mtimeMs;
+}
+
+function isAuthEnabled() {
+  if (typeof authConfig.enabled === 'boolean') return authConfig.enabled;
+  return Object.keys(loadStore().users).length > 0;
+}
+
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p, keyLen } = SCRYPT;
+    crypto.scrypt(password, salt, keyLen, { N, r, p }, (err, key) => {
+      if (err) return reject(err);
+      resolve(['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$'));
+    });
+  });
+}
+
+function verifyPassword(password, encoded) {
+  return new Promise(resolve => {
+    const parts = String(encoded || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return resolve(false);
+    const [, N, r, p, saltB64, hashB64] = parts;
+    const expected = Buffer.from(hashB64, 'base64');
+    crypto.scrypt(password, Buffer.from(saltB64, 'base64'), expected.length,
+      { N: Number(N), r: Number(r), p: Number(p) }, (err, key) => {
+        if (err) return resolve(false);
+        resolve(crypto.timingSafeEqual(key, expected));
+      });
+  });
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper: the public view of a user record
+function publicUser(username, record) {
+  return { username, admin: !!record.admin };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const key = part.slice(0, idx).trim();
+    if (!key) continue;
+    try {
+      cookies[key] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      // A value that isn't valid percent-encoding can't be one of ours
+    }
+  }
+  return cookies;
+}
+
+// Identify the caller from a session cookie or a bearer token (null if neither)
+function authenticate(req) {
+  const { users, tokens } = loadStore();
+
+  const authHeader = req.headers['authorization'] || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(authHeader);
+  const basic = /^Basic\s+(.+)$/i.exec(authHeader);
+  if (bearer || basic) {
+    // WebDAV clients only speak Basic: the user name plus an API token as password
+    let secret = bearer ? bearer[1].trim() : '';
+    let username = null;
+    if (basic) {
+      const decoded = Buffer.from(basic[1].trim(), 'base64').toString('utf8');
+      const idx = decoded.indexOf(':');
+      username = idx < 0 ? decoded : decoded.slice(0, idx);
+      secret = idx < 0 ? '' : decoded.slice(idx + 1);
+    }
+    const hash = hashToken(secret);
+    const token = tokens.find(t => t.hash === hash && (username === null || t.user === username));
+    if (token && users[token.user]) {
+      return { ...publicUser(token.user, users[token.user]), via: 'token', tokenId: token.id };
+    }
+    return null;
+  }
+
+  const sid = parseCookies(req.headers['cookie'])[SESSION_COOKIE];
+  const session = sid && sessions.get(sid);
+  if (session && session.expires > Date.now() && users[session.username]) {
+    session.expires = Date.now() + sessionTtl;
+    return { ...publicUser(session.username, users[session.username]), via: 'session', sessionId: sid };
+  }
+  return null;
+}
+
+function sessionCookie(value, maxAgeSec) {
+  const attrs = [`${SESSION_COOKIE}=${value}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAgeSec}`];
+  if (authConfig.secureCookies) attrs.push('Secure');
+  return attrs.join('; ');
+}
+
+/**
+ * Check a username/password pair and open a session.
+ * Resolves { user, cookie } on success, { error, status } otherwise.
+ */
+async function login(username, password, clientKey) {
+  const now = Date.now();
+  const failures = (loginFailures.get(clientKey) || []).filter(t => now - t < FAILURE_WINDOW);
+  if (failures.length >= MAX_FAILURES) {
+    return { status: 429, error: 'Too many failed logins, try again later' };
+  }
+
+  const record = loadStore().users[username];
+  const ok = await verifyPassword(String(password || ''), record ? record.password : DUMMY_HASH);
+  if (!record || !ok) {
+    failures.push(now);
+    loginFailures.set(clientKey, failures);
+    return { status: 401, error: 'Invalid username or password' };
+  }
+
+  loginFailures.delete(clientKey);
+  const sid = crypto.randomBytes(32).toString('base64url');
+  sessions.set(sid, { username, createdAt: now, expires: now + sessionTtl });
+  return {
+    user: publicUser(username, record),
+    cookie: sessionCookie(sid, Math.floor(sessionTtl / 1000))
+  };
+}
+
+function logout(user) {
+  if (user && user.sessionId) {
+    sessions.delete(user.sessionId);
+  }
+  return sessionCookie('', 0);
+}
+
+function purgeExpiredSessions() {
+  const now = Date.now();
+  for (const [sid, session] of sessions) {
+    if (session.expires <= now) sessions.delete(sid);
+  }
+  for (const [key, failures] of loginFailures) {
+    if (failures.every(t => now - t >= FAILURE_WINDOW)) loginFailures.delete(key);
+  }
+}
+
+// -------------------------------------------
+// User and token management (CLI and API)
+// -------------------------------------------
+
+async function setUser(username, password, { admin = false } = {}) {
+  if (!/^[A-Za-z0-9._@-]{1,64}$/.test(username)) {
+    throw new Error('Usernames may only contain letters, digits and . _ @ -');
+  }
+  const current = loadStore();
+  const existing = current.users[username] || { createdAt: new Date().toISOString() };
+  const users = {
+    ...current.users,
+    [username]: { ...existing, password: await hashPassword(password), admin }
+  };
+  saveStore({ ...current, users });
+}
+
+function removeUser(username) {
+  const current = loadStore();
+  if (!current.users[username]) return false;
+  const users = { ...current.users };
+  delete users[username];
+  const tokens = current.tokens.filter(t => t.user !== username);
+  saveStore({ users, tokens });
+  for (const [sid, session] of sessions) {
+    if (session.username === username) sessions.delete(sid);
+  }
+  return true;
+}
+
+function listUsers() {
+  const { users } = loadStore();
+  return Object.entries(users).map(([name, rec]) => ({ ...publicUser(name, rec), createdAt: rec.createdAt }));
+}
+
+// Returns the plain token once; only its hash is kept
+function createToken(username, label = '') {
+  const current = loadStore();
+  if (!current.users[username]) throw new Error(`No such user: ${username}`);
+  const token = 'fus_' + crypto.randomBytes(32).toString('base64url');
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    user: username,
+    label: String(label).slice(0, 100),
+    hash: hashToken(token),
+    createdAt: new Date().toISOString()
+  };
+  saveStore({ ...current, tokens: [...current.tokens, entry] });
+  return { id: entry.id, label: entry.label, createdAt: entry.createdAt, token };
+}
+
+function listTokens(username) {
+  return loadStore().tokens
+    .filter(t => !username || t.user === username)
+    .map(({ id, user, label, createdAt }) => ({ id, user, label, createdAt }));
+}
+
+function revokeToken(id, username) {
+  const current = loadStore();
+  const token = current.tokens.find(t => t.id === id && (!username || t.user === username));
+  if (!token) return false;
+  saveStore({ ...current, tokens: current.tokens.filter(t => t !== token) });
+  return true;
+}
+
+module.exports = {
+  usersFile,
+  hashPassword,
+  verifyPassword,
+  isAuthEnabled,
+  authenticate,
+  login,
+  logout,
+  purgeExpiredSessions,
+  setUser,
+  removeUser,
+  listUsers,
+  createToken,
+  listTokens,
+  revokeToken
+};
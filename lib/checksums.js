@@ -0,0 +1,107 @@
+/**
+ * CHECKSUMS.JS
+ *
+ * Upload integrity checks.
+ *
+ * - Per chunk, clients send "X-Chunk-Checksum: sha256=<hex>" or
+ *   "crc32=<hex>"; the chunk only counts once it matches.
+ * - For the whole file, "X-File-Checksum: sha256=<hex>" is the plain
+ *   SHA-256 of the file. "sha256-chunks=<hex>" is the SHA-256 of all
+ *   per-chunk SHA-256 digests (raw 32 bytes each, in chunk order), which
+ *   browsers can compute with Web Crypto without holding the file in memory.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { crc32 } = require('./zip-writer');
+
+const CHUNK_ALGORITHMS = ['sha256', 'crc32'];
+const FILE_ALGORITHMS = ['sha256', 'sha256-chunks'];
+const HEX_LENGTH = { sha256: 64, 'sha256-chunks': 64, crc32: 8 };
+
+/**
+ * Parse "algorithm=hexdigest". Returns null for an empty header and
+ * throws with a readable message for anything malformed.
+ */
+function parseChecksum(header, allowed) {
+  if (!header) return null;
+  const match = /^\s*([a-z0-9-]+)\s*[=:]\s*([0-9a-f]+)\s*$/i.exec(header);
+  if (!match) throw new Error('Expected "<algorithm>=<hex digest>"');
+  const algorithm = match[1].toLowerCase();
+  const value = match[2].toLowerCase();
+  if (!allowed.includes(algorithm)) {
+    throw new Error(`Unsupported checksum algorithm "${algorithm}" (use ${allowed.join(' or ')})`);
+  }
+  if (value.length !== HEX_LENGTH[algorithm]) {
+    throw new Error(`A ${algorithm} digest has ${HEX_LENGTH[algorithm]} hex digits`);
+  }
+  return { algorithm, value };
+}
+
+/**
+ * Hashes one chunk as it streams in. The SHA-256 is always kept (the
+ * server records it to find damaged chunks later); CRC32 only on request.
+ */
+function createChunkHasher(algorithm) {
+  const sha = crypto.createHash('sha256');
+  let crc = 0;
+  return {
+    update(data) {
+      sha.update(data);
+      if (algorithm === 'crc32') crc = crc32(data, crc);
+    },
+    digest() {
+      return {
+        sha256: sha.digest('hex'),
+        crc32: (crc >>> 0).toString(16).padStart(8, '0')
+      };
+    }
+  };
+}
+
+// SHA-256 over the raw per-chunk SHA-256 digests
+function chunkListDigest(chunkDigests) {
+  const hash = crypto.createHash('sha256');
+  for (const hex of chunkDigests) hash.update(Buffer.from(hex, 'hex'));
+  return hash.digest('hex');
+}
+
+/**
+ * Read a finished upload back from disk in one pass.
+ * Returns { sha256, chunkDigests } where chunkDigests[i] is the SHA-256
+ * of chunk i as it is actually stored.
+ */
+async function hashStoredFile(fullPath, chunkSize) {
+  const whole = crypto.createHash('sha256');
+  const chunkDigests = [];
+  let chunkHash = crypto.createHash('sha256');
+  let inChunk = 0;
+
+  for await (const data of fs.createReadStream(fullPath, { highWaterMark: 1024 * 1024 })) {
+    whole.update(data);
+    let offset = 0;
+    while (offset < data.length) {
+      const take = Math.min(chunkSize - inChunk, data.length - offset);
+      chunkHash.update(data.subarray(offset, offset + take));
+      inChunk += take;
+      offset += take;
+      if (inChunk === chunkSize) {
+        chunkDigests.push(chunkHash.digest('hex'));
+        chunkHash = crypto.createHash('sha256');
+        inChunk = 0;
+      }
+    }
+  }
+  if (inChunk > 0) chunkDigests.push(chunkHash.digest('hex'));
+
+  return { sha256: whole.digest('hex'), chunkDigests };
+}
+
+module.exports = {
+  CHUNK_ALGORITHMS,
+  FILE_ALGORITHMS,
+  parseChecksum,
+  createChunkHasher,
+  chunkListDigest,
+  hashStoredFile
+};
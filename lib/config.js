@@ -0,0 +1,54 @@
+/**
+ * CONFIG.JS
+ *
+ * - Loads optional server settings from config.json in the working
+ *   directory (or the file named by FILE_SERVER_CONFIG).
+ * - Missing keys fall back to the defaults below, so the server still
+ *   runs with no config file at all.
+ * - Relative paths in the file are resolved against the file's folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const configPath = path.resolve(process.env.FILE_SERVER_CONFIG || 'config.json');
+const configDir = path.dirname(configPath);
+
+function readConfigFile() {
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    console.error(`Failed to read config file ${configPath}:`, err.message);
+    process.exit(1);
+  }
+}
+
+// Helper: resolve a path from the config file relative to its folder
+function resolveConfigPath(p) {
+  return path.resolve(configDir, p);
+}
+
+// Roots may be given as { name: path } or [{ name, path }]
+function normalizeRoots(roots) {
+  if (!roots) {
+    return [{ name: 'uploads', path: path.join(process.cwd(), 'uploads') }];
+  }
+  const list = Array.isArray(roots)
+    ? roots
+    : Object.entries(roots).map(([name, p]) => ({ name, path: p }));
+  return list.map(r => ({ name: String(r.name), path: resolveConfigPath(r.path) }));
+}
+
+const fileConfig = readConfigFile();
+
+// Other keys (auth, permissionsFile, ...) are read by the modules that use them
+const config = {
+  ...fileConfig,
+  configPath,
+  roots: normalizeRoots(fileConfig.roots)
+};
+
+module.exports = { config, resolveConfigPath };
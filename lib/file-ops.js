@@ -0,0 +1,381 @@
+/**
+ * FILE-OPS.JS
+ *
+ * - Create folders, rename, move, copy and delete inside the share roots.
+ *   Used by the JSON file management routes; WebDAV shares the
+ *   permission walk and the copy/move/remove helpers.
+ * - Every operation checks folder permissions on everything it touches:
+ *   moving or deleting a folder needs "delete" on all of its contents,
+ *   copying one needs "read" on all of them, and the target folder
+ *   needs "upload".
+ * - When the target name is taken, `conflict` decides: "fail" (409, the
+ *   default), "overwrite", "rename" (appends " (1)", " (2)", ...) or "skip".
+ * - Share roots themselves can't be renamed, moved or deleted.
+ * - Deleting moves the entry into the trash (see trash.js);
+ *   restoreEntry() puts it back. Overwriting keeps a replaced file as a
+ *   version (see versions.js) and trashes anything else.
+ * - Uploads use the same policies plus "version", which is "overwrite"
+ *   without needing delete permission, since the old file is kept.
+ *   planUpload() checks them up front without touching anything;
+ *   placeUpload() applies them once the upload is complete and moves it
+ *   in from its staging file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveSharePath, walkSharePath } = require('./share-roots');
+const permissions = require('./permissions');
+const trash = require('./trash');
+const versions = require('./versions');
+const quotas = require('./quotas');
+
+const CONFLICT_POLICIES = ['fail', 'overwrite', 'rename', 'skip'];
+const UPLOAD_CONFLICT_POLICIES = [...CONFLICT_POLICIES, 'version'];
+
+class FileOpError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'FileOpError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+async function statOrNull(fullPath) {
+  try {
+    return await fs.promises.stat(fullPath);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+    throw err;
+  }
+}
+
+// A new file or folder name: one path segment, nothing special
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim() || name === '.' || name === '..' ||
+      /[\\/\0]/.test(name) || Buffer.byteLength(name) > 255) {
+    throw new FileOpError(400, 'INVALID_NAME', `Invalid name "${name}"`);
+  }
+}
+
+function validateConflict(conflict = 'fail') {
+  if (!CONFLICT_POLICIES.includes(conflict)) {
+    throw new FileOpError(400, 'INVALID_CONFLICT', `conflict must be one of ${CONFLICT_POLICIES.join(', ')}`);
+  }
+  return conflict;
+}
+
+function requireAllowed(identity, action, virtualPath) {
+  if (!permissions.can(identity, action, virtualPath)) {
+    throw new FileOpError(403, 'PERMISSION_DENIED', `You may not ${action} in ${virtualPath}`);
+  }
+}
+
+// The permission must hold for a folder's whole contents, not just the folder
+async function requireAllowedBelow(identity, action, target, stats) {
+  requireAllowed(identity, action, target.virtualPath);
+  if (!stats.isDirectory()) return;
+  for await (const entry of walkSharePath(target.virtualPath)) {
+    requireAllowed(identity, action, entry.virtualPath);
+  }
+}
+
+function requireInsideRoot(virtualPath) {
+  if (virtualPath.split('/').filter(Boolean).length < 2) {
+    throw new FileOpError(403, 'SHARE_ROOT', 'Share roots cannot be changed');
+  }
+}
+
+// Helper: is `child` the same as or below `parent` (both virtual paths)?
+function isSameOrInside(parent, child) {
+  return child === parent || child.startsWith(parent + '/');
+}
+
+// Copy (recursively) or move a file or folder; moves fall back to copy + remove across disks
+async function transfer(fromPath, toPath, { move }) {
+  if (move) {
+    try {
+      return await fs.promises.rename(fromPath, toPath);
+    } catch (err) {
+      if (err.code !== 'EXDEV') throw err;
+    }
+  }
+  await fs.promises.cp(fromPath, toPath, { recursive: true, errorOnExist: true, force: false, preserveTimestamps: true });
+  if (move) await removePath(fromPath);
+}
+
+function removePath(fullPath) {
+  return fs.promises.rm(fullPath, { recursive: true });
+}
+
+// Helper: "name (1).ext", "name (2).ext", ... until one is free
+async function freeName(dirPath, name) {
+  const ext = path.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+  for (let i = 1; ; i++) {
+    const candidate = `${base} (${i})${ext}`;
+    if (!await statOrNull(path.join(dirPath, candidate))) return candidate;
+  }
+}
+
+// Resolve an existing entry or throw 404
+async function resolveExisting(virtualPath) {
+  const target = resolveSharePath(virtualPath);
+  const stats = await statOrNull(target.fullPath);
+  if (!stats) throw new FileOpError(404, 'NOT_FOUND', `${target.virtualPath} does not exist`);
+  return { ...target, stats };
+}
+
+async function resolveFolder(virtualPath) {
+  const folder = await resolveExisting(virtualPath);
+  if (!folder.stats.isDirectory()) throw new FileOpError(400, 'NOT_A_FOLDER', `${folder.virtualPath} is not a folder`);
+  return folder;
+}
+
+/**
+ * Move an entry into the trash, recording who deleted it. The caller
+ * checks permissions. Resolves the trash record.
+ */
+async function trashEntry(identity, target, stats) {
+  const record = await trash.addRecord({
+    originalPath: target.virtualPath,
+    isFolder: stats.isDirectory(),
+    size: stats.isDirectory() ? null : stats.size,
+    deletedBy: identity.name || null
+  });
+  try {
+    await transfer(target.fullPath, trash.itemPath(record.id), { move: true });
+  } catch (err) {
+    await trash.removeRecord(record.id);
+    throw err;
+  }
+  return record;
+}
+
+/**
+ * Move an entry that is about to be replaced out of the way: a file
+ * becomes a version when versioning is on, anything else goes to the
+ * trash. Resolves "versioned" or "trashed".
+ */
+async function moveAside(identity, target, stats) {
+  if (versions.shouldKeep(stats)) {
+    await versions.keepVersion(target, stats, identity);
+    return 'versioned';
+  }
+  await trashEntry(identity, target, stats);
+  return 'trashed';
+}
+
+/**
+ * Work out where `name` goes in `destFolder` under the conflict policy.
+ * Resolves the target (with `replaced` set when an old entry was moved
+ * aside), or null to skip. `source` (when the entry already lives in the
+ * shares) lets a rename that only changes case through.
+ */
+async function claimTarget(identity, destFolder, name, conflict, source = null) {
+  const dest = resolveSharePath(destFolder.virtualPath, name);
+  const existing = await statOrNull(dest.fullPath);
+  // Changing only the case of a name on a case-insensitive disk finds the entry itself
+  const isItself = existing && source && existing.ino === source.stats.ino && existing.dev === source.stats.dev;
+  if (!existing || isItself) return dest;
+
+  if (conflict === 'skip') return null;
+  if (conflict === 'rename') {
+    return resolveSharePath(destFolder.virtualPath, await freeName(destFolder.fullPath, name));
+  }
+  if (conflict === 'overwrite') {
+    if (source && isSameOrInside(dest.virtualPath, source.virtualPath)) {
+      throw new FileOpError(400, 'INVALID_TARGET', 'Cannot overwrite a folder with something inside it');
+    }
+    await requireAllowedBelow(identity, 'delete', dest, existing);
+    return { ...dest, replaced: await moveAside(identity, dest, existing) };
+  }
+  throw new FileOpError(409, 'EXISTS', `${dest.virtualPath} already exists`);
+}
+
+/**
+ * Copy or move `source` into `destFolder` as `name`, applying the conflict
+ * policy. Resolves { newPath } with the new virtual path, or { skipped: true }.
+ */
+async function placeEntry(identity, source, destFolder, name, { move, conflict }) {
+  validateName(name);
+  const target = resolveSharePath(destFolder.virtualPath, name);
+  if (move && target.virtualPath === source.virtualPath) return { newPath: source.virtualPath };
+  if (source.stats.isDirectory() && isSameOrInside(source.virtualPath, target.virtualPath)) {
+    throw new FileOpError(400, 'INVALID_TARGET', 'A folder cannot be put inside itself');
+  }
+
+  await requireAllowedBelow(identity, move ? 'delete' : 'read', source, source.stats);
+  requireAllowed(identity, 'upload', destFolder.virtualPath);
+
+  const dest = await claimTarget(identity, destFolder, name, conflict, source);
+  if (!dest) return { skipped: true };
+  await transfer(source.fullPath, dest.fullPath, { move });
+  if (move && source.stats.isFile()) await versions.moveHistory(source.virtualPath, dest.virtualPath);
+  if (move) quotas.moveUsage(source.virtualPath, dest.virtualPath);
+  return { newPath: dest.virtualPath };
+}
+
+/**
+ * Make room for a new upload at `virtualPath` under the conflict policy
+ * (only work out where it would go unless `apply`). Resolves
+ * { target, outcome }: outcome is "created", "overwritten", "renamed",
+ * "versioned" or "skipped" (then target is the existing file, which the
+ * caller must leave alone).
+ */
+async function claimUploadTarget(identity, virtualPath, conflict, apply) {
+  const target = resolveSharePath(virtualPath);
+  const existing = await statOrNull(target.fullPath);
+  if (!existing) return { target, outcome: 'created' };
+
+  if (conflict === 'overwrite' || conflict === 'version') {
+    if (existing.isDirectory()) throw new FileOpError(409, 'EXISTS', `${target.virtualPath} is a folder`);
+    const keep = versions.shouldKeep(existing);
+    if (conflict === 'overwrite' || !keep) requireAllowed(identity, 'delete', target.virtualPath);
+    if (!apply) return { target, outcome: keep ? 'versioned' : 'overwritten' };
+    const replaced = await moveAside(identity, target, existing);
+    return { target, outcome: replaced === 'versioned' ? 'versioned' : 'overwritten' };
+  }
+  const parent = { virtualPath: path.posix.dirname(target.virtualPath), fullPath: path.dirname(target.fullPath) };
+  const dest = await claimTarget(identity, parent, path.posix.basename(target.virtualPath), conflict);
+  if (!dest) return { target, outcome: 'skipped' };
+  return { target: dest, outcome: dest.virtualPath === target.virtualPath ? 'overwritten' : 'renamed' };
+}
+
+// Where an upload would go right now; throws if the policy refuses it
+function planUpload(identity, virtualPath, conflict) {
+  return claimUploadTarget(identity, virtualPath, conflict, false);
+}
+
+/**
+ * Move a complete upload from `stagedPath` to `virtualPath`, settling the
+ * conflict policy now: the target may have changed since planUpload().
+ * A skipped upload's staged data is removed. Resolves like planUpload().
+ */
+async function placeUpload(identity, stagedPath, virtualPath, conflict) {
+  const claim = await claimUploadTarget(identity, virtualPath, conflict, true);
+  if (claim.outcome === 'skipped') {
+    await fs.promises.rm(stagedPath, { force: true });
+  } else {
+    await fs.promises.mkdir(path.dirname(claim.target.fullPath), { recursive: true });
+    await placeStagedFile(stagedPath, claim.target.fullPath);
+  }
+  return claim;
+}
+
+/**
+ * Rename a staged file to `destPath` in one step, so readers see either
+ * nothing or the whole file. From another disk it is copied to a hidden
+ * name beside the destination first.
+ */
+async function placeStagedFile(stagedPath, destPath) {
+  try {
+    return await fs.promises.rename(stagedPath, destPath);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+  }
+  const tmp = path.join(path.dirname(destPath), `.${path.basename(destPath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  try {
+    await fs.promises.copyFile(stagedPath, tmp);
+    await fs.promises.rename(tmp, destPath);
+  } catch (err) {
+    await fs.promises.rm(tmp, { force: true });
+    throw err;
+  }
+  await fs.promises.rm(stagedPath, { force: true });
+}
+
+async function createFolder(identity, parentPath, name) {
+  validateName(name);
+  const parent = await resolveFolder(parentPath);
+  requireAllowed(identity, 'upload', parent.virtualPath);
+  const target = resolveSharePath(parent.virtualPath, name);
+  try {
+    await fs.promises.mkdir(target.fullPath);
+  } catch (err) {
+    if (err.code === 'EEXIST') throw new FileOpError(409, 'EXISTS', `${target.virtualPath} already exists`);
+    throw err;
+  }
+  return { path: target.virtualPath };
+}
+
+async function renameEntry(identity, virtualPath, newName, { conflict = 'fail' } = {}) {
+  const source = await resolveExisting(virtualPath);
+  requireInsideRoot(source.virtualPath);
+  const parent = await resolveFolder(path.posix.dirname(source.virtualPath));
+  return placeEntry(identity, source, parent, newName, { move: true, conflict: validateConflict(conflict) });
+}
+
+async function moveEntry(identity, virtualPath, destPath, { conflict = 'fail' } = {}) {
+  const source = await resolveExisting(virtualPath);
+  requireInsideRoot(source.virtualPath);
+  const destFolder = await resolveFolder(destPath);
+  return placeEntry(identity, source, destFolder, path.posix.basename(source.virtualPath),
+    { move: true, conflict: validateConflict(conflict) });
+}
+
+async function copyEntry(identity, virtualPath, destPath, { conflict = 'fail' } = {}) {
+  const source = await resolveExisting(virtualPath);
+  const destFolder = await resolveFolder(destPath);
+  return placeEntry(identity, source, destFolder, path.posix.basename(source.virtualPath),
+    { move: false, conflict: validateConflict(conflict) });
+}
+
+async function deleteEntry(identity, virtualPath) {
+  const target = await resolveExisting(virtualPath);
+  requireInsideRoot(target.virtualPath);
+  await requireAllowedBelow(identity, 'delete', target, target.stats);
+  const record = await trashEntry(identity, target, target.stats);
+  return { trashId: record.id };
+}
+
+// Trash items are visible to whoever may delete at their original location
+async function listTrash(identity) {
+  const records = await trash.listRecords();
+  return records.filter(r => permissions.can(identity, 'delete', r.originalPath));
+}
+
+/**
+ * Put a trash item back where it came from, recreating missing parent
+ * folders. Needs "upload" there; a taken name is handled like any other
+ * conflict. Resolves { newPath } or { skipped: true }.
+ */
+async function restoreEntry(identity, id, { conflict = 'fail' } = {}) {
+  validateConflict(conflict);
+  const record = await trash.getRecord(id);
+  if (!record || !permissions.can(identity, 'delete', record.originalPath)) {
+    throw new FileOpError(404, 'NOT_FOUND', 'No such item in the trash');
+  }
+  const parentPath = path.posix.dirname(record.originalPath);
+  requireAllowed(identity, 'upload', parentPath);
+  const parent = resolveSharePath(parentPath);
+  await fs.promises.mkdir(parent.fullPath, { recursive: true });
+
+  const dest = await claimTarget(identity, parent, record.name, conflict);
+  if (!dest) return { skipped: true };
+  await transfer(trash.itemPath(record.id), dest.fullPath, { move: true });
+  await trash.removeRecord(record.id);
+  return { newPath: dest.virtualPath };
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  UPLOAD_CONFLICT_POLICIES,
+  FileOpError,
+  requireAllowedBelow,
+  requireInsideRoot,
+  transfer,
+  trashEntry,
+  moveAside,
+  planUpload,
+  placeUpload,
+  placeStagedFile,
+  createFolder,
+  renameEntry,
+  moveEntry,
+  copyEntry,
+  deleteEntry,
+  listTrash,
+  restoreEntry
+};
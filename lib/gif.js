@@ -0,0 +1,191 @@
+/**
+ * GIF.JS
+ *
+ * - Decodes the first frame of a GIF (87a or 89a) to 8-bit RGBA pixels
+ *   the size of its logical screen. Used for thumbnails.
+ * - Honours local and global color tables, interlacing and the
+ *   transparent color of the frame's graphic control extension. Parts of
+ *   the screen the first frame doesn't cover stay transparent.
+ */
+
+const MAX_CODE = 4096;
+
+function isGif(buffer) {
+  return buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6));
+}
+
+// Width and height of the logical screen, right after the signature; null if it isn't in `buffer`
+function readSize(buffer) {
+  if (!isGif(buffer) || buffer.length < 10) return null;
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+// Unpack LZW-compressed color indices (at most `count` of them)
+function lzwDecode(minCodeSize, data, count) {
+  const out = new Uint8Array(count);
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  const prefix = new Uint16Array(MAX_CODE);
+  const suffix = new Uint8Array(MAX_CODE);
+  const first = new Uint8Array(MAX_CODE);
+  const stack = new Uint8Array(MAX_CODE + 1);
+  for (let i = 0; i < clear; i++) {
+    suffix[i] = i;
+    first[i] = i;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let next = end + 1;
+  let prev = -1;
+  let bits = 0;
+  let bitCount = 0;
+  let pos = 0;
+  let written = 0;
+  while (written < count) {
+    while (bitCount < codeSize) {
+      if (pos >= data.length) return out; // Truncated: keep what we have
+      bits |= data[pos++] << bitCount;
+      bitCount += 8;
+    }
+    const code = bits & ((1 << codeSize) - 1);
+    bits >>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clear) {
+      codeSize = minCodeSize + 1;
+      next = end + 1;
+      prev = -1;
+      continue;
+    }
+    if (code === end) break;
+    if (prev === -1) {
+      if (code >= clear) throw new Error('Broken GIF data');
+      out[written++] = code;
+      prev = code;
+      continue;
+    }
+    if (code > next) throw new Error('Broken GIF data');
+
+    // Walk the string back to its first color; a code not defined yet is prev + prev's first color
+    let sp = 0;
+    let current = code;
+    if (code === next) {
+      stack[sp++] = first[prev];
+      current = prev;
+    }
+    while (current >= clear) {
+      stack[sp++] = suffix[current];
+      current = prefix[current];
+    }
+    stack[sp++] = current;
+
+    if (next < MAX_CODE) {
+      prefix[next] = prev;
+      suffix[next] = current;
+      first[next] = first[prev];
+      next++;
+      if (next === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    while (sp > 0 && written < count) out[written++] = stack[--sp];
+    prev = code;
+  }
+  return out;
+}
+
+// Rows of an interlaced image in the order they are stored
+function interlacedRows(height) {
+  const rows = [];
+  for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+    for (let y = start; y < height; y += step) rows.push(y);
+  }
+  return rows;
+}
+
+/**
+ * Decode the first frame of a GIF to { width, height, data } with data
+ * as RGBA bytes. Throws for broken files, and for images of more than
+ * `maxPixels` pixels (code "TOO_LARGE").
+ */
+function decode(buffer, { maxPixels = Infinity } = {}) {
+  if (!isGif(buffer) || buffer.length < 13) throw new Error('Not a GIF file');
+  const width = buffer.readUInt16LE(6);
+  const height = buffer.readUInt16LE(8);
+  const flags = buffer[10];
+  if (!width || !height) throw new Error('GIF has no pixels');
+  if (width * height > maxPixels) {
+    throw Object.assign(new Error(`Image is too large (${width}x${height})`), { code: 'TOO_LARGE' });
+  }
+
+  let pos = 13;
+  let globalColors = null;
+  if (flags & 0x80) {
+    const size = 3 * (2 << (flags & 7));
+    globalColors = buffer.subarray(pos, pos + size);
+    pos += size;
+  }
+
+  // Data sub-blocks: a length byte, that many bytes, until a zero length
+  const readBlocks = () => {
+    const parts = [];
+    while (pos < buffer.length) {
+      const length = buffer[pos++];
+      if (!length) break;
+      parts.push(buffer.subarray(pos, pos + length));
+      pos += length;
+    }
+    return Buffer.concat(parts);
+  };
+
+  let transparentIndex = -1;
+  while (pos < buffer.length) {
+    const block = buffer[pos++];
+    if (block === 0x21) {
+      const label = buffer[pos++];
+      const body = readBlocks();
+      // Graphic control extension: the transparent color of the next frame
+      if (label === 0xf9 && body.length >= 4 && (body[0] & 1)) transparentIndex = body[3];
+    } else if (block === 0x2c) {
+      if (pos + 9 > buffer.length) break;
+      const left = buffer.readUInt16LE(pos);
+      const top = buffer.readUInt16LE(pos + 2);
+      const frameWidth = buffer.readUInt16LE(pos + 4);
+      const frameHeight = buffer.readUInt16LE(pos + 6);
+      const frameFlags = buffer[pos + 8];
+      pos += 9;
+      let colors = globalColors;
+      if (frameFlags & 0x80) {
+        const size = 3 * (2 << (frameFlags & 7));
+        colors = buffer.subarray(pos, pos + size);
+        pos += size;
+      }
+      if (!colors) throw new Error('GIF has no color table');
+      const minCodeSize = buffer[pos++];
+      if (minCodeSize < 1 || minCodeSize > 11) throw new Error('Broken GIF data');
+      const indices = lzwDecode(minCodeSize, readBlocks(), frameWidth * frameHeight);
+
+      const data = new Uint8Array(width * height * 4);
+      const rows = frameFlags & 0x40 ? interlacedRows(frameHeight) : null;
+      for (let i = 0; i < frameHeight; i++) {
+        const y = top + (rows ? rows[i] : i);
+        if (y >= height) continue;
+        for (let x = 0; x < frameWidth && left + x < width; x++) {
+          const index = indices[i * frameWidth + x];
+          if (index === transparentIndex || index * 3 + 2 >= colors.length) continue;
+          const o = (y * width + left + x) * 4;
+          data[o] = colors[index * 3];
+          data[o + 1] = colors[index * 3 + 1];
+          data[o + 2] = colors[index * 3 + 2];
+          data[o + 3] = 255;
+        }
+      }
+      return { width, height, data };
+    } else if (block === 0x3b) {
+      break;
+    } else {
+      throw new Error('Broken GIF data');
+    }
+  }
+  throw new Error('GIF has no image data');
+}
+
+module.exports = { isGif, readSize, decode };
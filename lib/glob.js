@@ -0,0 +1,160 @@
+/**
+ * GLOB.JS
+ *
+ * Small glob matcher for relative paths with "/" separators.
+ *
+ * - "*" matches within one path segment, "**" across segments,
+ *   "?" one character, "[abc]" / "[!abc]" a character class and
+ *   "{jpg,png}" alternatives.
+ * - Patterns without a "/" are matched against the base name only,
+ *   so "*.jpg" finds JPEGs at any depth (like .gitignore).
+ * - Matching is case-insensitive.
+ * - Patterns are compiled up front (createPathFilter, compileGlob), so a
+ *   malformed one is a GlobError before anything is sent.
+ */
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERNS = 50;
+
+// Compiled patterns, least recently used first
+const CACHE_SIZE = 256;
+const cache = new Map();
+
+class GlobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GlobError';
+    this.statusCode = 400;
+  }
+}
+
+function escapeRegex(ch) {
+  return /[\\^$.*+?()[\]{}|/]/.test(ch) ? '\\' + ch : ch;
+}
+
+function globToRegExp(pattern) {
+  // Runs of "**" mean the same as one, and each would be another ".*" to backtrack through
+  pattern = pattern.replace(/\*{3,}/g, '**').replace(/\*\*(?:\/\*\*)+/g, '**');
+  let re = '';
+  let inGroup = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" may also match nothing, so "a/**/b" matches "a/b"
+        if (pattern[i + 2] === '/') {
+          re += '(?:.*/)?';
+          i += 2;
+        } else {
+          re += '.*';
+          i += 1;
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close < 0) {
+        re += '\\[';
+        continue;
+      }
+      let cls = pattern.slice(i + 1, close).replace(/\\/g, '\\\\');
+      if (cls.startsWith('!')) cls = '^' + cls.slice(1);
+      re += `[${cls}]`;
+      i = close;
+    } else if (ch === '{') {
+      inGroup++;
+      re += '(?:';
+    } else if (ch === '}' && inGroup > 0) {
+      inGroup--;
+      re += ')';
+    } else if (ch === ',' && inGroup > 0) {
+      re += '|';
+    } else {
+      re += escapeRegex(ch);
+    }
+  }
+  try {
+    return new RegExp(`^${re}$`, 'i');
+  } catch {
+    // Such as a reversed range, "[z-a]"
+    throw new GlobError(`Invalid pattern: ${pattern}`);
+  }
+}
+
+function compile(pattern) {
+  let entry = cache.get(pattern);
+  if (entry) {
+    cache.delete(pattern);
+  } else {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new GlobError(`Pattern is too long (at most ${MAX_PATTERN_LENGTH} characters)`);
+    }
+    const clean = pattern.trim().replace(/^\.?\//, '');
+    entry = { regex: globToRegExp(clean), baseOnly: !clean.includes('/') };
+    if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  }
+  cache.set(pattern, entry);
+  return entry;
+}
+
+/**
+ * A function (relPath) => boolean for the glob; throws a GlobError if
+ * the pattern is malformed or too long.
+ */
+function compileGlob(pattern) {
+  const { regex, baseOnly } = compile(pattern);
+  return relPath => regex.test(baseOnly ? relPath.split('/').pop() : relPath);
+}
+
+// Does `relPath` (e.g. "photos/2024/a.jpg") match the glob?
+function matchGlob(pattern, relPath) {
+  return compileGlob(pattern)(relPath);
+}
+
+// Helper: split a comma-separated query value into patterns
+function parsePatterns(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  const patterns = [];
+  for (const item of list) {
+    // Split on commas that are not inside {...}
+    let depth = 0;
+    let current = '';
+    for (const ch of String(item)) {
+      if (ch === '{') depth++;
+      if (ch === '}') depth = Math.max(0, depth - 1);
+      if (ch === ',' && depth === 0) {
+        if (current.trim()) patterns.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current.trim()) patterns.push(current.trim());
+  }
+  if (patterns.length > MAX_PATTERNS) throw new GlobError(`Too many patterns (at most ${MAX_PATTERNS})`);
+  return patterns;
+}
+
+/**
+ * Build a filter from include/exclude pattern lists.
+ * file(relPath): matches any include (or there are none) and no exclude.
+ * dir(relPath):  false for excluded folders, so a tree walk can skip them.
+ * Throws a GlobError for a malformed pattern.
+ */
+function createPathFilter(include = [], exclude = []) {
+  const includes = include.map(compileGlob);
+  const excludes = exclude.map(compileGlob);
+  const excluded = relPath => excludes.some(match => match(relPath));
+  return {
+    active: include.length > 0 || exclude.length > 0,
+    file: relPath =>
+      (includes.length === 0 || includes.some(match => match(relPath))) && !excluded(relPath),
+    dir: relPath => !excluded(relPath)
+  };
+}
+
+module.exports = { GlobError, compileGlob, matchGlob, parsePatterns, createPathFilter };
@@ -0,0 +1,735 @@
+/**
+ * JPEG.JS
+ *
+ * - Decodes JPEG images (baseline and progressive Huffman, 8 bits per
+ *   sample, greyscale, YCbCr, RGB, CMYK and YCCK, any chroma
+ *   subsampling) to 8-bit RGBA pixels, and encodes RGBA pixels as a
+ *   baseline JPEG. Used for thumbnails.
+ * - decode() can skip most of the work for big photos that only need to
+ *   become small (`fitSize`): at 1/8 size every 8x8 block becomes one
+ *   pixel, straight from its DC coefficient.
+ * - The EXIF orientation (which way is up) is read and returned; it is
+ *   up to the caller to turn the pixels.
+ */
+
+// Position in an 8x8 block of each coefficient, in the order they are stored
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// COS[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * PI / 16), for the (I)DCT
+const COS = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    COS[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+  }
+}
+
+function isJpeg(buffer) {
+  return buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+}
+
+/**
+ * Width and height from the frame header (SOF), which comes after the
+ * metadata segments; null if it isn't in `buffer`, such as the first
+ * part of a file.
+ */
+function readSize(buffer) {
+  if (!isJpeg(buffer)) return null;
+  let pos = 2;
+  while (pos + 4 <= buffer.length) {
+    if (buffer[pos] !== 0xff) return null;
+    const marker = buffer[pos + 1];
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      pos += 2;
+      continue;
+    }
+    // SOF0-SOF15, apart from DHT, JPG and DAC which share the range
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      if (pos + 9 > buffer.length) return null;
+      return { width: buffer.readUInt16BE(pos + 7), height: buffer.readUInt16BE(pos + 5) };
+    }
+    if (marker === 0xda || marker === 0xd9) return null; // Image data (or the end) before any frame
+    pos += 2 + buffer.readUInt16BE(pos + 2);
+  }
+  return null;
+}
+
+function clamp(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
+
+// Huffman table as canonical code ranges per code length
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const offsets = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    offsets[length] = k - code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    if (counts[length - 1]) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  return { maxCode, offsets, symbols };
+}
+
+// The orientation tag (1-8) of an EXIF APP1 segment, or 1
+function exifOrientation(segment) {
+  if (segment.length < 14 || segment.toString('latin1', 0, 6) !== 'Exif\0\0') return 1;
+  const tiff = segment.subarray(6);
+  const little = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = o => (little ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = o => (little ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  try {
+    const ifd = u32(4);
+    const entries = u16(ifd);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (u16(entry) === 0x0112) {
+        const value = u16(entry + 8);
+        return value >= 1 && value <= 8 ? value : 1;
+      }
+    }
+  } catch {
+    // Offsets past the end: no usable orientation
+  }
+  return 1;
+}
+
+/**
+ * Decode a JPEG to { width, height, data, orientation } with data as
+ * RGBA bytes. With `fitSize`, an image that will be shrunk to fit a
+ * fitSize x fitSize square may come out at 1/8 of its size, as long as
+ * that is still big enough. Throws for broken or unsupported files, and
+ * for images of more than `maxPixels` pixels (code "TOO_LARGE") before
+ * decoding anything.
+ */
+function decode(buffer, { maxPixels = Infinity, fitSize = Infinity } = {}) {
+  if (!isJpeg(buffer)) throw new Error('Not a JPEG file');
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let jfif = false;
+  let orientation = 1;
+  let scale = 1;
+
+  let pos = 2;
+  const u16 = () => {
+    const value = buffer.readUInt16BE(pos);
+    pos += 2;
+    return value;
+  };
+
+  for (;;) {
+    // Markers may be padded with any number of 0xFF bytes
+    if (pos >= buffer.length) break;
+    if (buffer[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const marker = buffer[pos + 1];
+    pos += 2;
+    if (marker === 0xff) {
+      pos--;
+      continue;
+    }
+    if (marker === 0xd9) break; // EOI
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) continue;
+
+    const length = u16();
+    const segment = buffer.subarray(pos, pos + length - 2);
+    const end = pos + length - 2;
+
+    if (marker === 0xe0 && segment.toString('latin1', 0, 5) === 'JFIF\0') {
+      jfif = true;
+    } else if (marker === 0xe1) {
+      orientation = exifOrientation(segment);
+    } else if (marker === 0xee && segment.toString('latin1', 0, 5) === 'Adobe') {
+      adobeTransform = segment[11];
+    } else if (marker === 0xdb) {
+      // DQT: one or more tables, 8 or 16 bits per value, stored in zigzag order
+      for (let p = 0; p < segment.length;) {
+        const precision = segment[p] >> 4;
+        const id = segment[p] & 15;
+        p++;
+        const table = new Int32Array(64);
+        for (let k = 0; k < 64; k++) {
+          table[ZIGZAG[k]] = precision ? segment.readUInt16BE(p + k * 2) : segment[p + k];
+        }
+        p += precision ? 128 : 64;
+        quantTables[id] = table;
+      }
+    } else if (marker === 0xc4) {
+      // DHT: one or more tables
+      for (let p = 0; p < segment.length;) {
+        const tableClass = segment[p] >> 4;
+        const id = segment[p] & 15;
+        const counts = segment.subarray(p + 1, p + 17);
+        const total = counts.reduce((sum, n) => sum + n, 0);
+        const table = buildHuffmanTable(counts, segment.subarray(p + 17, p + 17 + total));
+        (tableClass ? acTables : dcTables)[id] = table;
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = segment.readUInt16BE(0);
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      if (segment[0] !== 8) throw new Error(`Unsupported JPEG precision (${segment[0]} bits)`);
+      const height = segment.readUInt16BE(1);
+      const width = segment.readUInt16BE(3);
+      if (width * height > maxPixels) {
+        throw Object.assign(new Error(`Image is too large (${width}x${height})`), { code: 'TOO_LARGE' });
+      }
+      frame = readFrame(segment, marker === 0xc2);
+      const factor = Math.min(1, fitSize / width, fitSize / height);
+      if (Math.ceil(width / 8) >= Math.round(width * factor) && Math.ceil(height / 8) >= Math.round(height * factor)) {
+        scale = 8;
+      }
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new Error('Unsupported JPEG type (lossless or arithmetic coding)');
+    } else if (marker === 0xda) {
+      if (!frame) throw new Error('JPEG scan before frame header');
+      const count = segment[0];
+      const components = [];
+      for (let i = 0; i < count; i++) {
+        const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+        if (!component) throw new Error('JPEG scan names an unknown component');
+        component.dcTable = dcTables[segment[2 + i * 2] >> 4];
+        component.acTable = acTables[segment[2 + i * 2] & 15];
+        components.push(component);
+      }
+      const p = 1 + count * 2;
+      pos = decodeScan(buffer, end, frame, components, restartInterval,
+        segment[p], segment[p + 1], segment[p + 2] >> 4, segment[p + 2] & 15);
+      continue;
+    }
+    pos = end;
+  }
+
+  if (!frame) throw new Error('JPEG has no frame header');
+  for (const component of frame.components) {
+    const table = quantTables[component.quantId];
+    if (!table) throw new Error('JPEG quantization table is missing');
+    component.pixels = scale === 8 ? dcPlane(component, table) : idctPlane(component, table);
+  }
+  return {
+    width: Math.ceil(frame.width / scale),
+    height: Math.ceil(frame.height / scale),
+    data: toRgba(frame, scale, adobeTransform, jfif),
+    orientation
+  };
+}
+
+// SOF: image size and the components with their sampling factors
+function readFrame(segment, progressive) {
+  const height = segment.readUInt16BE(1);
+  const width = segment.readUInt16BE(3);
+  if (!width || !height) throw new Error('JPEG has no pixels');
+  const components = [];
+  for (let i = 0; i < segment[5]; i++) {
+    const o = 6 + i * 3;
+    components.push({ id: segment[o], h: segment[o + 1] >> 4, v: segment[o + 1] & 15, quantId: segment[o + 2] });
+  }
+  const maxH = Math.max(...components.map(c => c.h));
+  const maxV = Math.max(...components.map(c => c.v));
+  const mcusPerLine = Math.ceil(width / (8 * maxH));
+  const mcusPerColumn = Math.ceil(height / (8 * maxV));
+  for (const c of components) {
+    // Blocks that hold image data, and blocks including the MCU padding
+    c.blocksPerLine = Math.ceil(Math.ceil(width * c.h / maxH) / 8);
+    c.blocksPerColumn = Math.ceil(Math.ceil(height * c.v / maxV) / 8);
+    c.blocksPerLineForMcu = mcusPerLine * c.h;
+    c.blocksPerColumnForMcu = mcusPerColumn * c.v;
+    c.coefficients = new Int16Array(c.blocksPerLineForMcu * c.blocksPerColumnForMcu * 64);
+    c.pred = 0;
+  }
+  return { width, height, progressive, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+}
+
+/**
+ * Decode the entropy-coded data of one scan starting at `start` into the
+ * components' coefficients. Returns the offset of the marker after it.
+ */
+function decodeScan(data, start, frame, components, restartInterval, spectralStart, spectralEnd, approxHigh, approxLow) {
+  let pos = start;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let eobrun = 0;
+
+  const readBit = () => {
+    if (bitCount === 0) {
+      let byte = 0;
+      // At a marker the data has ended; feed zeros
+      if (pos < data.length && !(data[pos] === 0xff && data[pos + 1] !== 0)) {
+        byte = data[pos++];
+        if (byte === 0xff) pos++; // Stuffed 0x00
+      }
+      bitBuffer = byte;
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bitBuffer >> bitCount) & 1;
+  };
+  const receive = length => {
+    let value = 0;
+    while (length-- > 0) value = (value << 1) | readBit();
+    return value;
+  };
+  const receiveExtend = length => {
+    if (length === 0) return 0;
+    const value = receive(length);
+    return value >= 1 << (length - 1) ? value : value - (1 << length) + 1;
+  };
+  const decodeHuffman = table => {
+    if (!table) throw new Error('JPEG Huffman table is missing');
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | readBit();
+      if (code <= table.maxCode[length]) return table.symbols[table.offsets[length] + code];
+    }
+    throw new Error('Broken JPEG data');
+  };
+
+  const decodeBaseline = (c, offset) => {
+    const t = decodeHuffman(c.dcTable);
+    c.pred += receiveExtend(t);
+    c.coefficients[offset] = c.pred;
+    for (let k = 1; k < 64;) {
+      const rs = decodeHuffman(c.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) break;
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      c.coefficients[offset + ZIGZAG[k]] = receiveExtend(s);
+      k++;
+    }
+  };
+  const decodeDcFirst = (c, offset) => {
+    const t = decodeHuffman(c.dcTable);
+    c.pred += receiveExtend(t) * (1 << approxLow);
+    c.coefficients[offset] = c.pred;
+  };
+  const decodeDcRefine = (c, offset) => {
+    if (readBit()) c.coefficients[offset] |= 1 << approxLow;
+  };
+  const decodeAcFirst = (c, offset) => {
+    if (eobrun > 0) {
+      eobrun--;
+      return;
+    }
+    for (let k = spectralStart; k <= spectralEnd;) {
+      const rs = decodeHuffman(c.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) {
+          eobrun = receive(r) + (1 << r) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      c.coefficients[offset + ZIGZAG[k]] = receiveExtend(s) * (1 << approxLow);
+      k++;
+    }
+  };
+  // Refine AC coefficients by one bit (the intricate one; follows libjpeg)
+  const decodeAcRefine = (c, offset) => {
+    const coefficients = c.coefficients;
+    const p1 = 1 << approxLow;
+    const m1 = -1 << approxLow;
+    const refine = z => {
+      if (readBit() && (coefficients[z] & p1) === 0) coefficients[z] += coefficients[z] >= 0 ? p1 : m1;
+    };
+    let k = spectralStart;
+    if (eobrun <= 0) {
+      for (; k <= spectralEnd; k++) {
+        const rs = decodeHuffman(c.acTable);
+        let r = rs >> 4;
+        const s = rs & 15;
+        let value = 0;
+        if (s) {
+          value = readBit() ? p1 : m1;
+        } else if (r !== 15) {
+          eobrun = (1 << r) + receive(r);
+          break;
+        }
+        // Skip r zero coefficients (refining the non-zero ones on the way), then place the new one
+        for (; k <= spectralEnd; k++) {
+          const z = offset + ZIGZAG[k];
+          if (coefficients[z] !== 0) {
+            refine(z);
+          } else {
+            if (r === 0) {
+              if (value) coefficients[z] = value;
+              break;
+            }
+            r--;
+          }
+        }
+      }
+    }
+    if (eobrun > 0) {
+      for (; k <= spectralEnd; k++) {
+        const z = offset + ZIGZAG[k];
+        if (coefficients[z] !== 0) refine(z);
+      }
+      eobrun--;
+    }
+  };
+
+  let decodeBlock;
+  if (!frame.progressive) decodeBlock = decodeBaseline;
+  else if (spectralStart === 0) decodeBlock = approxHigh === 0 ? decodeDcFirst : decodeDcRefine;
+  else decodeBlock = approxHigh === 0 ? decodeAcFirst : decodeAcRefine;
+
+  const blockOffset = (c, row, col) => (row * c.blocksPerLineForMcu + col) * 64;
+
+  // One component: its blocks in raster order. Several: interleaved MCUs
+  let total;
+  let decodeMcu;
+  if (components.length === 1) {
+    const c = components[0];
+    total = c.blocksPerLine * c.blocksPerColumn;
+    decodeMcu = n => {
+      const row = Math.floor(n / c.blocksPerLine);
+      decodeBlock(c, blockOffset(c, row, n % c.blocksPerLine));
+    };
+  } else {
+    total = frame.mcusPerLine * frame.mcusPerColumn;
+    decodeMcu = n => {
+      const mcuRow = Math.floor(n / frame.mcusPerLine);
+      const mcuCol = n % frame.mcusPerLine;
+      for (const c of components) {
+        for (let v = 0; v < c.v; v++) {
+          for (let h = 0; h < c.h; h++) {
+            decodeBlock(c, blockOffset(c, mcuRow * c.v + v, mcuCol * c.h + h));
+          }
+        }
+      }
+    };
+  }
+
+  for (let n = 0; n < total; n++) {
+    if (restartInterval && n > 0 && n % restartInterval === 0) {
+      // Restart: skip to after the RSTn marker and start from a clean state
+      bitCount = 0;
+      while (pos + 1 < data.length && !(data[pos] === 0xff && data[pos + 1] >= 0xd0 && data[pos + 1] <= 0xd7)) {
+        if (data[pos] === 0xff && data[pos + 1] !== 0 && data[pos + 1] !== 0xff) return pos;
+        pos++;
+      }
+      pos += 2;
+      eobrun = 0;
+      for (const c of components) c.pred = 0;
+    }
+    decodeMcu(n);
+  }
+  for (const c of components) c.pred = 0;
+
+  // Find the marker that ends the scan
+  while (pos + 1 < data.length) {
+    if (data[pos] === 0xff && data[pos + 1] !== 0 && data[pos + 1] !== 0xff &&
+        !(data[pos + 1] >= 0xd0 && data[pos + 1] <= 0xd7)) break;
+    pos++;
+  }
+  return pos;
+}
+
+// Full-size samples of a component: dequantize and inverse-DCT every block
+function idctPlane(c, table) {
+  const width = c.blocksPerLineForMcu * 8;
+  const plane = new Uint8Array(width * c.blocksPerColumnForMcu * 8);
+  const block = new Float64Array(64);
+  const temp = new Float64Array(64);
+  for (let row = 0; row < c.blocksPerColumnForMcu; row++) {
+    for (let col = 0; col < c.blocksPerLineForMcu; col++) {
+      const offset = (row * c.blocksPerLineForMcu + col) * 64;
+      for (let i = 0; i < 64; i++) block[i] = c.coefficients[offset + i] * table[i];
+      // Rows, then columns
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          let sum = 0;
+          for (let u = 0; u < 8; u++) sum += COS[x * 8 + u] * block[y * 8 + u];
+          temp[y * 8 + x] = sum;
+        }
+      }
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) sum += COS[y * 8 + v] * temp[v * 8 + x];
+          plane[(row * 8 + y) * width + col * 8 + x] = clamp(sum + 128);
+        }
+      }
+    }
+  }
+  return plane;
+}
+
+// 1/8-size samples of a component: each block's average, from its DC coefficient
+function dcPlane(c, table) {
+  const plane = new Uint8Array(c.blocksPerLineForMcu * c.blocksPerColumnForMcu);
+  for (let i = 0; i < plane.length; i++) {
+    plane[i] = clamp(c.coefficients[i * 64] * table[0] / 8 + 128);
+  }
+  return plane;
+}
+
+// Combine the component planes into RGBA, upsampling subsampled ones
+function toRgba(frame, scale, adobeTransform, jfif) {
+  const width = Math.ceil(frame.width / scale);
+  const height = Math.ceil(frame.height / scale);
+  const components = frame.components;
+  const out = new Uint8Array(width * height * 4);
+  const planeWidths = components.map(c => c.blocksPerLineForMcu * 8 / scale);
+  const xMaps = components.map(c => Int32Array.from({ length: width }, (_, x) => Math.floor(x * c.h / frame.maxH)));
+  const yMaps = components.map(c => Int32Array.from({ length: height }, (_, y) => Math.floor(y * c.v / frame.maxV)));
+  // Three components are YCbCr unless an Adobe marker says RGB, or the ids spell "RGB" without JFIF
+  const rgbIds = components.length === 3 && components[0].id === 0x52 && components[1].id === 0x47 && components[2].id === 0x42;
+  const isYcc = components.length === 3
+    ? adobeTransform !== 0 && !(rgbIds && !jfif && adobeTransform === null)
+    : components.length === 4 && adobeTransform === 2;
+
+  const values = new Float64Array(4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let i = 0; i < components.length; i++) {
+        values[i] = components[i].pixels[yMaps[i][y] * planeWidths[i] + xMaps[i][x]];
+      }
+      let r, g, b;
+      if (components.length < 3) {
+        r = g = b = values[0];
+      } else {
+        r = values[0];
+        g = values[1];
+        b = values[2];
+        if (isYcc) {
+          const cb = values[1] - 128;
+          const cr = values[2] - 128;
+          r = clamp(values[0] + 1.402 * cr);
+          g = clamp(values[0] - 0.344136 * cb - 0.714136 * cr);
+          b = clamp(values[0] + 1.772 * cb);
+        }
+        if (components.length === 4) {
+          // Adobe stores CMYK inverted, so this is (255 - C) * (255 - K) / 255 and so on
+          const k = values[3];
+          r = clamp(r * k / 255);
+          g = clamp(g * k / 255);
+          b = clamp(b * k / 255);
+        }
+      }
+      const o = (y * width + x) * 4;
+      out[o] = r;
+      out[o + 1] = g;
+      out[o + 2] = b;
+      out[o + 3] = 255;
+    }
+  }
+  return out;
+}
+
+// Standard tables from Annex K of the JPEG spec, used for encoding
+const LUMINANCE_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+const CHROMINANCE_QUANT = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99
+];
+const DC_LUMINANCE = {
+  counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+  symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+const DC_CHROMINANCE = {
+  counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+  symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+const AC_LUMINANCE = {
+  counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+  symbols: [
+    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+    0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+    0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+    0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+    0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+    0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+    0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+    0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+    0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+    0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+const AC_CHROMINANCE = {
+  counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+  symbols: [
+    0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+    0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+    0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+    0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+    0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+    0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+    0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+    0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+    0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+    0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+
+// Symbol -> [code, length] for a Huffman table given as counts per length
+function huffmanCodes({ counts, symbols }) {
+  const codes = [];
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) codes[symbols[k++]] = [code++, length];
+    code <<= 1;
+  }
+  return codes;
+}
+
+// A quantization table for a quality of 1-100 (the IJG scaling), in natural order
+function scaleQuant(base, quality) {
+  const factor = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return base.map(q => Math.min(255, Math.max(1, Math.floor((q * factor + 50) / 100))));
+}
+
+/**
+ * Encode RGBA pixels as a baseline JPEG (4:4:4, standard Huffman tables).
+ * Alpha is dropped; `quality` is 1-100.
+ */
+function encode({ width, height, data }, { quality = 80 } = {}) {
+  const quants = [scaleQuant(LUMINANCE_QUANT, quality), scaleQuant(CHROMINANCE_QUANT, quality)];
+  const tables = [
+    { dc: huffmanCodes(DC_LUMINANCE), ac: huffmanCodes(AC_LUMINANCE) },
+    { dc: huffmanCodes(DC_CHROMINANCE), ac: huffmanCodes(AC_CHROMINANCE) }
+  ];
+
+  const bytes = [];
+  const u16 = value => bytes.push(value >> 8, value & 0xff);
+  const segment = (marker, body) => {
+    bytes.push(0xff, marker);
+    u16(body.length + 2);
+    for (const b of body) bytes.push(b);
+  };
+
+  bytes.push(0xff, 0xd8);
+  segment(0xe0, [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  quants.forEach((table, id) => segment(0xdb, [id, ...Array.from(ZIGZAG, z => table[z])]));
+  segment(0xc0, [8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3, 1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  [[0x00, DC_LUMINANCE], [0x10, AC_LUMINANCE], [0x01, DC_CHROMINANCE], [0x11, AC_CHROMINANCE]].forEach(([id, t]) => {
+    segment(0xc4, [id, ...t.counts, ...t.symbols]);
+  });
+  segment(0xda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+
+  // Entropy-coded data, with a 0x00 after every 0xFF byte
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const writeBits = (code, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bitBuffer = (bitBuffer << 1) | ((code >> i) & 1);
+      if (++bitCount === 8) {
+        bytes.push(bitBuffer);
+        if (bitBuffer === 0xff) bytes.push(0);
+        bitBuffer = 0;
+        bitCount = 0;
+      }
+    }
+  };
+  // Magnitude category and the bits that encode a value within it
+  const writeValue = value => {
+    const magnitude = Math.abs(value);
+    const size = magnitude ? 32 - Math.clz32(magnitude) : 0;
+    return [size, value < 0 ? value + (1 << size) - 1 : value];
+  };
+
+  const block = new Float64Array(64);
+  const temp = new Float64Array(64);
+  const quantized = new Int32Array(64);
+  const preds = [0, 0, 0];
+  for (let by = 0; by < height; by += 8) {
+    for (let bx = 0; bx < width; bx += 8) {
+      for (let component = 0; component < 3; component++) {
+        // Level-shifted samples of this block (edges repeat the last pixel)
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            const o = (Math.min(by + y, height - 1) * width + Math.min(bx + x, width - 1)) * 4;
+            const r = data[o];
+            const g = data[o + 1];
+            const b = data[o + 2];
+            block[y * 8 + x] = component === 0 ? 0.299 * r + 0.587 * g + 0.114 * b - 128
+              : component === 1 ? -0.168736 * r - 0.331264 * g + 0.5 * b
+              : 0.5 * r - 0.418688 * g - 0.081312 * b;
+          }
+        }
+        // Forward DCT: rows, then columns
+        for (let y = 0; y < 8; y++) {
+          for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let x = 0; x < 8; x++) sum += COS[x * 8 + u] * block[y * 8 + x];
+            temp[y * 8 + u] = sum;
+          }
+        }
+        const quant = quants[component ? 1 : 0];
+        for (let u = 0; u < 8; u++) {
+          for (let v = 0; v < 8; v++) {
+            let sum = 0;
+            for (let y = 0; y < 8; y++) sum += COS[y * 8 + v] * temp[y * 8 + u];
+            quantized[v * 8 + u] = Math.round(sum / quant[v * 8 + u]);
+          }
+        }
+
+        const { dc, ac } = tables[component ? 1 : 0];
+        const [dcSize, dcBits] = writeValue(quantized[0] - preds[component]);
+        preds[component] = quantized[0];
+        writeBits(...dc[dcSize]);
+        writeBits(dcBits, dcSize);
+        let zeros = 0;
+        for (let k = 1; k < 64; k++) {
+          const value = quantized[ZIGZAG[k]];
+          if (value === 0) {
+            zeros++;
+            continue;
+          }
+          while (zeros > 15) {
+            writeBits(...ac[0xf0]);
+            zeros -= 16;
+          }
+          const [size, bits] = writeValue(value);
+          writeBits(...ac[(zeros << 4) | size]);
+          writeBits(bits, size);
+          zeros = 0;
+        }
+        if (zeros) writeBits(...ac[0x00]);
+      }
+    }
+  }
+  if (bitCount) writeBits(0x7f, 8 - bitCount);
+  bytes.push(0xff, 0xd9);
+  return Buffer.from(bytes);
+}
+
+module.exports = { isJpeg, readSize, decode, encode };
@@ -0,0 +1,201 @@
+/**
+ * LISTING.JS
+ *
+ * - One page of a folder's contents for /list-files: folders first,
+ *   then files, each group sorted by name, size, modification time or
+ *   type, and cut into pages with an opaque cursor.
+ * - Entries are read with readdir's file types and stat'ed
+ *   asynchronously in batches, and only as far as needed: sorting by
+ *   name or type only stats symlinks and the entries on the page, so a
+ *   folder of 100k files doesn't hold up other requests.
+ * - Symlinks are listed with the kind of what they point to and
+ *   `symlink: true`; links that are broken or lead out of the share
+ *   root are listed as kind "symlink" and can't be opened.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveSharePath } = require('./share-roots');
+const mime = require('./mime');
+
+const SORTS = ['name', 'size', 'mtime', 'type'];
+const KINDS = ['folder', 'file', 'symlink'];
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 5000;
+
+// How many stat calls run at once
+const STAT_BATCH = 64;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+class ListingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListingError';
+    this.statusCode = 400;
+  }
+}
+
+// Helper: the cursor carries the listing's settings and the sort key of the last entry sent
+function encodeCursor(settings, key) {
+  return Buffer.from(JSON.stringify({ ...settings, key })).toString('base64url');
+}
+
+function decodeCursor(cursor, settings) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new ListingError('Invalid cursor');
+  }
+  const matches = Object.keys(settings).every(name => decoded[name] === settings[name]);
+  if (!matches || !Array.isArray(decoded.key) || decoded.key.length !== 3) {
+    throw new ListingError('Cursor does not belong to this listing');
+  }
+  return decoded.key;
+}
+
+/**
+ * Turn /list-files query parameters into listing options; throws a
+ * ListingError for anything malformed.
+ */
+function parseListQuery(query) {
+  const sort = String(query.sort || 'name').toLowerCase();
+  if (!SORTS.includes(sort)) throw new ListingError(`Unknown sort: ${sort}`);
+  const order = String(query.order || 'asc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') throw new ListingError(`Unknown order: ${order}`);
+  const kinds = String(query.kind || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+  const unknown = kinds.filter(k => !KINDS.includes(k));
+  if (unknown.length) throw new ListingError(`Unknown kind: ${unknown.join(', ')}`);
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new ListingError(`Invalid limit: ${query.limit}`);
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+  const hidden = !['0', 'false', 'no'].includes(String(query.hidden ?? '1').toLowerCase());
+  const settings = { sort, order, hidden, kind: kinds.join(',') };
+  const after = query.cursor ? decodeCursor(query.cursor, settings) : null;
+  return { ...settings, kinds, limit, after };
+}
+
+// Run `fn` over `items`, STAT_BATCH at a time; resolves the results in order
+async function inBatches(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += STAT_BATCH) {
+    results.push(...await Promise.all(items.slice(i, i + STAT_BATCH).map(fn)));
+  }
+  return results;
+}
+
+// Helper: stat many paths; failures become null
+function statAll(fullPaths) {
+  return inBatches(fullPaths, p => fs.promises.stat(p).catch(() => null));
+}
+
+// Sort key of an entry: [group, value, name], folders (group 0) before everything else
+function sortKey(entry, sort) {
+  const group = entry.kind === 'folder' ? 0 : 1;
+  let value = null;
+  if (sort === 'size') value = entry.kind === 'file' && entry.stats ? entry.stats.size : null;
+  else if (sort === 'mtime') value = entry.stats ? entry.stats.mtimeMs : null;
+  else if (sort === 'type' && entry.kind !== 'folder') {
+    // Category, then extension; by name only, so the order is known without opening files
+    const ext = path.extname(entry.name).toLowerCase();
+    value = `${mime.categoryFor(mime.contentTypeFor(entry.name))}\0${ext}`;
+  }
+  return [group, value, entry.name];
+}
+
+// Compare two sort keys; the order applies within a group, and names break ties
+function compareKeys(a, b, order) {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  const direction = order === 'desc' ? -1 : 1;
+  if (a[1] !== b[1]) {
+    // Entries without a value (folder sizes, unreadable stats) go last either way
+    if (a[1] === null) return 1;
+    if (b[1] === null) return -1;
+    const byValue = typeof a[1] === 'number' ? a[1] - b[1] : collator.compare(a[1], b[1]);
+    if (byValue) return byValue * direction;
+  }
+  const byName = collator.compare(a[2], b[2]) || (a[2] < b[2] ? -1 : a[2] > b[2] ? 1 : 0);
+  return byName * direction;
+}
+
+// Kind of a symlink's target, if it is usable: inside the root and still there
+async function resolveLink(entry, virtualPath) {
+  try {
+    resolveSharePath(virtualPath);
+  } catch {
+    return { kind: 'symlink', stats: null };
+  }
+  const stats = await fs.promises.stat(entry.fullPath).catch(() => null);
+  if (stats && stats.isDirectory()) return { kind: 'folder', stats };
+  if (stats && stats.isFile()) return { kind: 'file', stats };
+  return { kind: 'symlink', stats: null };
+}
+
+/**
+ * One page of the folder `target` ({ fullPath, virtualPath }), as
+ * { entries, total: { folders, files }, nextCursor }. Entries are
+ * { name, fullPath, kind, symlink, stats }; stats may be null for a
+ * broken link or an entry that vanished.
+ */
+async function listDirectory(target, options) {
+  const dirents = await fs.promises.readdir(target.fullPath, { withFileTypes: true });
+  let entries = [];
+  for (const dirent of dirents) {
+    if (!options.hidden && dirent.name.startsWith('.')) continue;
+    const entry = { name: dirent.name, fullPath: path.join(target.fullPath, dirent.name), symlink: false, stats: null };
+    if (dirent.isDirectory()) entry.kind = 'folder';
+    else if (dirent.isFile()) entry.kind = 'file';
+    else if (dirent.isSymbolicLink()) entry.symlink = true;
+    else continue; // Sockets, pipes and devices aren't files anyone can download
+    entries.push(entry);
+  }
+
+  // Links need their target before they can be grouped
+  await inBatches(entries.filter(e => e.symlink), async entry => {
+    Object.assign(entry, await resolveLink(entry, `${target.virtualPath}/${entry.name}`));
+  });
+  if (options.kinds.length) entries = entries.filter(e => options.kinds.includes(e.kind));
+
+  // Sorting by size or time needs every entry's stats; by name or type only the page's
+  const needsStats = options.sort === 'size' || options.sort === 'mtime';
+  if (needsStats) {
+    const missing = entries.filter(e => !e.stats && e.kind !== 'symlink');
+    const stats = await statAll(missing.map(e => e.fullPath));
+    missing.forEach((entry, i) => { entry.stats = stats[i]; });
+  }
+
+  const keyed = entries.map(entry => ({ entry, key: sortKey(entry, options.sort) }));
+  keyed.sort((a, b) => compareKeys(a.key, b.key, options.order));
+  const total = {
+    folders: keyed.filter(k => k.key[0] === 0).length,
+    files: keyed.filter(k => k.key[0] === 1).length
+  };
+
+  let start = 0;
+  if (options.after) {
+    start = keyed.findIndex(k => compareKeys(k.key, options.after, options.order) > 0);
+    if (start === -1) start = keyed.length;
+  }
+  const page = keyed.slice(start, start + options.limit);
+  const hasMore = start + page.length < keyed.length;
+
+  if (!needsStats) {
+    const missing = page.map(k => k.entry).filter(e => !e.stats && e.kind !== 'symlink');
+    const stats = await statAll(missing.map(e => e.fullPath));
+    missing.forEach((entry, i) => { entry.stats = stats[i]; });
+  }
+
+  const settings = { sort: options.sort, order: options.order, hidden: options.hidden, kind: options.kinds.join(',') };
+  return {
+    entries: page.map(k => k.entry),
+    total,
+    nextCursor: hasMore ? encodeCursor(settings, page[page.length - 1].key) : null
+  };
+}
+
+module.exports = { ListingError, SORTS, STAT_BATCH, parseListQuery, listDirectory, inBatches };
@@ -0,0 +1,144 @@
+/**
+ * LIVE.JS
+ *
+ * - Server-Sent Events for /events: openEventStream() turns a response
+ *   into an event stream with a heartbeat, so proxies don't close it.
+ * - watchFolder() reports what changes in a folder (not below it):
+ *   "created", "modified" or "deleted", per entry name. One fs.watch
+ *   serves every stream watching the same folder. Bursts of raw events
+ *   (a file being written, a rename) are settled for DEBOUNCE ms and
+ *   then checked against the folder, so each change is reported once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEBOUNCE = 250;
+const HEARTBEAT = 25_000;
+// How long browsers wait before reconnecting a dropped stream
+const RETRY = 3000;
+
+// Folder path -> { watcher, listeners, known: name -> isFolder, pending: name -> timer, ready }
+const watched = new Map();
+
+/**
+ * Start an event stream on `res`. Returns { send(event, data), onClose(fn), end() };
+ * send() does nothing once the client is gone, and onClose() callbacks
+ * run when it goes.
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Keep nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY}\n\n`);
+
+  let closed = false;
+  const cleanups = [];
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT);
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    for (const fn of cleanups) fn();
+  });
+
+  return {
+    send(event, data) {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    onClose(fn) {
+      if (closed) fn();
+      else cleanups.push(fn);
+    },
+    end() {
+      if (!closed) res.end();
+    }
+  };
+}
+
+function notify(entry, change) {
+  for (const listener of entry.listeners) listener(change);
+}
+
+// Helper: stop watching a folder, for everyone
+function unwatch(fullPath) {
+  const entry = watched.get(fullPath);
+  if (!entry) return;
+  watched.delete(fullPath);
+  entry.watcher.close();
+  for (const timer of entry.pending.values()) clearTimeout(timer);
+}
+
+// What happened to `name` since we last looked, if anything
+async function settle(fullPath, entry, name) {
+  entry.pending.delete(name);
+  await entry.ready;
+  const stats = await fs.promises.lstat(path.join(fullPath, name)).catch(() => null);
+  if (watched.get(fullPath) !== entry) return;
+  if (stats) {
+    const isFolder = stats.isDirectory();
+    const type = entry.known.has(name) ? 'modified' : 'created';
+    entry.known.set(name, isFolder);
+    // A folder's own timestamps change with what is inside it, which isn't this folder's news
+    if (type === 'modified' && isFolder) return;
+    notify(entry, { type, name, isFolder });
+  } else if (entry.known.has(name)) {
+    const isFolder = entry.known.get(name);
+    entry.known.delete(name);
+    notify(entry, { type: 'deleted', name, isFolder });
+  } else if (!fs.existsSync(fullPath)) {
+    // The folder itself went away
+    notify(entry, { type: 'gone' });
+    unwatch(fullPath);
+  }
+  // Otherwise it came and went between two looks (a temp file); nothing to report
+}
+
+/**
+ * Call `listener({ type, name, isFolder })` for each change in the folder
+ * at `fullPath`; type "gone" (without a name) means the folder itself was
+ * removed and nothing more will come. Returns a function that stops
+ * listening. Throws if the folder can't be watched (such as ENOSPC when
+ * the system's inotify watches run out).
+ */
+function watchFolder(fullPath, listener) {
+  let entry = watched.get(fullPath);
+  if (!entry) {
+    const watcher = fs.watch(fullPath, { persistent: false });
+    entry = { watcher, listeners: new Set(), known: new Map(), pending: new Map(), ready: null };
+    const current = entry;
+    // Changes are told apart from creations by what was there before
+    current.ready = fs.promises.readdir(fullPath, { withFileTypes: true })
+      .then(dirents => { for (const d of dirents) current.known.set(d.name, d.isDirectory()); })
+      .catch(() => {});
+    watcher.on('change', (eventType, filename) => {
+      const name = filename ? String(filename) : null;
+      if (!name) {
+        // Some platforms don't say which entry changed
+        notify(current, { type: 'modified', name: null, isFolder: false });
+        return;
+      }
+      clearTimeout(current.pending.get(name));
+      current.pending.set(name, setTimeout(() => {
+        settle(fullPath, current, name).catch(err => console.error('Folder watch error:', err.message));
+      }, DEBOUNCE));
+    });
+    watcher.on('error', () => {
+      notify(current, { type: 'gone' });
+      unwatch(fullPath);
+    });
+    watched.set(fullPath, entry);
+  }
+  entry.listeners.add(listener);
+
+  return () => {
+    const current = watched.get(fullPath);
+    if (!current || !current.listeners.delete(listener)) return;
+    if (current.listeners.size === 0) unwatch(fullPath);
+  };
+}
+
+module.exports = { openEventStream, watchFolder };
@@ -0,0 +1,753 @@
+/**
+ * MIME.JS
+ *
+ * - The one table of content types: extension -> MIME type and the
+ *   category the file list shows (image, document, archive, audio,
+ *   video, code or other). Used by downloads, previews, static files,
+ *   WebDAV and /list-files.
+ * - Magic-byte sniffing for files with no, an unknown or a wrong
+ *   extension. A signature only overrides the extension when the two
+ *   disagree about the format: a .docx still sniffs as a ZIP, and stays
+ *   a .docx. Signatures found in text (HTML, XML, vCard...) and plain
+ *   text itself only count when the extension tells us nothing.
+ * - Which types a browser may show inline, and how they are previewed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TYPE = 'application/octet-stream';
+
+// How much of a file is read for sniffing (the tar header ends at 262)
+const SNIFF_BYTES = 512;
+
+// [MIME type, category, extensions]; the first row of a type sets its category
+const REGISTRY = [
+  // Images
+  ['image/jpeg', 'image', 'jpg jpeg jpe jfif pjpeg pjp'],
+  ['image/png', 'image', 'png'],
+  ['image/apng', 'image', 'apng'],
+  ['image/gif', 'image', 'gif'],
+  ['image/webp', 'image', 'webp'],
+  ['image/avif', 'image', 'avif'],
+  ['image/heic', 'image', 'heic'],
+  ['image/heif', 'image', 'heif'],
+  ['image/jxl', 'image', 'jxl'],
+  ['image/jp2', 'image', 'jp2 j2k jpf jpx jpm'],
+  ['image/vnd.ms-photo', 'image', 'jxr wdp hdp'],
+  ['image/bmp', 'image', 'bmp dib'],
+  ['image/x-icon', 'image', 'ico cur'],
+  ['image/x-icns', 'image', 'icns'],
+  ['image/svg+xml', 'image', 'svg svgz'],
+  ['image/tiff', 'image', 'tif tiff'],
+  ['image/vnd.adobe.photoshop', 'image', 'psd'],
+  ['image/x-xcf', 'image', 'xcf'],
+  ['image/x-portable-anymap', 'image', 'pnm'],
+  ['image/x-portable-bitmap', 'image', 'pbm'],
+  ['image/x-portable-graymap', 'image', 'pgm'],
+  ['image/x-portable-pixmap', 'image', 'ppm'],
+  ['image/x-xbitmap', 'image', 'xbm'],
+  ['image/x-xpixmap', 'image', 'xpm'],
+  ['image/x-tga', 'image', 'tga'],
+  ['image/x-pcx', 'image', 'pcx'],
+  ['image/vnd.radiance', 'image', 'hdr'],
+  ['image/x-exr', 'image', 'exr'],
+  ['image/vnd.ms-dds', 'image', 'dds'],
+  ['image/ktx', 'image', 'ktx'],
+  ['image/emf', 'image', 'emf'],
+  ['image/wmf', 'image', 'wmf'],
+  ['image/x-adobe-dng', 'image', 'dng'],
+  ['image/x-canon-cr2', 'image', 'cr2'],
+  ['image/x-canon-cr3', 'image', 'cr3'],
+  ['image/x-nikon-nef', 'image', 'nef nrw'],
+  ['image/x-sony-arw', 'image', 'arw srf sr2'],
+  ['image/x-olympus-orf', 'image', 'orf'],
+  ['image/x-fuji-raf', 'image', 'raf'],
+  ['image/x-panasonic-rw2', 'image', 'rw2'],
+  ['image/x-pentax-pef', 'image', 'pef'],
+
+  // Audio
+  ['audio/mpeg', 'audio', 'mp3 mpga mp2 m2a mpega'],
+  ['audio/mp4', 'audio', 'm4a m4b m4p mp4a'],
+  ['audio/aac', 'audio', 'aac adts'],
+  ['audio/wav', 'audio', 'wav'],
+  ['audio/x-aiff', 'audio', 'aif aiff aifc'],
+  ['audio/flac', 'audio', 'flac'],
+  ['audio/ogg', 'audio', 'ogg oga spx opus'],
+  ['audio/webm', 'audio', 'weba'],
+  ['audio/x-matroska', 'audio', 'mka'],
+  ['audio/midi', 'audio', 'mid midi kar rmi'],
+  ['audio/x-ms-wma', 'audio', 'wma'],
+  ['audio/x-ms-wax', 'audio', 'wax'],
+  ['audio/amr', 'audio', 'amr'],
+  ['audio/amr-wb', 'audio', 'awb'],
+  ['audio/ac3', 'audio', 'ac3'],
+  ['audio/eac3', 'audio', 'ec3'],
+  ['audio/vnd.dts', 'audio', 'dts'],
+  ['audio/x-ape', 'audio', 'ape'],
+  ['audio/x-wavpack', 'audio', 'wv'],
+  ['audio/x-musepack', 'audio', 'mpc'],
+  ['audio/x-tta', 'audio', 'tta'],
+  ['audio/x-caf', 'audio', 'caf'],
+  ['audio/basic', 'audio', 'au snd'],
+  ['audio/x-pn-realaudio', 'audio', 'ra ram'],
+  ['audio/x-mod', 'audio', 'mod'],
+  ['audio/x-s3m', 'audio', 's3m'],
+  ['audio/x-xm', 'audio', 'xm'],
+  ['audio/x-it', 'audio', 'it'],
+  ['audio/x-mpegurl', 'audio', 'm3u'],
+  ['audio/x-scpls', 'audio', 'pls'],
+
+  // Video
+  ['video/mp4', 'video', 'mp4 mp4v mpg4 m4v'],
+  ['video/webm', 'video', 'webm'],
+  ['video/ogg', 'video', 'ogv ogm'],
+  ['video/quicktime', 'video', 'mov qt'],
+  ['video/x-matroska', 'video', 'mkv mk3d'],
+  ['video/x-msvideo', 'video', 'avi'],
+  ['video/x-ms-asf', 'video', 'asf asx'],
+  ['video/x-ms-wmv', 'video', 'wmv'],
+  ['video/x-ms-wm', 'video', 'wm'],
+  ['video/x-ms-wmx', 'video', 'wmx'],
+  ['video/x-ms-wvx', 'video', 'wvx'],
+  ['video/x-flv', 'video', 'flv'],
+  ['video/x-f4v', 'video', 'f4v'],
+  ['video/mpeg', 'video', 'mpeg mpg mpe m1v m2v'],
+  ['video/mp2t', 'video', 'm2ts mts'],
+  ['video/3gpp', 'video', '3gp 3gpp'],
+  ['video/3gpp2', 'video', '3g2'],
+  ['video/x-ms-vob', 'video', 'vob'],
+  ['video/h264', 'video', 'h264'],
+  ['video/h265', 'video', 'h265 hevc'],
+  ['video/x-dv', 'video', 'dv dif'],
+  ['video/divx', 'video', 'divx'],
+  ['video/x-mng', 'video', 'mng'],
+  ['video/x-sgi-movie', 'video', 'movie'],
+  ['application/vnd.rn-realmedia', 'video', 'rm rmvb'],
+  ['application/vnd.apple.mpegurl', 'video', 'm3u8'],
+  ['application/dash+xml', 'video', 'mpd'],
+  ['text/vtt', 'video', 'vtt'],
+  ['text/x-subrip', 'video', 'srt'],
+  ['text/x-ssa', 'video', 'ass ssa'],
+
+  // Documents
+  ['application/pdf', 'document', 'pdf'],
+  ['application/msword', 'document', 'doc dot'],
+  ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'document', 'docx'],
+  ['application/vnd.openxmlformats-officedocument.wordprocessingml.template', 'document', 'dotx'],
+  ['application/vnd.ms-word.document.macroenabled.12', 'document', 'docm'],
+  ['application/vnd.ms-word.template.macroenabled.12', 'document', 'dotm'],
+  ['application/vnd.ms-excel', 'document', 'xls xlt xla'],
+  ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'document', 'xlsx'],
+  ['application/vnd.openxmlformats-officedocument.spreadsheetml.template', 'document', 'xltx'],
+  ['application/vnd.ms-excel.sheet.macroenabled.12', 'document', 'xlsm'],
+  ['application/vnd.ms-excel.sheet.binary.macroenabled.12', 'document', 'xlsb'],
+  ['application/vnd.ms-excel.template.macroenabled.12', 'document', 'xltm'],
+  ['application/vnd.ms-powerpoint', 'document', 'ppt pps pot'],
+  ['application/vnd.openxmlformats-officedocument.presentationml.presentation', 'document', 'pptx'],
+  ['application/vnd.openxmlformats-officedocument.presentationml.slideshow', 'document', 'ppsx'],
+  ['application/vnd.openxmlformats-officedocument.presentationml.template', 'document', 'potx'],
+  ['application/vnd.ms-powerpoint.presentation.macroenabled.12', 'document', 'pptm'],
+  ['application/vnd.ms-powerpoint.slideshow.macroenabled.12', 'document', 'ppsm'],
+  ['application/vnd.ms-visio.drawing', 'document', 'vsdx'],
+  ['application/vnd.visio', 'document', 'vsd vss vst'],
+  ['application/vnd.ms-project', 'document', 'mpp'],
+  ['application/vnd.ms-outlook', 'document', 'msg pst'],
+  ['application/onenote', 'document', 'one'],
+  ['application/vnd.ms-xpsdocument', 'document', 'xps'],
+  ['application/oxps', 'document', 'oxps'],
+  ['application/vnd.oasis.opendocument.text', 'document', 'odt'],
+  ['application/vnd.oasis.opendocument.text-template', 'document', 'ott'],
+  ['application/vnd.oasis.opendocument.spreadsheet', 'document', 'ods'],
+  ['application/vnd.oasis.opendocument.spreadsheet-template', 'document', 'ots'],
+  ['application/vnd.oasis.opendocument.presentation', 'document', 'odp'],
+  ['application/vnd.oasis.opendocument.presentation-template', 'document', 'otp'],
+  ['application/vnd.oasis.opendocument.graphics', 'document', 'odg'],
+  ['application/vnd.oasis.opendocument.formula', 'document', 'odf'],
+  ['application/vnd.oasis.opendocument.chart', 'document', 'odc'],
+  ['application/vnd.oasis.opendocument.database', 'document', 'odb'],
+  ['application/vnd.apple.pages', 'document', 'pages'],
+  ['application/vnd.apple.numbers', 'document', 'numbers'],
+  ['application/vnd.apple.keynote', 'document', 'key'],
+  ['application/vnd.wordperfect', 'document', 'wpd'],
+  ['application/x-abiword', 'document', 'abw'],
+  ['application/rtf', 'document', 'rtf'],
+  ['text/richtext', 'document', 'rtx'],
+  ['text/plain', 'document', 'txt text log'],
+  ['text/csv', 'document', 'csv'],
+  ['text/tab-separated-values', 'document', 'tsv tab'],
+  ['text/markdown', 'document', 'md markdown mdown mkd mkdn'],
+  ['text/x-rst', 'document', 'rst'],
+  ['text/asciidoc', 'document', 'adoc asciidoc'],
+  ['text/x-org', 'document', 'org'],
+  ['application/json', 'document', 'json'],
+  ['text/calendar', 'document', 'ics ifb'],
+  ['text/vcard', 'document', 'vcf vcard'],
+  ['message/rfc822', 'document', 'eml mht mhtml'],
+  ['application/x-tex', 'document', 'tex ltx'],
+  ['application/x-latex', 'document', 'latex'],
+  ['application/x-texinfo', 'document', 'texi texinfo'],
+  ['text/x-bibtex', 'document', 'bib'],
+  ['application/postscript', 'document', 'ps eps ai'],
+  ['application/epub+zip', 'document', 'epub'],
+  ['application/x-mobipocket-ebook', 'document', 'mobi prc'],
+  ['application/vnd.amazon.ebook', 'document', 'azw azw3'],
+  ['application/x-fictionbook+xml', 'document', 'fb2'],
+  ['application/vnd.comicbook+zip', 'document', 'cbz'],
+  ['application/vnd.comicbook-rar', 'document', 'cbr'],
+  ['image/vnd.djvu', 'document', 'djvu djv'],
+  ['application/vnd.ms-htmlhelp', 'document', 'chm'],
+
+  // Archives, compressed files and disk images
+  ['application/zip', 'archive', 'zip'],
+  ['application/vnd.rar', 'archive', 'rar'],
+  ['application/x-7z-compressed', 'archive', '7z'],
+  ['application/x-tar', 'archive', 'tar'],
+  ['application/gzip', 'archive', 'gz gzip tgz'],
+  ['application/x-bzip2', 'archive', 'bz2 bzip2 tbz tbz2'],
+  ['application/x-bzip', 'archive', 'bz'],
+  ['application/x-xz', 'archive', 'xz txz'],
+  ['application/zstd', 'archive', 'zst tzst'],
+  ['application/x-lzip', 'archive', 'lz'],
+  ['application/x-lzma', 'archive', 'lzma tlz'],
+  ['application/x-lz4', 'archive', 'lz4'],
+  ['application/x-brotli', 'archive', 'br'],
+  ['application/x-compress', 'archive', 'z taz'],
+  ['application/x-cpio', 'archive', 'cpio'],
+  ['application/x-shar', 'archive', 'shar'],
+  ['application/x-archive', 'archive', ''],
+  ['application/x-arj', 'archive', 'arj'],
+  ['application/x-lzh-compressed', 'archive', 'lzh lha'],
+  ['application/x-ace-compressed', 'archive', 'ace'],
+  ['application/x-freearc', 'archive', 'arc'],
+  ['application/x-stuffit', 'archive', 'sit'],
+  ['application/x-stuffitx', 'archive', 'sitx'],
+  ['application/vnd.ms-cab-compressed', 'archive', 'cab'],
+  ['application/java-archive', 'archive', 'jar war ear'],
+  ['application/vnd.android.package-archive', 'archive', 'apk'],
+  ['application/x-xpinstall', 'archive', 'xpi'],
+  ['application/x-chrome-extension', 'archive', 'crx'],
+  ['application/vnd.debian.binary-package', 'archive', 'deb udeb'],
+  ['application/x-rpm', 'archive', 'rpm'],
+  ['application/x-iso9660-image', 'archive', 'iso'],
+  ['application/x-apple-diskimage', 'archive', 'dmg'],
+  ['application/x-virtualbox-vdi', 'archive', 'vdi'],
+  ['application/x-vmdk', 'archive', 'vmdk'],
+  ['application/x-vhd', 'archive', 'vhd vhdx'],
+  ['application/x-qemu-disk', 'archive', 'qcow qcow2'],
+
+  // Source code, markup and config
+  ['text/html', 'code', 'html htm shtml'],
+  ['application/xhtml+xml', 'code', 'xhtml xht'],
+  ['text/css', 'code', 'css'],
+  ['text/x-scss', 'code', 'scss'],
+  ['text/x-sass', 'code', 'sass'],
+  ['text/x-less', 'code', 'less'],
+  ['text/x-stylus', 'code', 'styl'],
+  ['text/javascript', 'code', 'js mjs cjs'],
+  ['text/jsx', 'code', 'jsx'],
+  ['text/typescript', 'code', 'ts mts cts tsx'],
+  ['text/x-coffeescript', 'code', 'coffee'],
+  ['text/x-vue', 'code', 'vue'],
+  ['text/x-svelte', 'code', 'svelte'],
+  ['application/json5', 'code', 'json5 jsonc'],
+  ['application/x-ndjson', 'code', 'ndjson jsonl'],
+  ['application/ld+json', 'code', 'jsonld'],
+  ['application/geo+json', 'code', 'geojson'],
+  ['application/manifest+json', 'code', 'webmanifest'],
+  ['application/x-ipynb+json', 'code', 'ipynb'],
+  ['application/json', 'code', 'map'],
+  ['application/xml', 'code', 'xml xsd csproj vbproj vcxproj props targets resx'],
+  ['application/xslt+xml', 'code', 'xsl xslt'],
+  ['application/xml-dtd', 'code', 'dtd'],
+  ['application/rss+xml', 'code', 'rss'],
+  ['application/atom+xml', 'code', 'atom'],
+  ['application/rdf+xml', 'code', 'rdf'],
+  ['application/wsdl+xml', 'code', 'wsdl'],
+  ['application/x-xliff+xml', 'code', 'xlf xliff'],
+  ['application/x-plist', 'code', 'plist'],
+  ['application/yaml', 'code', 'yaml yml'],
+  ['application/toml', 'code', 'toml'],
+  ['text/x-ini', 'code', 'ini cfg conf cnf env editorconfig'],
+  ['text/x-java-properties', 'code', 'properties'],
+  ['application/sql', 'code', 'sql'],
+  ['application/graphql', 'code', 'graphql gql'],
+  ['text/x-protobuf', 'code', 'proto'],
+  ['application/x-sh', 'code', 'sh bash zsh ksh csh fish'],
+  ['text/x-powershell', 'code', 'ps1 psm1 psd1'],
+  ['text/x-msdos-batch', 'code', 'bat cmd'],
+  ['text/x-python', 'code', 'py pyw pyi'],
+  ['text/x-ruby', 'code', 'rb rbw rake gemspec'],
+  ['text/x-php', 'code', 'php phtml php3 php4 php5 phps'],
+  ['text/x-perl', 'code', 'pl pm'],
+  ['text/x-lua', 'code', 'lua'],
+  ['text/x-tcl', 'code', 'tcl'],
+  ['text/x-r', 'code', 'r rmd'],
+  ['text/x-julia', 'code', 'jl'],
+  ['text/x-java-source', 'code', 'java'],
+  ['text/x-kotlin', 'code', 'kt kts'],
+  ['text/x-scala', 'code', 'scala sc'],
+  ['text/x-groovy', 'code', 'groovy gradle'],
+  ['text/x-clojure', 'code', 'clj cljs cljc edn'],
+  ['text/x-c', 'code', 'c h'],
+  ['text/x-c++', 'code', 'cpp cc cxx c++ hpp hh hxx h++ ino'],
+  ['text/x-csharp', 'code', 'cs csx'],
+  ['text/x-objective-c', 'code', 'm mm'],
+  ['text/x-swift', 'code', 'swift'],
+  ['text/x-go', 'code', 'go'],
+  ['text/x-rust', 'code', 'rs'],
+  ['text/x-zig', 'code', 'zig'],
+  ['text/x-nim', 'code', 'nim'],
+  ['text/x-d', 'code', 'd'],
+  ['text/x-dart', 'code', 'dart'],
+  ['text/x-haskell', 'code', 'hs lhs'],
+  ['text/x-elm', 'code', 'elm'],
+  ['text/x-ocaml', 'code', 'ml mli'],
+  ['text/x-fsharp', 'code', 'fs fsi fsx'],
+  ['text/x-erlang', 'code', 'erl hrl'],
+  ['text/x-elixir', 'code', 'ex exs'],
+  ['text/x-crystal', 'code', 'cr'],
+  ['text/x-lisp', 'code', 'lisp lsp el'],
+  ['text/x-scheme', 'code', 'scm ss rkt'],
+  ['text/x-pascal', 'code', 'pas'],
+  ['text/x-fortran', 'code', 'f f77 f90 f95 for'],
+  ['text/x-cobol', 'code', 'cob cbl'],
+  ['text/x-ada', 'code', 'adb ads'],
+  ['text/x-asm', 'code', 'asm s'],
+  ['text/x-vb', 'code', 'vb vbs bas'],
+  ['text/x-vhdl', 'code', 'vhdl'],
+  ['text/x-verilog', 'code', 'v sv svh'],
+  ['text/x-glsl', 'code', 'glsl vert frag'],
+  ['text/x-hlsl', 'code', 'hlsl'],
+  ['text/x-cuda', 'code', 'cu cuh'],
+  ['text/x-solidity', 'code', 'sol'],
+  ['text/x-awk', 'code', 'awk'],
+  ['text/x-makefile', 'code', 'mk mak'],
+  ['text/x-cmake', 'code', 'cmake'],
+  ['text/x-dockerfile', 'code', 'dockerfile'],
+  ['text/x-hcl', 'code', 'tf tfvars hcl'],
+  ['text/x-nix', 'code', 'nix'],
+  ['text/x-diff', 'code', 'diff patch'],
+  ['text/x-gherkin', 'code', 'feature'],
+  ['text/x-handlebars', 'code', 'hbs handlebars'],
+  ['text/x-mustache', 'code', 'mustache'],
+  ['text/x-pug', 'code', 'pug jade'],
+  ['text/x-haml', 'code', 'haml'],
+  ['text/x-twig', 'code', 'twig'],
+  ['text/x-liquid', 'code', 'liquid'],
+  ['text/x-ejs', 'code', 'ejs'],
+  ['text/x-gettext-translation', 'code', 'po'],
+
+  // Everything else: fonts, programs, data, keys, 3D models
+  ['font/woff', 'other', 'woff'],
+  ['font/woff2', 'other', 'woff2'],
+  ['font/ttf', 'other', 'ttf'],
+  ['font/otf', 'other', 'otf'],
+  ['font/collection', 'other', 'ttc'],
+  ['application/vnd.ms-fontobject', 'other', 'eot'],
+  ['application/x-font-type1', 'other', 'pfa pfb'],
+  ['application/x-font-bdf', 'other', 'bdf'],
+  ['application/x-font-pcf', 'other', 'pcf'],
+  ['application/x-msdownload', 'other', 'exe dll'],
+  ['application/x-msi', 'other', 'msi'],
+  ['application/x-executable', 'other', ''],
+  ['application/x-sharedlib', 'other', 'so'],
+  ['application/x-mach-binary', 'other', 'dylib'],
+  ['application/x-ole-storage', 'other', ''],
+  ['application/vnd.appimage', 'other', 'appimage'],
+  ['application/java-vm', 'other', 'class'],
+  ['application/x-python-code', 'other', 'pyc pyo'],
+  ['application/wasm', 'other', 'wasm'],
+  ['application/x-shockwave-flash', 'other', 'swf'],
+  ['application/x-java-jnlp-file', 'other', 'jnlp'],
+  ['application/x-ms-shortcut', 'other', 'lnk'],
+  ['application/x-bittorrent', 'other', 'torrent'],
+  ['application/vnd.sqlite3', 'other', 'sqlite sqlite3 db3'],
+  ['application/x-msaccess', 'other', 'mdb accdb'],
+  ['application/x-hdf5', 'other', 'h5 hdf5'],
+  ['application/x-netcdf', 'other', 'nc'],
+  ['application/vnd.apache.parquet', 'other', 'parquet'],
+  ['application/avro', 'other', 'avro'],
+  ['application/x-matlab-data', 'other', 'mat'],
+  ['application/vnd.tcpdump.pcap', 'other', 'pcap'],
+  ['application/x-pcapng', 'other', 'pcapng'],
+  ['application/x-gettext-translation', 'other', 'mo'],
+  ['application/x-x509-ca-cert', 'other', 'crt cer der'],
+  ['application/x-pem-file', 'other', 'pem'],
+  ['application/pkcs10', 'other', 'p10 csr'],
+  ['application/pkix-crl', 'other', 'crl'],
+  ['application/x-pkcs12', 'other', 'p12 pfx'],
+  ['application/pkcs7-mime', 'other', 'p7m p7c'],
+  ['application/pkcs7-signature', 'other', 'p7s'],
+  ['application/pgp-signature', 'other', 'sig asc'],
+  ['application/pgp-encrypted', 'other', 'pgp gpg'],
+  ['application/vnd.google-earth.kml+xml', 'other', 'kml'],
+  ['application/vnd.google-earth.kmz', 'other', 'kmz'],
+  ['application/gpx+xml', 'other', 'gpx'],
+  ['model/gltf+json', 'other', 'gltf'],
+  ['model/gltf-binary', 'other', 'glb'],
+  ['model/obj', 'other', 'obj'],
+  ['model/stl', 'other', 'stl'],
+  ['model/3mf', 'other', '3mf'],
+  ['model/vnd.collada+xml', 'other', 'dae'],
+  ['model/vrml', 'other', 'wrl vrml'],
+  ['model/x3d+xml', 'other', 'x3d'],
+  ['model/step', 'other', 'stp step'],
+  ['model/iges', 'other', 'igs iges'],
+  ['application/x-blender', 'other', 'blend'],
+  ['application/octet-stream', 'other', 'bin']
+];
+
+const TYPE_BY_EXTENSION = new Map();
+const CATEGORY_BY_TYPE = new Map();
+const CATEGORY_BY_EXTENSION = new Map();
+for (const [type, category, extensions] of REGISTRY) {
+  if (!CATEGORY_BY_TYPE.has(type)) CATEGORY_BY_TYPE.set(type, category);
+  for (const ext of extensions.split(' ').filter(Boolean)) {
+    TYPE_BY_EXTENSION.set(ext, type);
+    CATEGORY_BY_EXTENSION.set(ext, category);
+  }
+}
+
+// Files known by their whole name rather than an extension
+const TYPE_BY_NAME = new Map([
+  ['makefile', 'text/x-makefile'],
+  ['gnumakefile', 'text/x-makefile'],
+  ['dockerfile', 'text/x-dockerfile'],
+  ['containerfile', 'text/x-dockerfile'],
+  ['gemfile', 'text/x-ruby'],
+  ['rakefile', 'text/x-ruby'],
+  ['vagrantfile', 'text/x-ruby'],
+  ['cmakelists.txt', 'text/x-cmake']
+]);
+
+// Application types that are text all the same
+const TEXT_APPLICATION_TYPES = new Set([
+  'application/json', 'application/json5', 'application/x-ndjson', 'application/yaml', 'application/toml',
+  'application/sql', 'application/graphql', 'application/x-sh', 'application/x-tex', 'application/x-latex',
+  'application/x-texinfo', 'application/x-plist'
+]);
+
+// Formats whose signatures are shared by other formats built on them: within a
+// group the extension says which one it is
+const FAMILIES = [
+  ['application/zip', 'application/epub+zip', 'application/java-archive', 'application/vnd.android.package-archive',
+    'application/x-xpinstall', 'application/vnd.comicbook+zip', 'application/vnd.google-earth.kmz', 'model/3mf',
+    'application/vnd.ms-xpsdocument', 'application/oxps', 'application/vnd.ms-visio.drawing',
+    'application/vnd.apple.pages', 'application/vnd.apple.numbers', 'application/vnd.apple.keynote',
+    ...[...CATEGORY_BY_TYPE.keys()].filter(type => /openxmlformats|macroenabled|opendocument/.test(type))],
+  ['application/x-ole-storage', 'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint',
+    'application/vnd.ms-outlook', 'application/x-msi', 'application/vnd.visio', 'application/vnd.ms-project'],
+  ['image/tiff', 'image/x-adobe-dng', 'image/x-canon-cr2', 'image/x-nikon-nef', 'image/x-sony-arw',
+    'image/x-pentax-pef'],
+  ['video/mp4', 'audio/mp4', 'video/quicktime', 'video/3gpp', 'video/3gpp2', 'image/avif', 'image/heic',
+    'image/heif', 'image/x-canon-cr3', 'video/x-f4v'],
+  ['audio/ogg', 'video/ogg'],
+  ['video/x-matroska', 'video/webm', 'audio/webm', 'audio/x-matroska'],
+  ['video/x-ms-asf', 'video/x-ms-wmv', 'audio/x-ms-wma', 'video/x-ms-wm'],
+  ['application/gzip', 'image/svg+xml'],
+  ['application/x-executable', 'application/x-sharedlib', 'application/vnd.appimage'],
+  ['image/png', 'image/apng'],
+  ['application/x-archive', 'application/vnd.debian.binary-package']
+];
+const FAMILY_OF = new Map();
+for (const family of FAMILIES) {
+  for (const type of family) FAMILY_OF.set(type, family);
+}
+
+const ascii = (buffer, offset, length) => buffer.toString('latin1', offset, offset + length);
+const bytesAt = (buffer, offset, bytes) =>
+  buffer.length >= offset + bytes.length && bytes.every((b, i) => buffer[offset + i] === b);
+
+// ISO base media files (MP4, MOV, HEIC, AVIF...) name their flavour in the ftyp box
+function isoBrandType(brand) {
+  if (brand === 'qt  ') return 'video/quicktime';
+  if (/^M4[ABP] $/.test(brand)) return 'audio/mp4';
+  if (brand === 'avif' || brand === 'avis') return 'image/avif';
+  if (/^he[iv][cxms]$/.test(brand)) return 'image/heic';
+  if (brand === 'mif1' || brand === 'msf1') return 'image/heif';
+  if (brand === 'crx ') return 'image/x-canon-cr3';
+  if (brand.startsWith('3g2')) return 'video/3gpp2';
+  if (brand.startsWith('3gp')) return 'video/3gpp';
+  return 'video/mp4';
+}
+
+// ODF and EPUB files start with an uncompressed "mimetype" entry
+function zipType(buffer) {
+  if (ascii(buffer, 30, 8) !== 'mimetype') return 'application/zip';
+  const length = buffer.readUInt32LE(18);
+  const type = ascii(buffer, 38, Math.min(length, 80)).trim();
+  return CATEGORY_BY_TYPE.has(type) ? type : 'application/zip';
+}
+
+// [test, type] in order; `type` may be a function of the buffer
+const SIGNATURES = [
+  [b => bytesAt(b, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), 'image/png'],
+  [b => bytesAt(b, 0, [0xff, 0xd8, 0xff]), 'image/jpeg'],
+  [b => /^GIF8[79]a/.test(ascii(b, 0, 6)), 'image/gif'],
+  [b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WEBP', 'image/webp'],
+  [b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WAVE', 'audio/wav'],
+  [b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'AVI ', 'video/x-msvideo'],
+  [b => ascii(b, 0, 2) === 'BM' && b.length >= 14 && b.readUInt32LE(6) === 0, 'image/bmp'],
+  [b => ascii(b, 0, 4) === 'II*\0' || ascii(b, 0, 4) === 'MM\0*', 'image/tiff'],
+  [b => ascii(b, 0, 4) === 'IIRO', 'image/x-olympus-orf'],
+  [b => ascii(b, 0, 4) === 'IIU\0', 'image/x-panasonic-rw2'],
+  [b => ascii(b, 0, 16) === 'FUJIFILMCCD-RAW ', 'image/x-fuji-raf'],
+  [b => ascii(b, 0, 4) === '8BPS', 'image/vnd.adobe.photoshop'],
+  [b => ascii(b, 0, 8) === 'gimp xcf', 'image/x-xcf'],
+  [b => ascii(b, 0, 4) === 'icns', 'image/x-icns'],
+  [b => ascii(b, 0, 4) === 'DDS ', 'image/vnd.ms-dds'],
+  [b => bytesAt(b, 0, [0x76, 0x2f, 0x31, 0x01]), 'image/x-exr'],
+  [b => ascii(b, 0, 10) === '#?RADIANCE', 'image/vnd.radiance'],
+  [b => bytesAt(b, 0, [0, 0, 0, 0x0c, 0x6a, 0x50, 0x20, 0x20, 0x0d, 0x0a, 0x87, 0x0a]), 'image/jp2'],
+  [b => bytesAt(b, 0, [0xff, 0x0a]) || bytesAt(b, 0, [0, 0, 0, 0x0c, 0x4a, 0x58, 0x4c, 0x20]), 'image/jxl'],
+  [b => ascii(b, 4, 4) === 'ftyp', b => isoBrandType(ascii(b, 8, 4))],
+  [b => ascii(b, 0, 8) === 'AT&TFORM', 'image/vnd.djvu'],
+  [b => ascii(b, 0, 5) === '%PDF-', 'application/pdf'],
+  [b => ascii(b, 0, 4) === '%!PS', 'application/postscript'],
+  [b => ascii(b, 0, 5) === '{\\rtf', 'application/rtf'],
+  [b => ascii(b, 60, 8) === 'BOOKMOBI', 'application/x-mobipocket-ebook'],
+  [b => ascii(b, 0, 4) === 'ITSF', 'application/vnd.ms-htmlhelp'],
+  [b => bytesAt(b, 0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), 'application/x-ole-storage'],
+  [b => ascii(b, 0, 4) === 'PK\x03\x04', zipType],
+  [b => ascii(b, 0, 4) === 'PK\x05\x06', 'application/zip'],
+  [b => ascii(b, 0, 6) === 'Rar!\x1a\x07', 'application/vnd.rar'],
+  [b => bytesAt(b, 0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), 'application/x-7z-compressed'],
+  [b => bytesAt(b, 0, [0x1f, 0x8b]), 'application/gzip'],
+  [b => ascii(b, 0, 3) === 'BZh', 'application/x-bzip2'],
+  [b => bytesAt(b, 0, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]), 'application/x-xz'],
+  [b => bytesAt(b, 0, [0x28, 0xb5, 0x2f, 0xfd]), 'application/zstd'],
+  [b => bytesAt(b, 0, [0x04, 0x22, 0x4d, 0x18]), 'application/x-lz4'],
+  [b => ascii(b, 0, 4) === 'LZIP', 'application/x-lzip'],
+  [b => bytesAt(b, 0, [0x1f, 0x9d]), 'application/x-compress'],
+  [b => ascii(b, 257, 5) === 'ustar', 'application/x-tar'],
+  [b => ascii(b, 0, 4) === 'MSCF', 'application/vnd.ms-cab-compressed'],
+  [b => ascii(b, 0, 4) === 'Cr24', 'application/x-chrome-extension'],
+  [b => ascii(b, 0, 21) === '!<arch>\ndebian-binary', 'application/vnd.debian.binary-package'],
+  [b => ascii(b, 0, 8) === '!<arch>\n', 'application/x-archive'],
+  [b => bytesAt(b, 0, [0xed, 0xab, 0xee, 0xdb]), 'application/x-rpm'],
+  [b => ascii(b, 0, 4) === 'KDMV', 'application/x-vmdk'],
+  [b => ascii(b, 0, 4) === 'QFI\xfb', 'application/x-qemu-disk'],
+  [b => ascii(b, 0, 8) === 'conectix' || ascii(b, 0, 8) === 'vhdxfile', 'application/x-vhd'],
+  [b => ascii(b, 64, 4) === '\x7f\x10\xda\xbe', 'application/x-virtualbox-vdi'],
+  [b => ascii(b, 0, 3) === 'ID3', 'audio/mpeg'],
+  [b => ascii(b, 0, 4) === 'fLaC', 'audio/flac'],
+  [b => ascii(b, 0, 4) === 'OggS', b => /^\x80theora|^\x01video/.test(ascii(b, 28, 7)) ? 'video/ogg' : 'audio/ogg'],
+  [b => ascii(b, 0, 4) === 'MThd', 'audio/midi'],
+  [b => ascii(b, 0, 4) === 'FORM' && /^AIF[FC]$/.test(ascii(b, 8, 4)), 'audio/x-aiff'],
+  [b => ascii(b, 0, 5) === '#!AMR', 'audio/amr'],
+  [b => ascii(b, 0, 4) === 'caff', 'audio/x-caf'],
+  [b => ascii(b, 0, 4) === '.snd', 'audio/basic'],
+  [b => ascii(b, 0, 4) === 'MAC ', 'audio/x-ape'],
+  [b => ascii(b, 0, 4) === 'wvpk', 'audio/x-wavpack'],
+  [b => ascii(b, 0, 4) === 'MPCK', 'audio/x-musepack'],
+  [b => ascii(b, 0, 4) === 'TTA1', 'audio/x-tta'],
+  [b => bytesAt(b, 0, [0x1a, 0x45, 0xdf, 0xa3]), b => ascii(b, 0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska'],
+  [b => ascii(b, 0, 3) === 'FLV', 'video/x-flv'],
+  [b => bytesAt(b, 0, [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]), 'video/x-ms-asf'],
+  [b => bytesAt(b, 0, [0, 0, 1, 0xba]) || bytesAt(b, 0, [0, 0, 1, 0xb3]), 'video/mpeg'],
+  // MPEG transport stream: a sync byte every 188 bytes (and not text that happens to have them)
+  [b => b.length > 376 && b[0] === 0x47 && b[188] === 0x47 && b[376] === 0x47 && !isTextContent(b), 'video/mp2t'],
+  [b => ascii(b, 0, 4) === '.RMF', 'application/vnd.rn-realmedia'],
+  [b => ascii(b, 0, 4) === 'wOFF', 'font/woff'],
+  [b => ascii(b, 0, 4) === 'wOF2', 'font/woff2'],
+  [b => ascii(b, 0, 4) === 'OTTO', 'font/otf'],
+  [b => ascii(b, 0, 4) === 'ttcf', 'font/collection'],
+  [b => ascii(b, 0, 4) === '\x7fELF', 'application/x-executable'],
+  [b => ascii(b, 0, 2) === 'MZ' && b.length >= 64 && ascii(b, b.readUInt32LE(60), 4) === 'PE\0\0', 'application/x-msdownload'],
+  [b => [0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(b.length >= 4 && b.readUInt32BE(0)), 'application/x-mach-binary'],
+  [b => ascii(b, 0, 4) === '\0asm', 'application/wasm'],
+  [b => /^[FCZ]WS/.test(ascii(b, 0, 3)), 'application/x-shockwave-flash'],
+  [b => ascii(b, 0, 16) === 'SQLite format 3\0', 'application/vnd.sqlite3'],
+  [b => ascii(b, 0, 8) === '\x89HDF\r\n\x1a\n', 'application/x-hdf5'],
+  [b => /^CDF[\x01\x02]/.test(ascii(b, 0, 4)), 'application/x-netcdf'],
+  [b => ascii(b, 0, 4) === 'PAR1', 'application/vnd.apache.parquet'],
+  [b => ascii(b, 0, 4) === 'Obj\x01', 'application/avro'],
+  [b => [0xa1b2c3d4, 0xd4c3b2a1].includes(b.length >= 4 && b.readUInt32BE(0)), 'application/vnd.tcpdump.pcap'],
+  [b => bytesAt(b, 0, [0x0a, 0x0d, 0x0d, 0x0a]), 'application/x-pcapng'],
+  [b => ascii(b, 0, 4) === 'glTF', 'model/gltf-binary'],
+  [b => ascii(b, 0, 7) === 'BLENDER', 'application/x-blender'],
+  [b => ascii(b, 0, 8) === 'd8:annou', 'application/x-bittorrent']
+];
+
+// Signatures that may turn up in other files by chance: only used when the extension is unknown
+const WEAK_SIGNATURES = [
+  [b => bytesAt(b, 0, [0, 0, 1, 0]) && b.length >= 6 && b.readUInt16LE(4) > 0, 'image/x-icon'],
+  [b => b[0] === 0xff && (b[1] & 0xf6) === 0xf0, 'audio/aac'],
+  [b => b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0, 'audio/mpeg'],
+  [b => bytesAt(b, 0, [0, 1, 0, 0, 0]), 'font/ttf']
+];
+
+const SCRIPT_TYPES = {
+  python: 'text/x-python',
+  node: 'text/javascript',
+  ruby: 'text/x-ruby',
+  perl: 'text/x-perl',
+  php: 'text/x-php'
+};
+
+// Markup and other text formats, told apart by how they start
+function textType(text) {
+  const head = text.replace(/^\uFEFF/, '').trimStart().slice(0, 256).toLowerCase();
+  if (/^<!doctype html|^<html[\s>]|^<head[\s>]|^<body[\s>]/.test(head)) return 'text/html';
+  if (head.startsWith('<svg') || (head.startsWith('<?xml') && /<svg[\s>]/.test(text))) return 'image/svg+xml';
+  if (head.startsWith('<?xml')) return 'application/xml';
+  if (head.startsWith('begin:vcard')) return 'text/vcard';
+  if (head.startsWith('begin:vcalendar')) return 'text/calendar';
+  if (head.startsWith('#!')) {
+    const interpreter = head.match(/^#!\s*\S*?(python|node|ruby|perl|php)/);
+    return interpreter ? SCRIPT_TYPES[interpreter[1]] : 'application/x-sh';
+  }
+  return null;
+}
+
+// Bytes that are text: no NULs and valid UTF-8 (a character cut off at the end is fine), or UTF-16 with a BOM
+function isTextContent(buffer) {
+  if (bytesAt(buffer, 0, [0xff, 0xfe]) || bytesAt(buffer, 0, [0xfe, 0xff])) return true;
+  if (buffer.includes(0)) return false;
+  for (let cut = 0; cut < 4 && cut < buffer.length; cut++) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(0, buffer.length - cut));
+      return true;
+    } catch {
+      // An incomplete character at the end; try without it
+    }
+  }
+  return false;
+}
+
+/**
+ * What the first bytes of a file say it is: { type, weak } or null.
+ * `weak` results (text, markup, short signatures) can be wrong for a
+ * file with a real extension and are only used when there is none.
+ */
+function sniff(buffer) {
+  if (!buffer.length) return null;
+  for (const [test, type] of SIGNATURES) {
+    if (test(buffer)) return { type: typeof type === 'function' ? type(buffer) : type, weak: false };
+  }
+  for (const [test, type] of WEAK_SIGNATURES) {
+    if (test(buffer)) return { type, weak: true };
+  }
+  if (!isTextContent(buffer)) return null;
+  return { type: textType(buffer.toString('utf8')) || 'text/plain', weak: true };
+}
+
+// MIME type from a file name alone, or null
+function typeForName(fileName) {
+  const name = path.basename(fileName).toLowerCase();
+  if (TYPE_BY_NAME.has(name)) return TYPE_BY_NAME.get(name);
+  return TYPE_BY_EXTENSION.get(path.extname(name).slice(1)) || null;
+}
+
+// Content-Type for a file name, by extension (binary when we don't know it)
+function contentTypeFor(fileName) {
+  return typeForName(fileName) || DEFAULT_TYPE;
+}
+
+// Pick between what the name says and what the content says
+function reconcile(named, sniffed) {
+  if (!sniffed) return named || DEFAULT_TYPE;
+  if (!named) return sniffed.type;
+  if (sniffed.weak || named === sniffed.type) return named;
+  const family = FAMILY_OF.get(sniffed.type);
+  return family && family.includes(named) ? named : sniffed.type;
+}
+
+/**
+ * MIME type of a file on disk, from its name and its first bytes. With
+ * { sniffKnown: false } files whose extension is known are not opened,
+ * which is what listings use; single files are always sniffed. See
+ * detectTypeAsync() for many files at once.
+ */
+function detectType(fullPath, { sniffKnown = true } = {}) {
+  const named = typeForName(fullPath);
+  if (named && !sniffKnown) return named;
+  let buffer;
+  try {
+    const fd = fs.openSync(fullPath, 'r');
+    try {
+      buffer = Buffer.alloc(SNIFF_BYTES);
+      buffer = buffer.subarray(0, fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0));
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return named || DEFAULT_TYPE;
+  }
+  return reconcile(named, sniff(buffer));
+}
+
+// detectType() without blocking: for listings, where a page may hold thousands of files
+async function detectTypeAsync(fullPath, { sniffKnown = true } = {}) {
+  const named = typeForName(fullPath);
+  if (named && !sniffKnown) return named;
+  let buffer;
+  try {
+    const handle = await fs.promises.open(fullPath, 'r');
+    try {
+      const { bytesRead } = await handle.read(buffer = Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+      buffer = buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  } catch {
+    return named || DEFAULT_TYPE;
+  }
+  return reconcile(named, sniff(buffer));
+}
+
+// File list category: image, document, archive, audio, video, code or other
+function categoryFor(type) {
+  if (CATEGORY_BY_TYPE.has(type)) return CATEGORY_BY_TYPE.get(type);
+  const top = type.split('/')[0];
+  if (top === 'text') return 'document';
+  return ['image', 'audio', 'video'].includes(top) ? top : 'other';
+}
+
+function isText(type) {
+  return type.startsWith('text/') || TEXT_APPLICATION_TYPES.has(type) || /[+/](json|xml)$/.test(type);
+}
+
+// What browsers can show of each kind; anything else is only downloaded
+const PREVIEW_MEDIA = {
+  image: ['image/jpeg', 'image/png', 'image/apng', 'image/gif', 'image/webp', 'image/avif', 'image/bmp',
+    'image/x-icon', 'image/svg+xml'],
+  pdf: ['application/pdf'],
+  audio: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/wav', 'audio/flac', 'audio/ogg', 'audio/webm'],
+  video: ['video/mp4', 'video/webm', 'video/ogg', 'video/quicktime']
+};
+const PREVIEW_BY_TYPE = new Map(
+  Object.entries(PREVIEW_MEDIA).flatMap(([kind, types]) => types.map(type => [type, kind]))
+);
+
+// How a file of this type can be previewed: "image", "pdf", "audio", "video", "text" or null
+function previewKindFor(type) {
+  if (PREVIEW_BY_TYPE.has(type)) return PREVIEW_BY_TYPE.get(type);
+  return isText(type) ? 'text' : null;
+}
+
+/**
+ * Content-Disposition for serving a file of this type: "inline" for
+ * what a browser shows without running anything of it (pictures, PDF,
+ * audio, video, plain text), "attachment" for the rest, HTML and SVG
+ * included.
+ */
+function dispositionFor(type) {
+  const kind = previewKindFor(type);
+  if (type === 'image/svg+xml') return 'attachment';
+  return kind && (kind !== 'text' || type === 'text/plain') ? 'inline' : 'attachment';
+}
+
+module.exports = {
+  DEFAULT_TYPE,
+  typeForName,
+  contentTypeFor,
+  sniff,
+  detectType,
+  detectTypeAsync,
+  categoryFor,
+  isText,
+  previewKindFor,
+  dispositionFor
+};
@@ -0,0 +1,166 @@
+/**
+ * PERMISSIONS.JS
+ *
+ * - Per-user, per-folder access rules loaded from permissions.json
+ *   (or the file named by config.permissionsFile).
+ * - Actions: "read" (list + download), "upload" and "delete".
+ *   A folder where someone may upload but not read is a drop box.
+ * - The most specific rule path that matches the caller wins; rules
+ *   with the same path add their actions together.
+ * - Admins may do everything. Without a rules file nothing is enforced.
+ *
+ * Example permissions.json:
+ *   {
+ *     "identityHeader": "X-Remote-User",
+ *     "admins": ["alice"],
+ *     "groups": { "staff": ["bob", "carol"] },
+ *     "rules": [
+ *       { "path": "/uploads", "users": ["@staff"], "allow": ["read", "upload"] },
+ *       { "path": "/uploads/inbox", "users": ["*"], "allow": ["upload"] }
+ *     ]
+ *   }
+ */
+
+const fs = require('fs');
+const { config, resolveConfigPath } = require('./config');
+
+const ACTIONS = ['read', 'upload', 'delete'];
+const rulesFile = resolveConfigPath(config.permissionsFile || 'permissions.json');
+
+let policy = null;
+let policyMtime = 0;
+
+// Helper: split a virtual path into its segments
+function segmentsOf(virtualPath) {
+  return String(virtualPath || '/').split('/').filter(Boolean);
+}
+
+// Re-read the rules whenever the file changes on disk
+function loadPolicy() {
+  try {
+    const mtime = fs.statSync(rulesFile).mtimeMs;
+    if (mtime !== policyMtime) {
+      const data = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+      policy = {
+        identityHeader: data.identityHeader ? String(data.identityHeader).toLowerCase() : null,
+        admins: data.admins || [],
+        groups: data.groups || {},
+        rules: (data.rules || []).map(r => ({
+          segments: segmentsOf(r.path),
+          users: r.users || ['*'],
+          allow: (r.allow || []).filter(a => ACTIONS.includes(a))
+        }))
+      };
+      policyMtime = mtime;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      // Keep the last good policy rather than silently opening everything up
+      console.error(`Failed to read permissions file ${rulesFile}:`, err.message);
+      return policy || { identityHeader: null, admins: [], groups: {}, rules: [] };
+    }
+    policy = null;
+    policyMtime = 0;
+  }
+  return policy;
+}
+
+function isAccessControlEnabled() {
+  return loadPolicy() !== null;
+}
+
+/**
+ * Work out who is calling: the logged-in user if there is one, otherwise
+ * the configured trusted header (e.g. set by a reverse proxy).
+ * Returns { name, admin, groups } — name is null for anonymous callers.
+ */
+function getIdentity(req) {
+  const current = loadPolicy();
+  if (req.user) return identityFor(req.user.username, !!req.user.admin);
+  if (current && current.identityHeader && req.headers[current.identityHeader]) {
+    return identityFor(String(req.headers[current.identityHeader]).trim() || null);
+  }
+  return identityFor(null);
+}
+
+// The identity of a known user (e.g. whoever created a share link)
+function identityFor(name, admin = false) {
+  const current = loadPolicy();
+  const groups = [];
+  if (current && name) {
+    for (const [group, members] of Object.entries(current.groups)) {
+      if (members.includes(name)) groups.push(group);
+    }
+    if (current.admins.includes(name) || groups.includes('admins')) admin = true;
+  }
+  return { name, admin, groups };
+}
+
+function ruleMatchesUser(rule, identity) {
+  return rule.users.some(u => {
+    if (u === '*') return true;
+    if (!identity.name) return false;
+    if (u.startsWith('@')) return identity.groups.includes(u.slice(1));
+    return u === identity.name;
+  });
+}
+
+// Helper: does `prefix` cover `segments` (same folder or a parent of it)?
+function covers(prefix, segments) {
+  return prefix.length <= segments.length && prefix.every((s, i) => s === segments[i]);
+}
+
+/**
+ * Effective permissions of `identity` on a virtual path,
+ * as { read, upload, delete } booleans.
+ */
+function permissionsFor(identity, virtualPath) {
+  const current = loadPolicy();
+  if (!current || identity.admin) {
+    return { read: true, upload: true, delete: true };
+  }
+
+  const segments = segmentsOf(virtualPath);
+  let best = -1;
+  let allowed = new Set();
+  for (const rule of current.rules) {
+    if (!covers(rule.segments, segments) || !ruleMatchesUser(rule, identity)) continue;
+    if (rule.segments.length > best) {
+      best = rule.segments.length;
+      allowed = new Set(rule.allow);
+    } else if (rule.segments.length === best) {
+      rule.allow.forEach(a => allowed.add(a));
+    }
+  }
+  return { read: allowed.has('read'), upload: allowed.has('upload'), delete: allowed.has('delete') };
+}
+
+function can(identity, action, virtualPath) {
+  return permissionsFor(identity, virtualPath)[action] === true;
+}
+
+/**
+ * True if the caller has any permission on this path or somewhere below it,
+ * so the folder browser can lead them to e.g. a drop box deep in a tree.
+ */
+function canReach(identity, virtualPath) {
+  const current = loadPolicy();
+  if (!current || identity.admin) return true;
+  const perms = permissionsFor(identity, virtualPath);
+  if (perms.read || perms.upload || perms.delete) return true;
+  const segments = segmentsOf(virtualPath);
+  return current.rules.some(rule =>
+    rule.allow.length > 0 &&
+    covers(segments, rule.segments) &&
+    ruleMatchesUser(rule, identity));
+}
+
+module.exports = {
+  ACTIONS,
+  isAccessControlEnabled,
+  getIdentity,
+  identityFor,
+  permissionsFor,
+  can,
+  canReach
+};
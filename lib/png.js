@@ -0,0 +1,228 @@
+/**
+ * PNG.JS
+ *
+ * - Decodes PNG images to 8-bit RGBA pixels and encodes RGBA pixels as
+ *   PNG, with nothing but the built-in zlib. Used for thumbnails.
+ * - Reads every standard format: greyscale, RGB, palette, with or
+ *   without alpha (including tRNS), 1 to 16 bits per sample, interlaced
+ *   or not. Animated PNGs give their default image.
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('./zip-writer');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [x start, y start, x step, y step]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+function isPng(buffer) {
+  return buffer.length >= 8 && buffer.subarray(0, 8).equals(SIGNATURE);
+}
+
+// Width and height from the IHDR chunk that opens every PNG; null if it isn't in `buffer`
+function readSize(buffer) {
+  if (!isPng(buffer) || buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// Helper: the Paeth predictor from the PNG spec
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Undo the per-row filters of one (sub)image in place; returns the next offset
+function unfilter(data, offset, rowBytes, rows, bpp) {
+  let prev = null;
+  for (let y = 0; y < rows; y++) {
+    const type = data[offset];
+    const row = offset + 1;
+    if (row + rowBytes > data.length) throw new Error('PNG data is truncated');
+    for (let i = 0; i < rowBytes; i++) {
+      const a = i >= bpp ? data[row + i - bpp] : 0;
+      const b = prev !== null ? data[prev + i] : 0;
+      const c = prev !== null && i >= bpp ? data[prev + i - bpp] : 0;
+      switch (type) {
+        case 0: break;
+        case 1: data[row + i] = (data[row + i] + a) & 0xff; break;
+        case 2: data[row + i] = (data[row + i] + b) & 0xff; break;
+        case 3: data[row + i] = (data[row + i] + ((a + b) >> 1)) & 0xff; break;
+        case 4: data[row + i] = (data[row + i] + paeth(a, b, c)) & 0xff; break;
+        default: throw new Error(`Unknown PNG filter ${type}`);
+      }
+    }
+    prev = row;
+    offset = row + rowBytes;
+  }
+  return offset;
+}
+
+/**
+ * Decode a PNG to { width, height, data } with data as RGBA bytes.
+ * Throws for broken files, and for images of more than `maxPixels`
+ * pixels (code "TOO_LARGE") before decompressing anything.
+ */
+function decode(buffer, { maxPixels = Infinity } = {}) {
+  if (!isPng(buffer)) throw new Error('Not a PNG file');
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let pos = 8; pos + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    const body = buffer.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  if (!header || !idat.length) throw new Error('PNG has no image data');
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) throw new Error('Unsupported PNG format');
+  if (colorType === 3 && !palette) throw new Error('PNG palette is missing');
+  if (!width || !height) throw new Error('PNG has no pixels');
+  if (width * height > maxPixels) {
+    throw Object.assign(new Error(`Image is too large (${width}x${height})`), { code: 'TOO_LARGE' });
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const out = new Uint8Array(width * height * 4);
+  const maxValue = (1 << bitDepth) - 1;
+
+  // Sample `index` of the row starting at `row`, scaled to 8 bits
+  const sample = (row, index) => {
+    if (bitDepth === 8) return raw[row + index];
+    if (bitDepth === 16) return raw[row + index * 2];
+    const bit = index * bitDepth;
+    const value = (raw[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    return colorType === 3 ? value : Math.round(value * 255 / maxValue);
+  };
+  // tRNS for greyscale and RGB names one color, at the image's bit depth
+  const rawSample = (row, index) => {
+    if (bitDepth === 16) return raw.readUInt16BE(row + index * 2);
+    if (bitDepth === 8) return raw[row + index];
+    const bit = index * bitDepth;
+    return (raw[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+  };
+
+  const putPixel = (row, x, target) => {
+    const o = target * 4;
+    const s = x * channels;
+    switch (colorType) {
+      case 0: {
+        const v = sample(row, s);
+        out[o] = out[o + 1] = out[o + 2] = v;
+        out[o + 3] = transparency && rawSample(row, s) === transparency.readUInt16BE(0) ? 0 : 255;
+        break;
+      }
+      case 2:
+        out[o] = sample(row, s);
+        out[o + 1] = sample(row, s + 1);
+        out[o + 2] = sample(row, s + 2);
+        out[o + 3] = transparency &&
+          rawSample(row, s) === transparency.readUInt16BE(0) &&
+          rawSample(row, s + 1) === transparency.readUInt16BE(2) &&
+          rawSample(row, s + 2) === transparency.readUInt16BE(4) ? 0 : 255;
+        break;
+      case 3: {
+        const index = sample(row, s);
+        out[o] = palette[index * 3] || 0;
+        out[o + 1] = palette[index * 3 + 1] || 0;
+        out[o + 2] = palette[index * 3 + 2] || 0;
+        out[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+      case 4:
+        out[o] = out[o + 1] = out[o + 2] = sample(row, s);
+        out[o + 3] = sample(row, s + 1);
+        break;
+      case 6:
+        out[o] = sample(row, s);
+        out[o + 1] = sample(row, s + 1);
+        out[o + 2] = sample(row, s + 2);
+        out[o + 3] = sample(row, s + 3);
+        break;
+    }
+  };
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+    const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+    const start = offset;
+    offset = unfilter(raw, offset, rowBytes, passHeight, bpp);
+    for (let y = 0; y < passHeight; y++) {
+      const row = start + y * (rowBytes + 1) + 1;
+      for (let x = 0; x < passWidth; x++) {
+        putPixel(row, x, (y0 + y * dy) * width + x0 + x * dx);
+      }
+    }
+  }
+  return { width, height, data: out };
+}
+
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])) >>> 0, 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+// Encode RGBA pixels as an 8-bit RGBA PNG (each row with the "up" filter)
+function encode({ width, height, data }) {
+  const rowBytes = width * 4;
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (rowBytes + 1);
+    raw[row] = 2;
+    for (let i = 0; i < rowBytes; i++) {
+      const above = y > 0 ? data[(y - 1) * rowBytes + i] : 0;
+      raw[row + 1 + i] = (data[y * rowBytes + i] - above) & 0xff;
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = { isPng, readSize, decode, encode };
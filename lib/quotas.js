@@ -0,0 +1,346 @@
+/**
+ * QUOTAS.JS
+ *
+ * - Limits on what uploads may add to the disk: config.maxFileSize per
+ *   file, config.folderQuotas ({ "/files/projects": "50GB" }) for all
+ *   files under a folder, config.userQuotas ({ "bob": "10GB", "*": "1GB" })
+ *   for what each user uploaded, and config.minFreeSpace, the free disk
+ *   space every upload has to leave. Sizes are bytes or strings like
+ *   "500MB" (units of 1024). An upload never gets more than the free space.
+ * - Uploads are checked when they start, against their announced size
+ *   plus the uploads still in flight (see reserve()), and again while
+ *   their data arrives. Failures are QuotaErrors: 413 for a limit, 507
+ *   when the disk is too full.
+ * - A user's usage is what their uploads left behind: a ledger
+ *   (config.quotaUsageFile, default "quota-usage.json" next to the
+ *   config file) of the files each user uploaded, counted at their
+ *   current size while they still exist. It follows renames and moves.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { config, resolveConfigPath } = require('./config');
+const { resolveSharePath } = require('./share-roots');
+
+const UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+// "500MB", "1.5 GB" or a number of bytes; null when not set
+function parseSize(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?B)?\s*$/i.exec(String(value));
+  if (!match) throw new Error(`Invalid size: ${value}`);
+  return Math.round(Number(match[1]) * UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(1)} ${units[unit]}`;
+}
+
+const maxFileSize = parseSize(config.maxFileSize);
+const minFreeSpace = parseSize(config.minFreeSpace) || 0;
+const folderQuotas = Object.entries(config.folderQuotas || {}).map(([folder, limit]) => ({
+  path: folder.replace(/\/+$/, '') || '/',
+  limit: parseSize(limit)
+}));
+const userQuotas = Object.fromEntries(Object.entries(config.userQuotas || {}).map(([name, limit]) => [name, parseSize(limit)]));
+const usageFile = resolveConfigPath(config.quotaUsageFile || 'quota-usage.json');
+
+// Re-check the free space every this many bytes of a streamed upload
+const CHECK_INTERVAL = 64 * 1024 * 1024;
+// Folder sizes are walked at most this often
+const FOLDER_CACHE_MS = 30 * 1000;
+
+class QuotaError extends Error {
+  constructor(statusCode, code, message, details = {}) {
+    super(message);
+    this.name = 'QuotaError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Uploads in flight: key -> { virtualPath, owner, size, written() }
+const reservations = new Map();
+
+/**
+ * Count an upload that has started but not finished against the limits
+ * of later ones. `written` reports how much of it is already on disk.
+ */
+function reserve(key, { virtualPath, owner, size, written = () => 0 }) {
+  reservations.set(key, { virtualPath, owner, size: size || 0, written });
+}
+
+function release(key) {
+  reservations.delete(key);
+}
+
+function isInside(virtualPath, folder) {
+  return folder === '/' || virtualPath === folder || virtualPath.startsWith(folder + '/');
+}
+
+function reservedBytes(exceptKey, matches) {
+  let bytes = 0;
+  for (const [key, r] of reservations) {
+    if (key !== exceptKey && matches(r)) bytes += r.size;
+  }
+  return bytes;
+}
+
+// Total size of the files below a folder (cached for a little while)
+const folderSizes = new Map();
+
+async function folderSize(fullPath) {
+  const cached = folderSizes.get(fullPath);
+  if (cached && Date.now() - cached.at < FOLDER_CACHE_MS) return cached.bytes;
+  let bytes = 0;
+  const walk = async dir => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return; // Gone, or not readable: nothing to count
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full);
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(full).catch(() => null);
+        if (stats) bytes += stats.size;
+      }
+    }
+  };
+  await walk(fullPath);
+  folderSizes.set(fullPath, { bytes, at: Date.now() });
+  return bytes;
+}
+
+function loadLedger() {
+  try {
+    return JSON.parse(fs.readFileSync(usageFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to read quota usage ${usageFile}:`, err.message);
+    return { users: {} };
+  }
+}
+
+function saveLedger(ledger) {
+  fs.mkdirSync(path.dirname(usageFile), { recursive: true });
+  fs.writeFileSync(usageFile + '.tmp', JSON.stringify(ledger));
+  fs.renameSync(usageFile + '.tmp', usageFile);
+}
+
+// Bytes of the files `user` uploaded that are still there
+async function userUsage(user) {
+  const ledger = loadLedger();
+  const files = ledger.users[user] || {};
+  let bytes = 0;
+  let changed = false;
+  for (const virtualPath of Object.keys(files)) {
+    let stats = null;
+    try {
+      stats = await fs.promises.stat(resolveSharePath(virtualPath).fullPath);
+    } catch {
+      // Deleted, or its share root is gone
+    }
+    if (stats && stats.isFile()) {
+      bytes += stats.size;
+    } else {
+      delete files[virtualPath];
+      changed = true;
+    }
+  }
+  if (changed) saveLedger(ledger);
+  return bytes;
+}
+
+// Note that `user` put `size` bytes at `virtualPath`
+function recordUpload(user, virtualPath, size) {
+  for (const folder of folderSizes.keys()) folderSizes.delete(folder);
+  if (!user || !Object.keys(userQuotas).length) return;
+  try {
+    const ledger = loadLedger();
+    // Whoever replaced a file owns it now
+    for (const files of Object.values(ledger.users)) delete files[virtualPath];
+    (ledger.users[user] = ledger.users[user] || {})[virtualPath] = size;
+    saveLedger(ledger);
+  } catch (err) {
+    console.error(`Failed to record quota usage of ${virtualPath}:`, err.message);
+  }
+}
+
+// Let the ledger follow a file or folder that was renamed or moved
+function moveUsage(fromPath, toPath) {
+  for (const folder of folderSizes.keys()) folderSizes.delete(folder);
+  if (!Object.keys(userQuotas).length || fromPath === toPath) return;
+  try {
+    const ledger = loadLedger();
+    let changed = false;
+    for (const files of Object.values(ledger.users)) {
+      for (const virtualPath of Object.keys(files)) {
+        if (!isInside(virtualPath, fromPath)) continue;
+        files[toPath + virtualPath.slice(fromPath.length)] = files[virtualPath];
+        delete files[virtualPath];
+        changed = true;
+      }
+    }
+    if (changed) saveLedger(ledger);
+  } catch (err) {
+    console.error(`Failed to move quota usage of ${fromPath}:`, err.message);
+  }
+}
+
+// Free bytes on the disk holding `fullPath` (or its nearest existing parent)
+async function freeSpace(fullPath) {
+  let dir = fullPath;
+  for (;;) {
+    try {
+      const stats = await fs.promises.statfs(dir);
+      return stats.bavail * stats.bsize;
+    } catch (err) {
+      const parent = path.dirname(dir);
+      if (err.code !== 'ENOENT' || parent === dir) throw err;
+      dir = parent;
+    }
+  }
+}
+
+/**
+ * Throw a 507 QuotaError unless `bytes` more fit on the disks holding
+ * `dirs` with minFreeSpace to spare, after what the other uploads in
+ * flight still have to write. Resolves how many bytes would fit.
+ */
+async function checkFreeSpace(dirs, bytes, exceptKey) {
+  let pending = 0;
+  for (const [key, r] of reservations) {
+    if (key !== exceptKey) pending += Math.max(0, r.size - r.written());
+  }
+  let room = Infinity;
+  for (const dir of new Set(dirs)) {
+    room = Math.min(room, await freeSpace(dir) - minFreeSpace - pending);
+  }
+  if (bytes > room) {
+    throw new QuotaError(507, 'INSUFFICIENT_STORAGE', `Not enough free disk space (${formatSize(Math.max(0, room))} available)`, {
+      available: Math.max(0, room)
+    });
+  }
+  return room;
+}
+
+/**
+ * Check that `identity` may upload `size` bytes to `virtualPath`
+ * (`dirs`: where it lands and where it is staged), not counting its own
+ * reservation `key`. Throws a QuotaError, or resolves the most bytes
+ * the upload may bring, for uploads whose size isn't known up front:
+ * { maxBytes, code }, where code names the limit that set it (the error
+ * code for going past it), for guardStream().
+ */
+async function checkUpload(identity, virtualPath, size, dirs, key) {
+  const allowed = { maxBytes: Infinity, code: null };
+  const tighten = (bytes, code) => {
+    if (bytes < allowed.maxBytes) Object.assign(allowed, { maxBytes: bytes, code });
+  };
+  if (maxFileSize !== null) {
+    if (size > maxFileSize) {
+      throw new QuotaError(413, 'FILE_TOO_LARGE', `File is too large (${formatSize(size)}; the limit is ${formatSize(maxFileSize)})`, {
+        limit: maxFileSize
+      });
+    }
+    tighten(maxFileSize, 'FILE_TOO_LARGE');
+  }
+
+  for (const quota of folderQuotas) {
+    if (quota.limit === null || !isInside(virtualPath, quota.path)) continue;
+    let used;
+    try {
+      used = await folderSize(resolveSharePath(quota.path).fullPath);
+    } catch {
+      continue; // A quota on a folder that isn't shared
+    }
+    used += reservedBytes(key, r => isInside(r.virtualPath, quota.path));
+    const left = Math.max(0, quota.limit - used);
+    if (size > left) {
+      throw new QuotaError(413, 'FOLDER_QUOTA_EXCEEDED', `Not enough room in ${quota.path} (${formatSize(left)} of ${formatSize(quota.limit)} left)`, {
+        folder: quota.path,
+        limit: quota.limit,
+        used
+      });
+    }
+    tighten(left, 'FOLDER_QUOTA_EXCEEDED');
+  }
+
+  const userLimit = identity.name ? (userQuotas[identity.name] ?? userQuotas['*'] ?? null) : null;
+  if (userLimit !== null) {
+    const used = await userUsage(identity.name) + reservedBytes(key, r => r.owner === identity.name);
+    const left = Math.max(0, userLimit - used);
+    if (size > left) {
+      throw new QuotaError(413, 'USER_QUOTA_EXCEEDED', `Your storage quota is used up (${formatSize(left)} of ${formatSize(userLimit)} left)`, {
+        limit: userLimit,
+        used
+      });
+    }
+    tighten(left, 'USER_QUOTA_EXCEEDED');
+  }
+
+  tighten(await checkFreeSpace(dirs, size, key), 'INSUFFICIENT_STORAGE');
+  return allowed;
+}
+
+/**
+ * A pass-through for upload data that stops once more than
+ * `allowed.maxBytes` (from checkUpload) went through, or the free disk
+ * space (re-checked as it goes) runs out. It keeps reading but drops the
+ * rest, so the client still gets an answer: check `.error` once the data
+ * is in. `.bytes` counts what passed.
+ */
+function guardStream({ maxBytes, code }, dirs, key) {
+  let nextCheck = CHECK_INTERVAL;
+  const guard = new Transform({
+    transform(data, encoding, callback) {
+      if (guard.error) return callback();
+      if (guard.bytes + data.length > maxBytes) {
+        guard.error = code === 'INSUFFICIENT_STORAGE'
+          ? new QuotaError(507, code, `Not enough free disk space (${formatSize(maxBytes)} available)`, { available: maxBytes })
+          : new QuotaError(413, code, `Upload is larger than the ${formatSize(maxBytes)} it may use`, { limit: maxBytes });
+        return callback();
+      }
+      guard.bytes += data.length;
+      if (guard.bytes < nextCheck) return callback(null, data);
+      nextCheck = guard.bytes + CHECK_INTERVAL;
+      checkFreeSpace(dirs, 0, key).then(() => callback(null, data), err => {
+        if (!(err instanceof QuotaError)) return callback(err);
+        guard.error = err;
+        callback();
+      });
+    }
+  });
+  guard.bytes = 0;
+  guard.error = null;
+  return guard;
+}
+
+module.exports = {
+  QuotaError,
+  parseSize,
+  formatSize,
+  maxFileSize,
+  minFreeSpace,
+  reserve,
+  release,
+  checkUpload,
+  checkFreeSpace,
+  guardStream,
+  recordUpload,
+  moveUsage
+};
@@ -0,0 +1,182 @@
+/**
+ * SEARCH.JS
+ *
+ * - Finds files and folders below a folder (or in every share root) by
+ *   name: a plain substring or a glob (lib/glob.js), both
+ *   case-insensitive. There is no regular expression mode: one test of a
+ *   badly backtracking pattern could hold up the server for minutes.
+ * - Filters on the file list category (lib/mime.js), size and
+ *   modification time. Folders only match when there is no category or
+ *   size filter.
+ * - The walk stops at `maxDepth` levels, after `timeLimit` ms or at
+ *   `limit` results, whichever comes first, and only goes where the
+ *   caller may read.
+ */
+
+const { walkSharePath, listRoots, isVirtualRoot, resolveSharePath } = require('./share-roots');
+const permissions = require('./permissions');
+const mime = require('./mime');
+const { compileGlob } = require('./glob');
+const { parseSize } = require('./quotas');
+
+const MODES = ['name', 'glob'];
+const CATEGORIES = ['image', 'document', 'archive', 'audio', 'video', 'code', 'other'];
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const DEFAULT_TIME_LIMIT = 10_000;
+const MAX_TIME_LIMIT = 60_000;
+const DEFAULT_MAX_DEPTH = 20;
+const MAX_DEPTH = 100;
+
+const MAX_PATTERN_LENGTH = 200;
+
+class SearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchError';
+    this.statusCode = 400;
+  }
+}
+
+// Helper: a whole number from the query within [min, max], or the default
+function intParam(value, name, fallback, min, max) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) throw new SearchError(`Invalid ${name}: ${value}`);
+  return Math.min(number, max);
+}
+
+function dateParam(value, name) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new SearchError(`Invalid ${name}: ${value}`);
+  return time;
+}
+
+function sizeParam(value, name) {
+  try {
+    return parseSize(value);
+  } catch {
+    throw new SearchError(`Invalid ${name}: ${value}`);
+  }
+}
+
+/**
+ * Turn /search query parameters into search options; throws a
+ * SearchError for anything malformed.
+ */
+function parseSearchQuery(query) {
+  const text = String(query.q || '').trim();
+  const mode = String(query.mode || 'name').toLowerCase();
+  if (!MODES.includes(mode)) throw new SearchError(`Unknown search mode: ${mode}`);
+  if (text.length > MAX_PATTERN_LENGTH) throw new SearchError(`Search is too long (at most ${MAX_PATTERN_LENGTH} characters)`);
+
+  let matchName = () => true;
+  if (text && mode === 'name') {
+    const needle = text.toLowerCase();
+    matchName = name => name.toLowerCase().includes(needle);
+  } else if (text && mode === 'glob') {
+    let match;
+    try {
+      match = compileGlob(text);
+    } catch (err) {
+      throw new SearchError(err.message);
+    }
+    matchName = (name, relPath) => match(relPath);
+  }
+
+  const types = String(query.type || '').split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+  const unknown = types.filter(t => !CATEGORIES.includes(t));
+  if (unknown.length) throw new SearchError(`Unknown file type: ${unknown.join(', ')}`);
+
+  const options = {
+    matchName,
+    types,
+    minSize: sizeParam(query.minSize, 'minSize'),
+    maxSize: sizeParam(query.maxSize, 'maxSize'),
+    modifiedAfter: dateParam(query.modifiedAfter, 'modifiedAfter'),
+    modifiedBefore: dateParam(query.modifiedBefore, 'modifiedBefore'),
+    maxDepth: intParam(query.maxDepth, 'maxDepth', DEFAULT_MAX_DEPTH, 1, MAX_DEPTH),
+    limit: intParam(query.limit, 'limit', DEFAULT_LIMIT, 1, MAX_LIMIT),
+    timeLimit: intParam(query.timeLimit, 'timeLimit', DEFAULT_TIME_LIMIT, 100, MAX_TIME_LIMIT)
+  };
+  if (!text && !types.length && options.minSize === null && options.maxSize === null &&
+      options.modifiedAfter === null && options.modifiedBefore === null) {
+    throw new SearchError('Give a search term or at least one filter');
+  }
+  return options;
+}
+
+// Helper: the result line for a matching entry, or null
+async function describeMatch(entry, name, options) {
+  const modified = entry.stats.mtimeMs;
+  if (options.modifiedAfter !== null && modified < options.modifiedAfter) return null;
+  if (options.modifiedBefore !== null && modified > options.modifiedBefore) return null;
+
+  if (entry.isDirectory) {
+    if (options.types.length || options.minSize !== null || options.maxSize !== null) return null;
+    return { path: entry.virtualPath, name, isFolder: true, modified: entry.stats.mtime.toISOString() };
+  }
+  const size = entry.stats.size;
+  if (options.minSize !== null && size < options.minSize) return null;
+  if (options.maxSize !== null && size > options.maxSize) return null;
+  const mimeType = await mime.detectTypeAsync(entry.fullPath, { sniffKnown: false });
+  const type = mime.categoryFor(mimeType);
+  if (options.types.length && !options.types.includes(type)) return null;
+  return {
+    path: entry.virtualPath,
+    name,
+    isFolder: false,
+    size,
+    modified: entry.stats.mtime.toISOString(),
+    type,
+    mimeType
+  };
+}
+
+/**
+ * Search below `startPath` ("/" for every share root) for what
+ * `identity` may read. Yields result objects; the return value
+ * summarises the run: { count, scanned, truncated, reason } where
+ * reason is "limit", "time" or "cancelled" when it stopped early.
+ * `isCancelled()` is checked between entries.
+ */
+async function* searchTree(identity, startPath, options, isCancelled = () => false) {
+  const started = Date.now();
+  const starts = isVirtualRoot(startPath)
+    ? listRoots().filter(root => permissions.canReach(identity, root.path)).map(root => root.path)
+    : [resolveSharePath(startPath).virtualPath];
+
+  let count = 0;
+  let scanned = 0;
+  let reason = null;
+  for (const start of starts) {
+    const walk = walkSharePath(start, {
+      enterDir: entry =>
+        entry.relPath.split('/').length < options.maxDepth &&
+        permissions.canReach(identity, entry.virtualPath)
+    });
+    for await (const entry of walk) {
+      scanned++;
+      if (isCancelled()) reason = 'cancelled';
+      else if (Date.now() - started > options.timeLimit) reason = 'time';
+      if (reason) break;
+
+      const name = entry.relPath.split('/').pop();
+      if (!options.matchName(name, entry.relPath)) continue;
+      if (!permissions.can(identity, 'read', entry.virtualPath)) continue;
+      const match = await describeMatch(entry, name, options);
+      if (!match) continue;
+      yield match;
+      if (++count >= options.limit) {
+        reason = 'limit';
+        break;
+      }
+    }
+    if (reason) break;
+  }
+  return { count, scanned, truncated: reason !== null, reason, elapsedMs: Date.now() - started };
+}
+
+module.exports = { SearchError, CATEGORIES, parseSearchQuery, searchTree };
@@ -0,0 +1,187 @@
+/**
+ * SEND-FILE.JS
+ *
+ * - Serves one file from disk for GET and HEAD requests.
+ * - Sends ETag / Last-Modified validators and answers If-None-Match /
+ *   If-Modified-Since with 304 Not Modified.
+ * - Honours Range (single ranges as 206, several as multipart/byteranges)
+ *   and If-Range, so downloads can be resumed, split and seeked.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// More ranges than this in one request is treated as abuse; we send the whole file
+const MAX_RANGES = 64;
+
+// Strong validator from size + modification time (like nginx)
+function makeETag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+// Helper: HTTP dates only have whole seconds
+function toHttpSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+// Helper: does an If-None-Match / If-Range list contain our ETag?
+function etagMatches(header, etag, weak) {
+  return header.split(',').some(tag => {
+    tag = tag.trim();
+    if (tag === '*') return true;
+    if (weak) tag = tag.replace(/^W\//, '');
+    return tag === etag;
+  });
+}
+
+// Should we answer 304? If-None-Match wins over If-Modified-Since
+function isNotModified(req, etag, mtime) {
+  const noneMatch = req.headers['if-none-match'];
+  if (noneMatch) return etagMatches(noneMatch, etag, true);
+
+  const modifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  return !isNaN(modifiedSince) && toHttpSeconds(mtime) <= modifiedSince / 1000;
+}
+
+// If-Range: only use the Range header while the file is still the same one
+function rangeStillValid(req, etag, mtime) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (/^(W\/)?"/.test(ifRange.trim())) {
+    // Weak tags never match for ranges
+    return !ifRange.trim().startsWith('W/') && ifRange.trim() === etag;
+  }
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && toHttpSeconds(mtime) === date / 1000;
+}
+
+/**
+ * Parse a "bytes=" Range header against a file size.
+ * Returns null when the header should be ignored (absent, malformed or
+ * too many ranges), [] when nothing in it can be satisfied, otherwise
+ * [{ start, end }] with inclusive offsets.
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(s => s.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const m = /^(\d*)-(\d*)$/.exec(spec);
+    if (!m || (m[1] === '' && m[2] === '')) return null;
+
+    let start, end;
+    if (m[1] === '') {
+      // "-500" means the last 500 bytes
+      const suffix = Number(m[2]);
+      if (suffix === 0) continue;
+      start = Math.max(0, size - suffix);
+      end = size - 1;
+    } else {
+      start = Number(m[1]);
+      end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+      if (m[2] !== '' && Number(m[2]) < start) return null;
+    }
+    if (start < size) ranges.push({ start, end });
+  }
+  return ranges;
+}
+
+/**
+ * Send `fullPath` as the response to a GET or HEAD request.
+ * `headers` (Content-Type, Content-Disposition, ...) are added to every
+ * response. With `ranges: false` the Range header is ignored and the
+ * whole file is always sent. Rejects only if the file can't be opened,
+ * before anything has been written; errors while streaming just cut the
+ * connection.
+ */
+async function sendFile(req, res, fullPath, headers = {}, { ranges: allowRanges = true } = {}) {
+  const handle = await fs.promises.open(fullPath, 'r');
+  try {
+    const stats = await handle.stat();
+    const etag = makeETag(stats);
+    const contentType = headers['Content-Type'] || 'application/octet-stream';
+
+    for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+    res.setHeader('Accept-Ranges', allowRanges ? 'bytes' : 'none');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+
+    if (isNotModified(req, etag, stats.mtime)) {
+      res.removeHeader('Content-Type');
+      res.writeHead(304);
+      return res.end();
+    }
+
+    const ranges = allowRanges && rangeStillValid(req, etag, stats.mtime)
+      ? parseRange(req.headers['range'], stats.size)
+      : null;
+
+    if (ranges && ranges.length === 0) {
+      res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+      return res.end();
+    }
+
+    const readRange = (start, end) =>
+      handle.createReadStream({ start, end, autoClose: false });
+
+    // Whole file
+    if (!ranges) {
+      res.writeHead(200, { 'Content-Length': stats.size });
+      if (req.method === 'HEAD' || stats.size === 0) return res.end();
+      return await pipeline(readRange(0, stats.size - 1), res);
+    }
+
+    // One range
+    if (ranges.length === 1) {
+      const { start, end } = ranges[0];
+      res.writeHead(206, {
+        'Content-Range': `bytes ${start}-${end}/${stats.size}`,
+        'Content-Length': end - start + 1
+      });
+      if (req.method === 'HEAD') return res.end();
+      return await pipeline(readRange(start, end), res);
+    }
+
+    // Several ranges: multipart/byteranges with an exact Content-Length
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const parts = ranges.map(({ start, end }) => ({
+      start,
+      end,
+      head: Buffer.from(
+        `\r\n--${boundary}\r\n` +
+        `Content-Type: ${contentType}\r\n` +
+        `Content-Range: bytes ${start}-${end}/${stats.size}\r\n\r\n`
+      )
+    }));
+    const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+    const length = parts.reduce((sum, p) => sum + p.head.length + p.end - p.start + 1, tail.length);
+
+    res.writeHead(206, {
+      'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+      'Content-Length': length
+    });
+    if (req.method === 'HEAD') return res.end();
+    for (const part of parts) {
+      res.write(part.head);
+      await pipeline(readRange(part.start, part.end), res, { end: false });
+    }
+    res.end(tail);
+  } catch (err) {
+    if (!res.headersSent) throw err;
+    // A client going away mid-download is routine, anything else is worth logging
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Error streaming file:', err);
+    }
+    res.destroy();
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = { sendFile, makeETag, parseRange };
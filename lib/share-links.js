@@ -0,0 +1,221 @@
+/**
+ * SHARE-LINKS.JS
+ *
+ * - Public links for people without an account: "/s/<token>". Download
+ *   links serve one file or folder; upload links ("file requests") let
+ *   people drop files into one folder without seeing what is in it. A
+ *   token is a random link id followed by its HMAC-SHA256 under a server
+ *   secret, so made-up tokens are turned away before the store is even
+ *   looked at.
+ * - Links live in a JSON store (config.shareLinksFile, default
+ *   "share-links.json" next to the config file) together with the secret,
+ *   which is created on first use. Removing the secret from the file
+ *   invalidates every link at once.
+ * - A link may expire and need a password (scrypt-hashed like user
+ *   passwords). Download links may allow only so many downloads; upload
+ *   links only so many bytes in total, and only some file extensions.
+ *   Dead links are purged hourly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config, resolveConfigPath } = require('./config');
+const { hashPassword, verifyPassword } = require('./auth');
+
+const storeFile = resolveConfigPath(config.shareLinksFile || 'share-links.json');
+
+// Token layout: 12 characters of link id, then 22 of signature
+const ID_LENGTH = 12;
+const SIGNATURE_LENGTH = 22;
+
+// Wrong passwords per link and client, to slow down guessing
+const passwordFailures = new Map();
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW = 15 * 60 * 1000;
+
+function loadStore() {
+  try {
+    const data = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+    return { secret: data.secret || null, links: data.links || [] };
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to read share links ${storeFile}:`, err.message);
+    return { secret: null, links: [] };
+  }
+}
+
+function saveStore(store) {
+  fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+  const tmp = storeFile + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, storeFile);
+}
+
+function sign(secret, id) {
+  return crypto.createHmac('sha256', secret).update(id).digest('base64url').slice(0, SIGNATURE_LENGTH);
+}
+
+// Helper: why a link can't be used any more (null while it can)
+function linkState(link, now = Date.now()) {
+  if (link.expiresAt && Date.parse(link.expiresAt) <= now) return 'expired';
+  if (link.maxDownloads && link.downloads >= link.maxDownloads) return 'used up';
+  if (link.maxTotalSize && link.uploadedBytes >= link.maxTotalSize) return 'full';
+  return null;
+}
+
+// Helper: the view of a link the API hands out (never the password hash)
+function publicLink(link, secret) {
+  const { password, ...rest } = link;
+  return {
+    ...rest,
+    hasPassword: !!password,
+    url: `/s/${link.id}${sign(secret, link.id)}`,
+    state: linkState(link) || 'active'
+  };
+}
+
+/**
+ * Create a link to `virtualPath`: type "download", or "upload" for a
+ * folder to upload into. `expiresAt` (ISO date) and `password` are
+ * optional, as are `maxDownloads` for downloads and `maxTotalSize`
+ * (bytes), `allowedExtensions` (["pdf", ...]) and `note` for uploads.
+ * Resolves the public view, including its url.
+ */
+async function createLink({
+  type = 'download', virtualPath, isFolder, createdBy, expiresAt = null, password = null,
+  maxDownloads = null, maxTotalSize = null, allowedExtensions = null, note = null
+}) {
+  const link = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    type,
+    path: virtualPath,
+    isFolder,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    ...(type === 'upload'
+      ? { maxTotalSize, allowedExtensions, note, uploads: 0, uploadedBytes: 0, lastUploadAt: null }
+      : { maxDownloads, downloads: 0, lastDownloadAt: null }),
+    password: password ? await hashPassword(password) : null
+  };
+  const store = loadStore();
+  if (!store.secret) store.secret = crypto.randomBytes(32).toString('base64');
+  store.links.push(link);
+  saveStore(store);
+  return publicLink(link, store.secret);
+}
+
+// The link a token stands for, or null if it is forged, revoked or purged
+function findByToken(token) {
+  if (typeof token !== 'string' || token.length !== ID_LENGTH + SIGNATURE_LENGTH) return null;
+  const store = loadStore();
+  if (!store.secret) return null;
+  const id = token.slice(0, ID_LENGTH);
+  const expected = Buffer.from(sign(store.secret, id));
+  const given = Buffer.from(token.slice(ID_LENGTH));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  const link = store.links.find(l => l.id === id);
+  // Links from before upload links existed are all downloads
+  return link ? { type: 'download', ...link } : null;
+}
+
+/**
+ * Check a link's password. Resolves { ok: true }, or { status, error }
+ * when it is wrong or there were too many wrong guesses lately.
+ */
+async function checkPassword(link, password, clientKey) {
+  if (!link.password) return { ok: true };
+  const key = `${link.id}|${clientKey}`;
+  const now = Date.now();
+  const failures = (passwordFailures.get(key) || []).filter(t => now - t < FAILURE_WINDOW);
+  if (failures.length >= MAX_FAILURES) {
+    return { status: 429, error: 'Too many wrong passwords, try again later' };
+  }
+  if (!password || !await verifyPassword(String(password), link.password)) {
+    failures.push(now);
+    passwordFailures.set(key, failures);
+    return { status: 401, error: password ? 'Wrong password' : 'This link needs a password' };
+  }
+  passwordFailures.delete(key);
+  return { ok: true };
+}
+
+/**
+ * Count one download. Returns false (and counts nothing) if the link has
+ * expired or used up its downloads in the meantime.
+ */
+function countDownload(id) {
+  const store = loadStore();
+  const link = store.links.find(l => l.id === id);
+  if (!link || linkState(link)) return false;
+  link.downloads++;
+  link.lastDownloadAt = new Date().toISOString();
+  saveStore(store);
+  return true;
+}
+
+// Whether an upload link takes a file of this name (by its extension)
+function allowsFile(link, fileName) {
+  if (!link.allowedExtensions || !link.allowedExtensions.length) return true;
+  return link.allowedExtensions.includes(path.extname(fileName).slice(1).toLowerCase());
+}
+
+/**
+ * Count one finished upload of `bytes`. Returns false (and counts
+ * nothing) if the link expired or the file no longer fits.
+ */
+function countUpload(id, bytes) {
+  const store = loadStore();
+  const link = store.links.find(l => l.id === id);
+  if (!link || linkState(link)) return false;
+  if (link.maxTotalSize && link.uploadedBytes + bytes > link.maxTotalSize) return false;
+  link.uploads++;
+  link.uploadedBytes += bytes;
+  link.lastUploadAt = new Date().toISOString();
+  saveStore(store);
+  return true;
+}
+
+// Links created by `owner` (everybody's when owner is null), newest first
+function listLinks(owner) {
+  const store = loadStore();
+  return store.links
+    .filter(l => owner === null || l.createdBy === owner)
+    .map(l => publicLink({ type: 'download', ...l }, store.secret))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function revokeLink(id, owner) {
+  const store = loadStore();
+  const link = store.links.find(l => l.id === id && (owner === null || l.createdBy === owner));
+  if (!link) return false;
+  store.links = store.links.filter(l => l !== link);
+  saveStore(store);
+  return true;
+}
+
+// Drop links that expired or ran out of downloads; returns how many went
+function purgeExpired(now = Date.now()) {
+  const store = loadStore();
+  const live = store.links.filter(l => !linkState(l, now));
+  const purged = store.links.length - live.length;
+  if (purged) saveStore({ ...store, links: live });
+  for (const [key, failures] of passwordFailures) {
+    if (failures.every(t => now - t >= FAILURE_WINDOW)) passwordFailures.delete(key);
+  }
+  return purged;
+}
+
+module.exports = {
+  storeFile,
+  linkState,
+  createLink,
+  findByToken,
+  checkPassword,
+  countDownload,
+  allowsFile,
+  countUpload,
+  listLinks,
+  revokeLink,
+  purgeExpired
+};
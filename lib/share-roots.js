@@ -0,0 +1,194 @@
+/**
+ * SHARE-ROOTS.JS
+ *
+ * - Clients never see real host paths. They address files with
+ *   "virtual" paths of the form /<root name>/sub/folder/file.
+ * - Every virtual path is resolved inside one of the configured roots.
+ *   Traversal ("..") segments, unknown roots and symlinks that point
+ *   outside a root are rejected with an AccessDeniedError.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+
+class AccessDeniedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccessDeniedError';
+    this.statusCode = 403;
+  }
+}
+
+// Prepare the configured roots once at startup
+const roots = new Map();
+for (const root of config.roots) {
+  if (!root.name || /[\\/]/.test(root.name) || root.name === '.' || root.name === '..') {
+    throw new Error(`Invalid share root name: "${root.name}"`);
+  }
+  if (roots.has(root.name)) {
+    throw new Error(`Duplicate share root name: "${root.name}"`);
+  }
+  if (!fs.existsSync(root.path)) {
+    fs.mkdirSync(root.path, { recursive: true });
+  }
+  roots.set(root.name, {
+    name: root.name,
+    path: root.path,
+    realPath: fs.realpathSync(root.path)
+  });
+}
+
+// Helper: is `child` the same as or nested inside `parent`?
+function isInside(parent, child) {
+  const rel = path.relative(parent, child);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+// Split a client-supplied path into clean segments, rejecting traversal
+function splitSegments(p) {
+  if (p === undefined || p === null) return [];
+  const str = String(p);
+  if (str.includes('\0')) {
+    throw new AccessDeniedError('Invalid characters in path');
+  }
+  const parts = str.split(/[\\/]+/).filter(s => s && s !== '.');
+  if (parts.includes('..')) {
+    throw new AccessDeniedError('Path traversal is not allowed');
+  }
+  return parts;
+}
+
+// Follow symlinks on the deepest part of the path that already exists
+function realPathOfExisting(p) {
+  let current = p;
+  while (!fs.existsSync(current)) {
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+  return fs.realpathSync(current);
+}
+
+function listRoots() {
+  return Array.from(roots.values()).map(r => ({ name: r.name, path: '/' + r.name }));
+}
+
+function getDefaultRoot() {
+  return '/' + roots.keys().next().value;
+}
+
+// True for the virtual top level that lists the roots themselves
+function isVirtualRoot(virtualPath) {
+  return splitSegments(virtualPath).length === 0;
+}
+
+/**
+ * Resolve a virtual path (plus optional extra segments, e.g. a file name)
+ * to a real path inside a share root.
+ * Returns { root, fullPath, virtualPath } or throws AccessDeniedError.
+ */
+function resolveSharePath(virtualPath, ...extra) {
+  const parts = splitSegments(virtualPath);
+  for (const e of extra) {
+    parts.push(...splitSegments(e));
+  }
+  if (parts.length === 0) {
+    throw new AccessDeniedError('A share root must be specified');
+  }
+
+  const root = roots.get(parts[0]);
+  if (!root) {
+    throw new AccessDeniedError('Path is outside the shared folders');
+  }
+
+  const fullPath = path.join(root.path, ...parts.slice(1));
+  if (!isInside(root.path, fullPath)) {
+    throw new AccessDeniedError('Path is outside the shared folders');
+  }
+  if (!isInside(root.realPath, realPathOfExisting(fullPath))) {
+    throw new AccessDeniedError('Symbolic link points outside the shared folders');
+  }
+
+  return {
+    root,
+    fullPath,
+    virtualPath: '/' + parts.join('/')
+  };
+}
+
+/**
+ * Walk a folder inside the share roots, depth first.
+ * Yields { virtualPath, fullPath, relPath, stats, isDirectory } for every
+ * entry below `virtualPath` (relPath is relative to it, "/"-separated).
+ * Symlinks are followed only to files that stay inside the root; linked
+ * folders are skipped so cycles are impossible.
+ * `options.enterDir(entry)` may return false to skip a folder's contents.
+ */
+async function* walkSharePath(virtualPath, options = {}) {
+  const start = resolveSharePath(virtualPath);
+  const enterDir = options.enterDir || (() => true);
+  const stack = [{ fullPath: start.fullPath, virtualPath: start.virtualPath, relPath: '' }];
+
+  while (stack.length) {
+    const dir = stack.pop();
+    let items;
+    try {
+      items = await fs.promises.readdir(dir.fullPath, { withFileTypes: true });
+    } catch (err) {
+      console.error(`Skipping unreadable folder ${dir.virtualPath}:`, err.message);
+      continue;
+    }
+    items.sort((a, b) => a.name.localeCompare(b.name));
+
+    const subdirs = [];
+    for (const item of items) {
+      const entry = {
+        fullPath: path.join(dir.fullPath, item.name),
+        virtualPath: dir.virtualPath + '/' + item.name,
+        relPath: dir.relPath ? dir.relPath + '/' + item.name : item.name
+      };
+      try {
+        if (item.isSymbolicLink()) {
+          resolveSharePath(entry.virtualPath); // throws if the link leaves the root
+          entry.stats = await fs.promises.stat(entry.fullPath);
+          if (!entry.stats.isFile()) continue;
+        } else {
+          entry.stats = await fs.promises.stat(entry.fullPath);
+        }
+      } catch {
+        continue;
+      }
+      entry.isDirectory = entry.stats.isDirectory();
+      if (!entry.isDirectory && !entry.stats.isFile()) continue;
+
+      yield entry;
+      if (entry.isDirectory && enterDir(entry) !== false) {
+        subdirs.push(entry);
+      }
+    }
+    // Reverse so folders are visited in name order
+    for (let i = subdirs.length - 1; i >= 0; i--) stack.push(subdirs[i]);
+  }
+}
+
+// Map a real path back to its virtual form (null if outside every root)
+function toVirtualPath(fullPath) {
+  for (const root of roots.values()) {
+    if (isInside(root.path, fullPath)) {
+      const rel = path.relative(root.path, fullPath);
+      return '/' + [root.name, ...rel.split(path.sep).filter(Boolean)].join('/');
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  AccessDeniedError,
+  listRoots,
+  getDefaultRoot,
+  isVirtualRoot,
+  resolveSharePath,
+  walkSharePath,
+  toVirtualPath
+};
@@ -0,0 +1,180 @@
+/**
+ * TAR-WRITER.JS
+ *
+ * - Streams a POSIX ustar archive into any writable stream; wrap the
+ *   output in zlib.createGzip() for .tar.gz.
+ * - Names that don't fit ustar's 100 + 155 byte fields, non-ASCII
+ *   names and files over 8 GB get a pax extended header first.
+ * - Same addFile / addDirectory / finish interface as ZipWriter.
+ */
+
+const fs = require('fs');
+
+const BLOCK = 512;
+// Largest size the 11-digit octal ustar field can hold (8 GB - 1)
+const MAX_OCTAL_SIZE = 0o77777777777;
+
+// Helper: write `value` as a NUL-terminated octal field of `length` bytes
+function writeOctal(buf, value, offset, length) {
+  const str = Math.floor(value).toString(8).padStart(length - 1, '0');
+  buf.write(str.slice(-(length - 1)) + '\0', offset, length, 'ascii');
+}
+
+// Helper: one pax record, "<len> <key>=<value>\n" where <len> counts itself
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let len = Buffer.byteLength(body) + 1;
+  while (String(len).length + Buffer.byteLength(body) !== len) {
+    len = String(len).length + Buffer.byteLength(body);
+  }
+  return len + body;
+}
+
+// Split a name into ustar prefix/name fields, or null if it can't be done
+function splitUstarName(name) {
+  if (!/^[\x20-\x7e]*$/.test(name)) return null;
+  if (name.length <= 100) return { prefix: '', name };
+  const trailingSlash = name.endsWith('/');
+  const trimmed = trailingSlash ? name.slice(0, -1) : name;
+  for (let i = trimmed.indexOf('/'); i >= 0; i = trimmed.indexOf('/', i + 1)) {
+    const prefix = trimmed.slice(0, i);
+    const rest = trimmed.slice(i + 1) + (trailingSlash ? '/' : '');
+    if (prefix.length <= 155 && rest.length <= 100 && rest.length > 0) {
+      return { prefix, name: rest };
+    }
+  }
+  return null;
+}
+
+class TarWriter {
+  /**
+   * @param {Writable} output stream to write the archive to
+   */
+  constructor(output) {
+    this.output = output;
+    this.finished = false;
+  }
+
+  // Write a buffer, waiting for the output to drain when it asks us to
+  write(buf) {
+    if (this.output.write(buf)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onDrain = () => { cleanup(); resolve(); };
+      const onClose = () => { cleanup(); reject(new Error('Output closed before the archive was complete')); };
+      const cleanup = () => {
+        this.output.off('drain', onDrain);
+        this.output.off('close', onClose);
+      };
+      this.output.on('drain', onDrain);
+      this.output.on('close', onClose);
+    });
+  }
+
+  header({ name, prefix = '', size = 0, mtime, mode, type }) {
+    const buf = Buffer.alloc(BLOCK);
+    buf.write(name, 0, 100, 'utf8');
+    writeOctal(buf, mode, 100, 8);
+    writeOctal(buf, 0, 108, 8); // uid
+    writeOctal(buf, 0, 116, 8); // gid
+    writeOctal(buf, Math.min(size, MAX_OCTAL_SIZE), 124, 12);
+    writeOctal(buf, mtime.getTime() / 1000, 136, 12);
+    buf.write('        ', 148, 8, 'ascii'); // checksum is computed with spaces here
+    buf.write(type, 156, 1, 'ascii');
+    buf.write('ustar\0', 257, 6, 'ascii');
+    buf.write('00', 263, 2, 'ascii');
+    buf.write(prefix, 345, 155, 'utf8');
+
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i++) sum += buf[i];
+    buf.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+    return buf;
+  }
+
+  // Helper: zero padding up to the next 512-byte boundary
+  padding(size) {
+    const rest = size % BLOCK;
+    return rest ? Buffer.alloc(BLOCK - rest) : null;
+  }
+
+  async writeEntryHeader(name, { size, mtime, mode, type }) {
+    const split = splitUstarName(name);
+    const pax = [];
+    if (!split) pax.push(paxRecord('path', name));
+    if (size > MAX_OCTAL_SIZE) pax.push(paxRecord('size', String(size)));
+
+    if (pax.length) {
+      const data = Buffer.from(pax.join(''), 'utf8');
+      const base = name.replace(/\/$/, '').split('/').pop().replace(/[^\x20-\x7e]/g, '_').slice(0, 80);
+      await this.write(this.header({
+        name: `PaxHeader/${base}`,
+        size: data.length,
+        mtime,
+        mode: 0o644,
+        type: 'x'
+      }));
+      await this.write(data);
+      const pad = this.padding(data.length);
+      if (pad) await this.write(pad);
+    }
+
+    // Fallback ustar name for readers that ignore pax headers
+    const fields = split || { prefix: '', name: name.replace(/[^\x20-\x7e]/g, '_').slice(-100) };
+    await this.write(this.header({ ...fields, size, mtime, mode, type }));
+  }
+
+  /**
+   * Add one entry whose data comes from a readable stream. `size` must be
+   * exact: tar stores it up front, so the data is cut or zero-padded to fit.
+   */
+  async addStream(name, source, { size, mtime = new Date(), mode = 0o644 }) {
+    if (this.finished) throw new Error('Archive already finished');
+    await this.writeEntryHeader(name, { size, mtime, mode, type: '0' });
+
+    let written = 0;
+    try {
+      for await (const chunk of source) {
+        if (written >= size) break;
+        const part = chunk.length > size - written ? chunk.subarray(0, size - written) : chunk;
+        written += part.length;
+        await this.write(part);
+      }
+    } finally {
+      source.destroy();
+    }
+    // The file shrank while we were reading it; keep the archive consistent
+    while (written < size) {
+      const fill = Buffer.alloc(Math.min(64 * 1024, size - written));
+      written += fill.length;
+      await this.write(fill);
+    }
+    const pad = this.padding(size);
+    if (pad) await this.write(pad);
+  }
+
+  // Add a file from disk
+  addFile(name, fullPath, { size, mtime, mode } = {}) {
+    if (size === undefined || mtime === undefined) {
+      const stats = fs.statSync(fullPath);
+      size = stats.size;
+      mtime = stats.mtime;
+      mode = stats.mode & 0o777;
+    }
+    return this.addStream(name, fs.createReadStream(fullPath), { size, mtime, mode });
+  }
+
+  // Add a directory entry (name should end with "/")
+  async addDirectory(name, { mtime = new Date(), mode = 0o755 } = {}) {
+    if (this.finished) throw new Error('Archive already finished');
+    const dirName = name.endsWith('/') ? name : name + '/';
+    await this.writeEntryHeader(dirName, { size: 0, mtime, mode, type: '5' });
+  }
+
+  // Write the two empty end-of-archive blocks; does not end the output
+  async finish() {
+    if (this.finished) return;
+    this.finished = true;
+    await this.write(Buffer.alloc(BLOCK * 2));
+  }
+}
+
+module.exports = { TarWriter };
@@ -0,0 +1,197 @@
+/**
+ * THUMBNAIL-WORKER.JS
+ *
+ * - Runs in a worker thread started by lib/thumbnails.js. Each message
+ *   { id, source, dest, size, maxPixels, maxBytes } asks for a thumbnail
+ *   of the image at `source` that fits a size x size square, written to
+ *   `dest` plus ".jpg" or ".png". The answer is { id, contentType } or
+ *   { id, error, code }; code is "TOO_LARGE", "UNSUPPORTED" or "BROKEN"
+ *   for images that can't be done, a system error code otherwise.
+ * - Files of more than `maxBytes` aren't read, and of the rest only the
+ *   first HEADER_BYTES until the image size is known to be under
+ *   `maxPixels`.
+ * - Images are shrunk by averaging the pixels each thumbnail pixel
+ *   covers, then turned by their EXIF orientation. Thumbnails with
+ *   transparent pixels are PNGs, all others JPEGs.
+ */
+
+const fs = require('fs');
+const { parentPort } = require('worker_threads');
+const png = require('./png');
+const jpeg = require('./jpeg');
+const gif = require('./gif');
+
+const JPEG_QUALITY = 80;
+// Enough for the image size: PNG and GIF start with it, JPEG has it after its metadata
+const HEADER_BYTES = 256 * 1024;
+
+function tooLarge(message) {
+  return Object.assign(new Error(message), { code: 'TOO_LARGE' });
+}
+
+function readSize(header) {
+  if (png.isPng(header)) return png.readSize(header);
+  if (gif.isGif(header)) return gif.readSize(header);
+  if (jpeg.isJpeg(header)) return jpeg.readSize(header);
+  return null;
+}
+
+// Helper: fill `buffer` from `fd`, starting at `offset` in both; short if the file shrank
+function readAt(fd, buffer, offset) {
+  let filled = offset;
+  while (filled < buffer.length) {
+    const count = fs.readSync(fd, buffer, filled, buffer.length - filled, filled);
+    if (count === 0) return buffer.subarray(0, filled);
+    filled += count;
+  }
+  return buffer;
+}
+
+// The whole image file, once its size in bytes and pixels is known to be within the limits
+function readImage(source, maxPixels, maxBytes) {
+  const fd = fs.openSync(source, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    if (size > maxBytes) throw tooLarge(`Image file is too large (${size} bytes; the limit is ${maxBytes})`);
+    const buffer = Buffer.alloc(size);
+    const header = readAt(fd, buffer.subarray(0, Math.min(size, HEADER_BYTES)), 0);
+    const dimensions = readSize(header);
+    if (dimensions && dimensions.width * dimensions.height > maxPixels) {
+      throw tooLarge(`Image is too large (${dimensions.width}x${dimensions.height})`);
+    }
+    return header.length < HEADER_BYTES ? header : readAt(fd, buffer, header.length);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function decodeImage(buffer, size, maxPixels) {
+  if (png.isPng(buffer)) return png.decode(buffer, { maxPixels });
+  if (gif.isGif(buffer)) return gif.decode(buffer, { maxPixels });
+  // Big photos decode at 1/8 size when that is still as large as the thumbnail
+  if (jpeg.isJpeg(buffer)) return jpeg.decode(buffer, { maxPixels, fitSize: size });
+  throw Object.assign(new Error('Unsupported image format'), { code: 'UNSUPPORTED' });
+}
+
+// Shrink to fit a size x size square (never enlarge), averaging with alpha weights
+function resize(image, size) {
+  const { width, height, data } = image;
+  const factor = Math.min(1, size / width, size / height);
+  const outWidth = Math.max(1, Math.round(width * factor));
+  const outHeight = Math.max(1, Math.round(height * factor));
+  if (outWidth === width && outHeight === height) return image;
+
+  const span = (i, from, to) => {
+    const start = Math.floor(i * from / to);
+    return [start, Math.max(start + 1, Math.floor((i + 1) * from / to))];
+  };
+  // Columns first: sums of premultiplied RGB and alpha per output column
+  const columns = new Float64Array(outWidth * height * 4);
+  for (let x = 0; x < outWidth; x++) {
+    const [x0, x1] = span(x, width, outWidth);
+    for (let y = 0; y < height; y++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sx = x0; sx < x1; sx++) {
+        const o = (y * width + sx) * 4;
+        const alpha = data[o + 3];
+        r += data[o] * alpha;
+        g += data[o + 1] * alpha;
+        b += data[o + 2] * alpha;
+        a += alpha;
+      }
+      const o = (y * outWidth + x) * 4;
+      columns[o] = r;
+      columns[o + 1] = g;
+      columns[o + 2] = b;
+      columns[o + 3] = a;
+    }
+  }
+  const out = new Uint8Array(outWidth * outHeight * 4);
+  for (let y = 0; y < outHeight; y++) {
+    const [y0, y1] = span(y, height, outHeight);
+    for (let x = 0; x < outWidth; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        const o = (sy * outWidth + x) * 4;
+        r += columns[o];
+        g += columns[o + 1];
+        b += columns[o + 2];
+        a += columns[o + 3];
+      }
+      const [x0, x1] = span(x, width, outWidth);
+      const o = (y * outWidth + x) * 4;
+      if (a > 0) {
+        out[o] = Math.round(r / a);
+        out[o + 1] = Math.round(g / a);
+        out[o + 2] = Math.round(b / a);
+      }
+      out[o + 3] = Math.round(a / ((x1 - x0) * (y1 - y0)));
+    }
+  }
+  return { width: outWidth, height: outHeight, data: out };
+}
+
+// Turn pixels upright by an EXIF orientation (1-8)
+function orient(image, orientation) {
+  if (!orientation || orientation === 1) return image;
+  const { width, height, data } = image;
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const out = new Uint8Array(data.length);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sx, sy;
+      switch (orientation) {
+        case 2: sx = width - 1 - x; sy = y; break;
+        case 3: sx = width - 1 - x; sy = height - 1 - y; break;
+        case 4: sx = x; sy = height - 1 - y; break;
+        case 5: sx = y; sy = x; break;
+        case 6: sx = y; sy = height - 1 - x; break;
+        case 7: sx = width - 1 - y; sy = height - 1 - x; break;
+        default: sx = width - 1 - y; sy = x; break;
+      }
+      const from = (sy * width + sx) * 4;
+      const to = (y * outWidth + x) * 4;
+      out[to] = data[from];
+      out[to + 1] = data[from + 1];
+      out[to + 2] = data[from + 2];
+      out[to + 3] = data[from + 3];
+    }
+  }
+  return { width: outWidth, height: outHeight, data: out };
+}
+
+function hasTransparency(data) {
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+}
+
+function makeThumbnail({ source, dest, size, maxPixels, maxBytes }) {
+  const buffer = readImage(source, maxPixels, maxBytes);
+  let image;
+  try {
+    const decoded = decodeImage(buffer, size, maxPixels);
+    image = orient(resize(decoded, size), decoded.orientation);
+  } catch (err) {
+    // Anything the decoders throw is the image's fault
+    if (!err.code) err.code = 'BROKEN';
+    throw err;
+  }
+  const transparent = hasTransparency(image.data);
+  const output = transparent ? png.encode(image) : jpeg.encode(image, { quality: JPEG_QUALITY });
+  fs.writeFileSync(dest + '.tmp', output);
+  fs.renameSync(dest + '.tmp', dest + (transparent ? '.png' : '.jpg'));
+  return transparent ? 'image/png' : 'image/jpeg';
+}
+
+parentPort.on('message', job => {
+  try {
+    parentPort.postMessage({ id: job.id, contentType: makeThumbnail(job) });
+  } catch (err) {
+    fs.rm(job.dest + '.tmp', { force: true }, () => {});
+    parentPort.postMessage({ id: job.id, error: err.message, code: err.code });
+  }
+});
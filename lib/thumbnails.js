@@ -0,0 +1,185 @@
+/**
+ * THUMBNAILS.JS
+ *
+ * - Small previews of images for the file grid. PNG, JPEG and GIF (its
+ *   first frame) are decoded in plain JavaScript by lib/png.js,
+ *   lib/jpeg.js and lib/gif.js, in a worker thread (lib/thumbnail-worker.js)
+ *   so a big photo doesn't hold up other requests. One image is worked
+ *   on at a time; more wait in line.
+ * - Thumbnails fit a square of one of SIZES pixels and are cached in
+ *   config.thumbnailsDir (default ".thumbnails" next to config.json),
+ *   named after a hash of the image's path, size and modification time:
+ *   a changed image gets a new thumbnail. Images that can't be decoded
+ *   leave a ".failed" note so they aren't tried on every listing.
+ *   Cache files not used for config.thumbnailCacheDays (default 30) are
+ *   purged.
+ * - Images of more than config.thumbnailMaxPixels (default 50 million)
+ *   pixels, or files of more than config.thumbnailMaxBytes (default
+ *   100 million bytes), are not decoded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const { config, resolveConfigPath } = require('./config');
+
+const thumbnailsDir = resolveConfigPath(config.thumbnailsDir || '.thumbnails');
+const cacheDays = Number(config.thumbnailCacheDays ?? 30);
+const maxPixels = Number(config.thumbnailMaxPixels ?? 50_000_000);
+const maxBytes = Number(config.thumbnailMaxBytes ?? 100_000_000);
+
+const SIZES = [128, 256, 512];
+const DEFAULT_SIZE = 256;
+const TYPES = new Set(['image/png', 'image/apng', 'image/jpeg', 'image/gif']);
+const CONTENT_TYPES = { '.jpg': 'image/jpeg', '.png': 'image/png' };
+
+// A cache file is marked as used at most this often
+const TOUCH_INTERVAL = 24 * 60 * 60 * 1000;
+
+class ThumbnailError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'ThumbnailError';
+    this.statusCode = statusCode;
+  }
+}
+
+let worker = null;
+let nextJobId = 1;
+// Jobs sent to the worker: id -> { resolve, reject }
+const jobs = new Map();
+// Thumbnails being made: cache key -> promise, so one image is only done once
+const inFlight = new Map();
+
+function startWorker() {
+  const current = worker = new Worker(path.join(__dirname, 'thumbnail-worker.js'));
+  // An idle worker must not keep the process alive
+  worker.unref();
+  worker.on('message', ({ id, contentType, error, code }) => {
+    const job = jobs.get(id);
+    if (!job) return;
+    jobs.delete(id);
+    if (error) job.reject(Object.assign(new Error(error), { code }));
+    else job.resolve(contentType);
+  });
+  // "error" is followed by "exit"; only the first one counts
+  const fail = err => {
+    if (worker !== current) return;
+    worker = null;
+    for (const job of jobs.values()) job.reject(err);
+    jobs.clear();
+  };
+  worker.on('error', fail);
+  worker.on('exit', code => fail(new Error(`Thumbnail worker stopped (exit code ${code})`)));
+}
+
+function runJob(job) {
+  if (!worker) startWorker();
+  return new Promise((resolve, reject) => {
+    const id = nextJobId++;
+    jobs.set(id, { resolve, reject });
+    worker.postMessage({ id, ...job, maxPixels, maxBytes });
+  });
+}
+
+// Whether images of this MIME type (see lib/mime.js) get thumbnails
+function canThumbnail(type) {
+  return TYPES.has(type);
+}
+
+function cacheKey(fullPath, stats, size) {
+  return crypto.createHash('sha1')
+    .update(`${fullPath}\0${stats.size}\0${stats.mtimeMs}\0${size}`)
+    .digest('hex');
+}
+
+// The cached thumbnail for a key ({ path, contentType }), a ThumbnailError for a known failure, or null
+async function findCached(key) {
+  for (const ext of Object.keys(CONTENT_TYPES)) {
+    const file = path.join(thumbnailsDir, key + ext);
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (!stats) continue;
+    if (Date.now() - stats.mtimeMs > TOUCH_INTERVAL) {
+      const now = new Date();
+      await fs.promises.utimes(file, now, now).catch(() => {});
+    }
+    return { path: file, contentType: CONTENT_TYPES[ext] };
+  }
+  try {
+    const note = JSON.parse(await fs.promises.readFile(path.join(thumbnailsDir, key + '.failed'), 'utf8'));
+    return new ThumbnailError(note.statusCode, note.message);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The thumbnail of the image at `fullPath` (with its fs.Stats) that fits
+ * a size x size square: resolves { path, contentType } of the cached
+ * file, making it first if needed. Rejects with a ThumbnailError when
+ * the image can't be decoded (415) or is too large (413).
+ */
+async function getThumbnail(fullPath, stats, size) {
+  const key = cacheKey(fullPath, stats, size);
+  const cached = await findCached(key);
+  if (cached instanceof ThumbnailError) throw cached;
+  if (cached) return cached;
+
+  if (!inFlight.has(key)) {
+    const making = (async () => {
+      await fs.promises.mkdir(thumbnailsDir, { recursive: true });
+      const dest = path.join(thumbnailsDir, key);
+      try {
+        const contentType = await runJob({ source: fullPath, dest, size });
+        return { path: dest + (contentType === 'image/png' ? '.png' : '.jpg'), contentType };
+      } catch (err) {
+        // Only the image's own faults are remembered, not a file that went away or a crashed worker
+        if (!['TOO_LARGE', 'UNSUPPORTED', 'BROKEN'].includes(err.code)) throw err;
+        const failure = err.code === 'TOO_LARGE'
+          ? new ThumbnailError(413, err.message)
+          : new ThumbnailError(415, `Can't make a thumbnail of this image: ${err.message}`);
+        await fs.promises.writeFile(dest + '.failed', JSON.stringify({
+          statusCode: failure.statusCode,
+          message: failure.message
+        })).catch(() => {});
+        throw failure;
+      }
+    })();
+    inFlight.set(key, making);
+    making.catch(() => {}).then(() => inFlight.delete(key));
+  }
+  return inFlight.get(key);
+}
+
+// Remove cache files not used for cacheDays; resolves how many went
+async function purgeExpired(now = Date.now()) {
+  if (!(cacheDays > 0)) return 0;
+  let names;
+  try {
+    names = await fs.promises.readdir(thumbnailsDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+  let purged = 0;
+  for (const name of names) {
+    const file = path.join(thumbnailsDir, name);
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (stats && now - stats.mtimeMs > cacheDays * 24 * 60 * 60 * 1000) {
+      await fs.promises.rm(file, { force: true });
+      purged++;
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  SIZES,
+  DEFAULT_SIZE,
+  ThumbnailError,
+  thumbnailsDir,
+  canThumbnail,
+  getThumbnail,
+  purgeExpired
+};
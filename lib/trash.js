@@ -0,0 +1,122 @@
+/**
+ * TRASH.JS
+ *
+ * - Deleted files and folders are moved into a trash folder
+ *   (config.trashDir, default ".trash" next to config.json) instead of
+ *   being removed, so a slip on a shared box can be undone.
+ * - Each item is stored as "<id>" with a "<id>.json" record of where it
+ *   came from, who deleted it and when. file-ops.js does the moving in
+ *   and out; this module only keeps the records and purges.
+ * - purgeExpired() removes items older than config.trashRetentionDays
+ *   (default 30); the server runs it periodically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config, resolveConfigPath } = require('./config');
+
+const trashDir = resolveConfigPath(config.trashDir || '.trash');
+const retentionDays = Number(config.trashRetentionDays ?? 30);
+const RETENTION_MS = retentionDays * 24 * 60 * 60 * 1000;
+
+// Ids become file names, so only accept what newId() makes
+const ID_PATTERN = /^[0-9a-f]{24}$/;
+
+function itemPath(id) {
+  return path.join(trashDir, id);
+}
+
+function recordPath(id) {
+  return path.join(trashDir, `${id}.json`);
+}
+
+/**
+ * Record an item that is about to be moved into the trash. Write the
+ * record first so an item in the trash always has one; callers remove it
+ * again if the move fails.
+ */
+async function addRecord({ originalPath, isFolder, size, deletedBy }) {
+  const record = {
+    id: crypto.randomBytes(12).toString('hex'),
+    name: path.posix.basename(originalPath),
+    originalPath,
+    isFolder,
+    size,
+    deletedBy,
+    deletedAt: new Date().toISOString()
+  };
+  await fs.promises.mkdir(trashDir, { recursive: true, mode: 0o700 });
+  await fs.promises.writeFile(recordPath(record.id), JSON.stringify(record), { mode: 0o600 });
+  return record;
+}
+
+async function getRecord(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(recordPath(id), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function removeRecord(id) {
+  try {
+    await fs.promises.unlink(recordPath(id));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+// Every record, newest first; each gets the time it will be purged
+async function listRecords() {
+  let names;
+  try {
+    names = await fs.promises.readdir(trashDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const records = [];
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const record = await getRecord(name.slice(0, -'.json'.length));
+      if (!record) continue;
+      record.purgeAt = new Date(Date.parse(record.deletedAt) + RETENTION_MS).toISOString();
+      records.push(record);
+    } catch (err) {
+      console.error(`Skipping unreadable trash record ${name}:`, err.message);
+    }
+  }
+  return records.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Permanently remove items past the retention time; resolves how many went
+async function purgeExpired(now = Date.now()) {
+  let purged = 0;
+  for (const record of await listRecords()) {
+    if (now - Date.parse(record.deletedAt) < RETENTION_MS) continue;
+    try {
+      await fs.promises.rm(itemPath(record.id), { recursive: true, force: true });
+      await removeRecord(record.id);
+      purged++;
+    } catch (err) {
+      console.error(`Failed to purge ${record.originalPath} from the trash:`, err.message);
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  trashDir,
+  retentionDays,
+  itemPath,
+  addRecord,
+  getRecord,
+  removeRecord,
+  listRecords,
+  purgeExpired
+};
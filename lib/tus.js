@@ -0,0 +1,85 @@
+/**
+ * TUS.JS
+ *
+ * Protocol helpers for the tus 1.0 resumable upload endpoint (/tus).
+ * The route itself lives in server.js and stores its uploads in the same
+ * session tracker and journal as /upload-chunk.
+ *
+ * - Supported extensions: creation, creation-with-upload, expiration,
+ *   checksum and termination.
+ * - Upload-Metadata is "key base64value,key2 base64value2"; we use
+ *   "filename" (or "name") and an optional target folder in "path".
+ */
+
+const crypto = require('crypto');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'creation-with-upload', 'expiration', 'checksum', 'termination'];
+const TUS_CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// Headers every tus response carries
+function tusHeaders(extra = {}) {
+  return {
+    'Tus-Resumable': TUS_VERSION,
+    'Cache-Control': 'no-store',
+    ...extra
+  };
+}
+
+// Headers for OPTIONS (capability discovery); maxSize is the largest upload taken
+function tusOptionsHeaders(maxSize = null) {
+  return tusHeaders({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS.join(','),
+    'Tus-Checksum-Algorithm': TUS_CHECKSUM_ALGORITHMS.join(','),
+    ...(maxSize !== null ? { 'Tus-Max-Size': maxSize } : {})
+  });
+}
+
+// Parse Upload-Metadata into a plain object of decoded strings
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    if (!/^[\x21-\x7e]+$/.test(key) || key.includes(',')) {
+      throw new Error(`Invalid metadata key "${key}"`);
+    }
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+}
+
+/**
+ * Parse "Upload-Checksum: <algorithm> <base64 digest>".
+ * Returns null if absent, { algorithm, digest } otherwise; throws if the
+ * algorithm isn't one we offer.
+ */
+function parseUploadChecksum(header) {
+  if (!header) return null;
+  const [algorithm, digest] = header.trim().split(/\s+/);
+  if (!TUS_CHECKSUM_ALGORITHMS.includes((algorithm || '').toLowerCase()) || !digest) {
+    throw new Error(`Unsupported checksum; use one of ${TUS_CHECKSUM_ALGORITHMS.join(', ')}`);
+  }
+  return { algorithm: algorithm.toLowerCase(), digest };
+}
+
+function createChecksumHash(checksum) {
+  return checksum ? crypto.createHash(checksum.algorithm) : null;
+}
+
+// Upload ids double as journal file names (see upload-sessions.js)
+function newUploadId() {
+  return 'tus' + crypto.randomBytes(16).toString('hex');
+}
+
+module.exports = {
+  TUS_VERSION,
+  tusHeaders,
+  tusOptionsHeaders,
+  parseMetadata,
+  parseUploadChecksum,
+  createChecksumHash,
+  newUploadId
+};
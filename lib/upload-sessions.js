@@ -0,0 +1,251 @@
+/**
+ * UPLOAD-SESSIONS.JS
+ *
+ * - Journals multi-chunk upload sessions to disk, one JSON file per
+ *   upload in config.uploadSessionsDir (default ".upload-sessions" next
+ *   to the config file), so a restart doesn't lose them.
+ * - The server journals a chunk only after all of its bytes have been
+ *   written, so a journal never claims more than is on disk.
+ * - Each received chunk's SHA-256 is appended to "<fileId>.sums" rather
+ *   than the journal, which keeps the journal small for huge uploads.
+ * - Upload errors live in the same folder (errors.json) so /check-upload
+ *   can still report them after a restart.
+ * - Upload data collects in "<id>.part" files in config.uploadStagingDir
+ *   (default ".upload-staging" next to the config file) and is only moved
+ *   into the share once complete, so nobody sees half-written files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config, resolveConfigPath } = require('./config');
+
+const sessionsDir = resolveConfigPath(config.uploadSessionsDir || '.upload-sessions');
+const errorsFile = path.join(sessionsDir, 'errors.json');
+const stagingDir = resolveConfigPath(config.uploadStagingDir || '.upload-staging');
+
+// Staging files nobody owns are swept once they have been idle this long
+const STAGING_IDLE_MS = 60 * 60 * 1000;
+
+// File ids become file names, so keep them boring
+const FILE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+function isValidFileId(fileId) {
+  return typeof fileId === 'string' && FILE_ID_PATTERN.test(fileId);
+}
+
+function journalPath(fileId) {
+  return path.join(sessionsDir, `${fileId}.json`);
+}
+
+function digestsPath(fileId) {
+  return path.join(sessionsDir, `${fileId}.sums`);
+}
+
+// Helper: write JSON atomically (temp file + rename)
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(data), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// Persist the parts of an upload record that matter after a restart
+function saveSession(fileId, upload) {
+  try {
+    writeJson(journalPath(fileId), {
+      fileId,
+      virtualPath: upload.virtualPath,
+      // The path asked for, and what the conflict policy made of it
+      requestedPath: upload.requestedPath,
+      outcome: upload.outcome,
+      conflict: upload.conflict,
+      owner: upload.owner,
+      // Set for uploads through a file request link (see share-links.js)
+      shareLinkId: upload.shareLinkId || null,
+      totalChunks: upload.totalChunks,
+      chunkSize: upload.chunkSize,
+      receivedChunks: Array.from(upload.receivedChunks),
+      fileSize: upload.fileSize,
+      fileChecksum: upload.fileChecksum,
+      // tus uploads (see tus.js) track a byte offset instead of chunks
+      protocol: upload.protocol,
+      offset: upload.offset,
+      metadata: upload.metadata,
+      createdAt: upload.createdAt,
+      lastActivity: upload.lastActivity
+    });
+  } catch (err) {
+    console.error(`Failed to journal upload ${fileId}:`, err.message);
+  }
+}
+
+// Record the SHA-256 of a chunk that was just written ("<index> <hex>" per line)
+function saveChunkDigest(fileId, chunkIndex, sha256) {
+  try {
+    fs.mkdirSync(sessionsDir, { recursive: true });
+    fs.appendFileSync(digestsPath(fileId), `${chunkIndex} ${sha256}\n`, { mode: 0o600 });
+  } catch (err) {
+    console.error(`Failed to record chunk digest for ${fileId}:`, err.message);
+  }
+}
+
+// Later lines win, so a re-sent chunk replaces its old digest
+function loadChunkDigests(fileId) {
+  const digests = new Map();
+  try {
+    for (const line of fs.readFileSync(digestsPath(fileId), 'utf8').split('\n')) {
+      const [index, hex] = line.split(' ');
+      if (hex) digests.set(Number(index), hex);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to read chunk digests for ${fileId}:`, err.message);
+  }
+  return digests;
+}
+
+function removeSession(fileId) {
+  for (const file of [journalPath(fileId), digestsPath(fileId)]) {
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Failed to remove upload journal ${fileId}:`, err.message);
+      }
+    }
+  }
+}
+
+// Where the data of upload `id` collects until it is moved into place
+function stagingPath(id) {
+  return path.join(stagingDir, `${id}.part`);
+}
+
+// A fresh staging file for an upload without a session (single-chunk, WebDAV PUT)
+function newStagingPath() {
+  fs.mkdirSync(stagingDir, { recursive: true, mode: 0o700 });
+  return stagingPath(`put-${crypto.randomBytes(8).toString('hex')}`);
+}
+
+function removeStaging(id) {
+  try {
+    fs.unlinkSync(stagingPath(id));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to remove staged data of ${id}:`, err.message);
+  }
+}
+
+/**
+ * Remove staging files left by crashes and dropped requests: those whose
+ * id isn't in `activeIds` and that haven't been written to for an hour.
+ * Returns how many went.
+ */
+function sweepStaging(activeIds, now = Date.now()) {
+  let names;
+  try {
+    names = fs.readdirSync(stagingDir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to read ${stagingDir}:`, err.message);
+    return 0;
+  }
+
+  let removed = 0;
+  for (const name of names) {
+    if (activeIds.has(name.slice(0, -'.part'.length))) continue;
+    const file = path.join(stagingDir, name);
+    try {
+      if (now - fs.statSync(file).mtimeMs < STAGING_IDLE_MS) continue;
+      fs.rmSync(file, { recursive: true, force: true });
+      removed++;
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to sweep ${file}:`, err.message);
+    }
+  }
+  return removed;
+}
+
+// Read every journaled session; receivedChunks comes back as a Set,
+// chunkDigests as a Map of chunk index => SHA-256
+function loadSessions() {
+  let names;
+  try {
+    names = fs.readdirSync(sessionsDir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to read ${sessionsDir}:`, err.message);
+    return [];
+  }
+
+  const sessions = [];
+  for (const name of names) {
+    const fileId = name.slice(0, -'.json'.length);
+    if (!name.endsWith('.json') || name === path.basename(errorsFile) || !isValidFileId(fileId)) continue;
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(sessionsDir, name), 'utf8'));
+      sessions.push({
+        ...data,
+        fileId,
+        receivedChunks: new Set(data.receivedChunks || []),
+        chunkDigests: loadChunkDigests(fileId)
+      });
+    } catch (err) {
+      console.error(`Skipping unreadable upload journal ${name}:`, err.message);
+    }
+  }
+  return sessions;
+}
+
+/**
+ * A Map that rewrites its JSON file whenever an entry is set or deleted.
+ * Meant for small, rarely-changing data like the upload error log.
+ */
+class JournaledMap extends Map {
+  constructor(file) {
+    super();
+    this.file = file;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const [key, value] of Object.entries(data)) super.set(key, value);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to read ${file}:`, err.message);
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.save();
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) this.save();
+    return existed;
+  }
+
+  save() {
+    try {
+      writeJson(this.file, Object.fromEntries(this));
+    } catch (err) {
+      console.error(`Failed to write ${this.file}:`, err.message);
+    }
+  }
+}
+
+function openErrorLog() {
+  return new JournaledMap(errorsFile);
+}
+
+module.exports = {
+  sessionsDir,
+  stagingDir,
+  isValidFileId,
+  saveSession,
+  saveChunkDigest,
+  removeSession,
+  stagingPath,
+  newStagingPath,
+  removeStaging,
+  sweepStaging,
+  loadSessions,
+  openErrorLog
+};
@@ -0,0 +1,291 @@
+/**
+ * VERSIONS.JS
+ *
+ * - Keeps the previous content of files that get replaced: uploads with
+ *   the "overwrite" or "version" conflict policy, WebDAV PUT over an
+ *   existing file, and copies or moves onto a file. Stored in
+ *   config.versionsDir (default ".versions" next to config.json).
+ * - Each file gets a folder named after the SHA-1 of its virtual path,
+ *   holding "index.json" and one numbered file per version. Numbers only
+ *   ever grow. The index also remembers who uploaded the current content,
+ *   which becomes the version's uploader once it is replaced.
+ * - At most config.maxVersions (default 10; 0 turns versioning off) are
+ *   kept per file, and purgeExpired() drops versions older than
+ *   config.versionRetentionDays (default 90; 0 means no age limit).
+ * - History follows a file that is renamed or moved on its own, not one
+ *   whose folder is moved. Empty files are never kept as versions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { config, resolveConfigPath } = require('./config');
+const { resolveSharePath } = require('./share-roots');
+
+const versionsDir = resolveConfigPath(config.versionsDir || '.versions');
+const maxVersions = Number(config.maxVersions ?? 10);
+const retentionDays = Number(config.versionRetentionDays ?? 90);
+const enabled = maxVersions > 0;
+
+// Index updates for one path run one after another
+const pending = new Map();
+
+function withIndex(virtualPath, fn) {
+  const previous = pending.get(virtualPath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  pending.set(virtualPath, next);
+  next.catch(() => {}).then(() => {
+    if (pending.get(virtualPath) === next) pending.delete(virtualPath);
+  });
+  return next;
+}
+
+function folderFor(virtualPath) {
+  return path.join(versionsDir, crypto.createHash('sha1').update(virtualPath).digest('hex'));
+}
+
+function dataPath(virtualPath, number) {
+  return path.join(folderFor(virtualPath), String(number));
+}
+
+async function readIndex(virtualPath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(folderFor(virtualPath), 'index.json'), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { path: virtualPath, current: null, versions: [] };
+    throw err;
+  }
+}
+
+async function writeIndex(index) {
+  const folder = folderFor(index.path);
+  await fs.promises.mkdir(folder, { recursive: true, mode: 0o700 });
+  const file = path.join(folder, 'index.json');
+  await fs.promises.writeFile(file + '.tmp', JSON.stringify(index), { mode: 0o600 });
+  await fs.promises.rename(file + '.tmp', file);
+}
+
+// Move a file, copying instead when the store is on another disk
+async function moveFile(from, to) {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+}
+
+async function sha256Of(fullPath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(fullPath), hash);
+  return hash.digest('hex');
+}
+
+// Drop the oldest versions beyond maxVersions (and past the age limit)
+async function prune(index, now = Date.now()) {
+  const maxAge = retentionDays * 24 * 60 * 60 * 1000;
+  const keep = index.versions.filter(v => !retentionDays || now - Date.parse(v.savedAt) < maxAge).slice(-maxVersions);
+  for (const version of index.versions) {
+    if (!keep.includes(version)) {
+      await fs.promises.rm(dataPath(index.path, version.number), { force: true });
+    }
+  }
+  const removed = index.versions.length - keep.length;
+  index.versions = keep;
+  return removed;
+}
+
+// Should replacing this entry keep its content as a version?
+function shouldKeep(stats) {
+  return enabled && stats.isFile() && stats.size > 0;
+}
+
+/**
+ * Move the current file at `target` into the store as its next version;
+ * `identity` is about to put new content there. Resolves the version.
+ */
+function keepVersion(target, stats, identity) {
+  return withIndex(target.virtualPath, async () => {
+    const index = await readIndex(target.virtualPath);
+    const last = index.versions[index.versions.length - 1];
+    const number = Math.max(index.lastNumber || 0, last ? last.number : 0) + 1;
+    // Hash in place, so the file is only gone for the moment the move takes
+    const sha256 = await sha256Of(target.fullPath);
+    await fs.promises.mkdir(folderFor(target.virtualPath), { recursive: true, mode: 0o700 });
+    await moveFile(target.fullPath, dataPath(target.virtualPath, number));
+
+    const version = {
+      number,
+      size: stats.size,
+      modified: stats.mtime.toISOString(),
+      savedAt: new Date().toISOString(),
+      uploader: index.current ? index.current.uploadedBy : null,
+      sha256
+    };
+    index.versions.push(version);
+    index.lastNumber = number;
+    index.current = { uploadedBy: identity.name || null, uploadedAt: version.savedAt };
+    await prune(index);
+    await writeIndex(index);
+    return version;
+  });
+}
+
+// Remember who put the current content of a file there
+async function recordUpload(virtualPath, uploadedBy) {
+  if (!enabled) return;
+  try {
+    await withIndex(virtualPath, async () => {
+      const index = await readIndex(virtualPath);
+      index.current = { uploadedBy: uploadedBy || null, uploadedAt: new Date().toISOString() };
+      await writeIndex(index);
+    });
+  } catch (err) {
+    console.error(`Failed to record the uploader of ${virtualPath}:`, err.message);
+  }
+}
+
+// { current, versions } for a file, newest version first
+async function listVersions(virtualPath) {
+  const index = await readIndex(virtualPath);
+  return { current: index.current, versions: index.versions.slice().reverse() };
+}
+
+// The stored file of one version, or null if there is no such version
+async function findVersion(virtualPath, number) {
+  const index = await readIndex(virtualPath);
+  const version = index.versions.find(v => v.number === number);
+  return version ? { ...version, fullPath: dataPath(virtualPath, number) } : null;
+}
+
+/**
+ * Make version `number` the current content of `target` again. The
+ * content it replaces becomes a version itself, so nothing is lost.
+ * Resolves the restored version, or null if there is no such version.
+ */
+async function restoreVersion(target, number, identity) {
+  const version = await findVersion(target.virtualPath, number);
+  if (!version) return null;
+  // Copy first: keeping the current content may prune the version we restore
+  const copy = path.join(folderFor(target.virtualPath), `restore-${crypto.randomBytes(6).toString('hex')}`);
+  await fs.promises.copyFile(version.fullPath, copy);
+  try {
+    const stats = await fs.promises.stat(target.fullPath).catch(() => null);
+    if (stats && shouldKeep(stats)) await keepVersion(target, stats, identity);
+    await moveFile(copy, target.fullPath);
+  } finally {
+    await fs.promises.rm(copy, { force: true });
+  }
+  await recordUpload(target.virtualPath, identity.name);
+  return version;
+}
+
+/**
+ * Let a file's history follow it to a new path. If the new path has a
+ * history of its own, the moved versions are added after it.
+ */
+function moveHistory(fromPath, toPath) {
+  if (!enabled || fromPath === toPath) return Promise.resolve();
+  // Both locks, always taken in the same order, so A -> B and B -> A at once can't deadlock
+  const [first, second] = [fromPath, toPath].sort();
+  return withIndex(first, () => withIndex(second, async () => {
+    const from = await readIndex(fromPath);
+    if (!from.versions.length && !from.current) return;
+    const to = await readIndex(toPath);
+    const last = to.versions[to.versions.length - 1];
+    let number = Math.max(to.lastNumber || 0, last ? last.number : 0);
+    await fs.promises.mkdir(folderFor(toPath), { recursive: true, mode: 0o700 });
+    for (const version of from.versions) {
+      number++;
+      await moveFile(dataPath(fromPath, version.number), dataPath(toPath, number));
+      to.versions.push({ ...version, number });
+    }
+    to.lastNumber = number;
+    to.current = from.current;
+    await prune(to);
+    await writeIndex(to);
+    await fs.promises.rm(folderFor(fromPath), { recursive: true, force: true });
+  })).catch(err => console.error(`Failed to move the history of ${fromPath}:`, err.message));
+}
+
+/**
+ * Version counts for many paths at once (for file listings): one read
+ * of the store's folder for all of them, then an index read only for
+ * files that have a history, `concurrency` at a time.
+ */
+async function countVersions(virtualPaths, { concurrency = 64 } = {}) {
+  const counts = new Map();
+  let folders;
+  try {
+    folders = new Set(await fs.promises.readdir(versionsDir));
+  } catch {
+    return counts;
+  }
+  const withHistory = virtualPaths.filter(p => folders.has(path.basename(folderFor(p))));
+  for (let i = 0; i < withHistory.length; i += concurrency) {
+    await Promise.all(withHistory.slice(i, i + concurrency).map(async virtualPath => {
+      try {
+        const index = JSON.parse(await fs.promises.readFile(path.join(folderFor(virtualPath), 'index.json'), 'utf8'));
+        if (index.versions.length) counts.set(virtualPath, index.versions.length);
+      } catch {
+        // No readable index: no versions to show
+      }
+    }));
+  }
+  return counts;
+}
+
+// Drop versions past the age limit, and histories of files that are gone
+async function purgeExpired(now = Date.now()) {
+  let names;
+  try {
+    names = await fs.promises.readdir(versionsDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+
+  let purged = 0;
+  for (const name of names) {
+    try {
+      const index = JSON.parse(await fs.promises.readFile(path.join(versionsDir, name, 'index.json'), 'utf8'));
+      await withIndex(index.path, async () => {
+        const fresh = await readIndex(index.path);
+        const removed = await prune(fresh, now);
+        purged += removed;
+        let exists = false;
+        try {
+          exists = fs.existsSync(resolveSharePath(fresh.path).fullPath);
+        } catch {
+          // Its share root is gone
+        }
+        if (!fresh.versions.length && !exists) {
+          await fs.promises.rm(folderFor(fresh.path), { recursive: true, force: true });
+        } else if (removed) {
+          await writeIndex(fresh);
+        }
+      });
+    } catch (err) {
+      console.error(`Failed to purge versions in ${name}:`, err.message);
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  versionsDir,
+  maxVersions,
+  retentionDays,
+  enabled,
+  shouldKeep,
+  keepVersion,
+  recordUpload,
+  listVersions,
+  findVersion,
+  restoreVersion,
+  moveHistory,
+  countVersions,
+  purgeExpired
+};
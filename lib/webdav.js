@@ -0,0 +1,695 @@
+/**
+ * WEBDAV.JS
+ *
+ * - WebDAV (RFC 4918, class 1 and 2) under /dav, so the share roots can
+ *   be mounted as a network drive (davfs2, Finder, Windows Explorer).
+ * - /dav/<root>/sub/file is the virtual path /<root>/sub/file and goes
+ *   through the same share-root resolution and permissions as the JSON
+ *   API; /dav/ itself lists the roots.
+ * - Locks live in memory and only bind WebDAV clients; they are lost on
+ *   restart, after which clients simply lock again.
+ * - Dead properties are not stored. PROPPATCH still answers 200, since
+ *   Windows fails copies when it can't set its file times.
+ * - DELETE moves the entry to the trash just like the JSON API; PUT,
+ *   COPY and MOVE over an existing file keep the old one as a version.
+ * - PUT bodies are staged like other uploads and only replace the file
+ *   once they have fully arrived.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { pipeline } = require('stream/promises');
+const {
+  AccessDeniedError,
+  listRoots,
+  isVirtualRoot,
+  resolveSharePath
+} = require('./share-roots');
+const permissions = require('./permissions');
+const { sendFile, makeETag } = require('./send-file');
+const { contentTypeFor, detectType, dispositionFor } = require('./mime');
+const { parseXml, escapeXml, child, serializeXml } = require('./xml');
+const {
+  FileOpError,
+  requireAllowedBelow,
+  requireInsideRoot,
+  transfer,
+  trashEntry,
+  moveAside,
+  placeStagedFile
+} = require('./file-ops');
+const versions = require('./versions');
+const uploadSessions = require('./upload-sessions');
+const quotas = require('./quotas');
+
+const DAV_PREFIX = '/dav';
+const DAV = 'DAV:';
+const MAX_XML_BODY = 1_048_576;
+// Clients asking for longer (or "Infinite") locks get this and refresh
+const MAX_LOCK_SECONDS = 3600;
+
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE, LOCK, UNLOCK';
+
+class DavError extends Error {
+  constructor(statusCode, message, condition = null) {
+    super(message);
+    this.name = 'DavError';
+    this.statusCode = statusCode;
+    // Precondition element for the <D:error> body, e.g. "no-conflicting-lock"
+    this.condition = condition;
+  }
+}
+
+// Headers for OPTIONS; advertising class 2 makes Finder and Windows mount read-write
+function davOptionsHeaders() {
+  return {
+    DAV: '1, 2',
+    'MS-Author-Via': 'DAV',
+    Allow: ALLOWED_METHODS,
+    'Content-Length': 0
+  };
+}
+
+function isDavPath(pathname) {
+  return pathname === DAV_PREFIX || pathname.startsWith(DAV_PREFIX + '/');
+}
+
+// Map a request path under /dav to a virtual path
+function toVirtualPath(pathname) {
+  try {
+    const segments = pathname.slice(DAV_PREFIX.length).split('/').filter(Boolean).map(decodeURIComponent);
+    return '/' + segments.join('/');
+  } catch {
+    throw new DavError(400, 'Invalid URL encoding');
+  }
+}
+
+function hrefFor(virtualPath, isDirectory) {
+  const segments = virtualPath.split('/').filter(Boolean).map(encodeURIComponent);
+  const href = [DAV_PREFIX, ...segments].join('/');
+  return isDirectory ? href + '/' : href;
+}
+
+// Helper: is `child` the same as or below `parent` (both virtual paths)?
+function isSameOrInside(parent, childPath) {
+  return childPath === parent || childPath.startsWith(parent === '/' ? '/' : parent + '/');
+}
+
+async function statOrNull(fullPath) {
+  try {
+    return await fs.promises.stat(fullPath);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+    throw err;
+  }
+}
+
+// Read and parse an XML request body (null when there is none)
+async function readXmlBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_XML_BODY) throw new DavError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text.trim()) return null;
+  try {
+    return parseXml(text);
+  } catch (err) {
+    throw new DavError(400, `Invalid XML: ${err.message}`);
+  }
+}
+
+function sendXml(res, statusCode, body, headers = {}) {
+  const xml = '<?xml version="1.0" encoding="utf-8"?>\n' + body;
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Content-Length': Buffer.byteLength(xml),
+    ...headers
+  });
+  res.end(xml);
+}
+
+function sendStatus(res, statusCode, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Length': 0, ...headers });
+  res.end();
+}
+
+function statusLine(code) {
+  return `HTTP/1.1 ${code} ${STATUS_CODES[code] || ''}`;
+}
+
+function requireAllowed(identity, action, virtualPath) {
+  if (!permissions.can(identity, action, virtualPath)) {
+    throw new DavError(403, `You may not ${action} in ${virtualPath}`);
+  }
+}
+
+// -------------------------------------------
+// Locks
+// -------------------------------------------
+
+// token => { token, root, href, depth, scope, owner, ownerXml, expires }
+const locks = new Map();
+
+function liveLocks() {
+  const now = Date.now();
+  for (const [token, lock] of locks) {
+    if (lock.expires <= now) locks.delete(token);
+  }
+  return Array.from(locks.values());
+}
+
+/**
+ * Locks that cover `virtualPath`: set on it, or on a parent with depth
+ * infinity. With `deep`, locks anywhere below it count as well.
+ */
+function locksOn(virtualPath, deep = false) {
+  return liveLocks().filter(lock =>
+    lock.root === virtualPath ||
+    (lock.depth === 'infinity' && isSameOrInside(lock.root, virtualPath)) ||
+    (deep && isSameOrInside(virtualPath, lock.root)));
+}
+
+// Lock tokens the client submitted in its If header
+function submittedTokens(req) {
+  const tokens = new Set();
+  for (const [, token] of String(req.headers['if'] || '').matchAll(/<([^>]+)>/g)) {
+    tokens.add(token);
+  }
+  return tokens;
+}
+
+/**
+ * Throw 423 Locked unless the caller holds a lock on everything a write to
+ * `virtualPath` touches. `parent` also checks the containing folder, whose
+ * member list changes when something is created or removed.
+ * If headers are only scanned for lock tokens, not evaluated as conditions.
+ */
+function requireUnlocked(req, virtualPath, { deep = false, parent = false } = {}) {
+  const tokens = submittedTokens(req);
+  const holds = lock => tokens.has(lock.token) && lock.owner === req.identity.name;
+  const found = locksOn(virtualPath, deep);
+  if (found.length && !found.some(holds)) {
+    throw new DavError(423, `${virtualPath} is locked`, 'lock-token-submitted');
+  }
+  if (parent) {
+    const dir = path.posix.dirname(virtualPath);
+    const direct = liveLocks().filter(lock => lock.root === dir && lock.depth === '0');
+    if (direct.length && !direct.some(holds)) {
+      throw new DavError(423, `${dir} is locked`, 'lock-token-submitted');
+    }
+  }
+}
+
+function releaseLocksBelow(virtualPath) {
+  for (const [token, lock] of locks) {
+    if (isSameOrInside(virtualPath, lock.root)) locks.delete(token);
+  }
+}
+
+// Parse "Timeout: Second-600, Infinite" into seconds, capped
+function lockTimeout(header) {
+  for (const part of String(header || '').split(',')) {
+    const match = /^\s*Second-(\d+)\s*$/i.exec(part);
+    if (match) return Math.max(1, Math.min(Number(match[1]), MAX_LOCK_SECONDS));
+  }
+  return MAX_LOCK_SECONDS;
+}
+
+function activeLockXml(lock) {
+  return '<D:activelock>' +
+    '<D:locktype><D:write/></D:locktype>' +
+    `<D:lockscope><D:${lock.scope}/></D:lockscope>` +
+    `<D:depth>${lock.depth}</D:depth>` +
+    (lock.ownerXml ? `<D:owner>${lock.ownerXml}</D:owner>` : '') +
+    `<D:timeout>Second-${Math.max(0, Math.round((lock.expires - Date.now()) / 1000))}</D:timeout>` +
+    `<D:locktoken><D:href>${escapeXml(lock.token)}</D:href></D:locktoken>` +
+    `<D:lockroot><D:href>${escapeXml(lock.href)}</D:href></D:lockroot>` +
+    '</D:activelock>';
+}
+
+// -------------------------------------------
+// Properties
+// -------------------------------------------
+
+const LIVE_PROPERTIES = [
+  'creationdate', 'displayname', 'getcontentlength', 'getcontenttype',
+  'getetag', 'getlastmodified', 'resourcetype', 'supportedlock', 'lockdiscovery'
+];
+
+const SUPPORTED_LOCK = ['exclusive', 'shared'].map(scope =>
+  `<D:lockentry><D:lockscope><D:${scope}/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>`
+).join('');
+
+// Value of a live property as XML, or undefined if the resource doesn't have it
+function propertyValue(name, resource) {
+  const { virtualPath, stats, isDirectory } = resource;
+  switch (name) {
+    case 'creationdate':
+      return stats ? stats.birthtime.toISOString() : undefined;
+    case 'displayname':
+      return escapeXml(path.posix.basename(virtualPath) || '/');
+    case 'getcontentlength':
+      return isDirectory ? undefined : String(stats.size);
+    case 'getcontenttype':
+      return isDirectory ? undefined : escapeXml(contentTypeFor(virtualPath));
+    case 'getetag':
+      return isDirectory ? undefined : escapeXml(makeETag(stats));
+    case 'getlastmodified':
+      return stats ? stats.mtime.toUTCString() : undefined;
+    case 'resourcetype':
+      return isDirectory ? '<D:collection/>' : '';
+    case 'supportedlock':
+      return SUPPORTED_LOCK;
+    case 'lockdiscovery':
+      return locksOn(virtualPath).map(activeLockXml).join('');
+    default:
+      return undefined;
+  }
+}
+
+// Helper: an empty or filled property element
+function propertyXml(prop, value = '') {
+  if (prop.ns === DAV) return value ? `<D:${prop.name}>${value}</D:${prop.name}>` : `<D:${prop.name}/>`;
+  return `<${prop.name} xmlns="${escapeXml(prop.ns)}">${value}</${prop.name}>`;
+}
+
+function propstatXml(props, code) {
+  if (!props.length) return '';
+  return `<D:propstat><D:prop>${props.join('')}</D:prop><D:status>${statusLine(code)}</D:status></D:propstat>`;
+}
+
+/**
+ * One <D:response> for a PROPFIND. `request` is { mode: 'allprop' } or
+ * { mode: 'propname' } or { mode: 'prop', props: [{ ns, name }] }.
+ */
+function propfindResponse(resource, request) {
+  const found = [];
+  const missing = [];
+  if (request.mode === 'prop') {
+    for (const prop of request.props) {
+      const value = prop.ns === DAV ? propertyValue(prop.name, resource) : undefined;
+      if (value === undefined) missing.push(propertyXml(prop));
+      else found.push(propertyXml(prop, value));
+    }
+  } else {
+    for (const name of LIVE_PROPERTIES) {
+      const value = propertyValue(name, resource);
+      if (value === undefined) continue;
+      found.push(propertyXml({ ns: DAV, name }, request.mode === 'propname' ? '' : value));
+    }
+  }
+  return '<D:response>' +
+    `<D:href>${escapeXml(hrefFor(resource.virtualPath, resource.isDirectory))}</D:href>` +
+    propstatXml(found, 200) +
+    propstatXml(missing, 404) +
+    '</D:response>';
+}
+
+function parsePropfind(body) {
+  if (!body) return { mode: 'allprop' };
+  if (body.ns !== DAV || body.name !== 'propfind') throw new DavError(400, 'Expected <propfind>');
+  const prop = child(body, DAV, 'prop');
+  if (prop) return { mode: 'prop', props: prop.children.map(c => ({ ns: c.ns, name: c.name })) };
+  if (child(body, DAV, 'propname')) return { mode: 'propname' };
+  return { mode: 'allprop' };
+}
+
+// Resources a PROPFIND reports: the target plus, for Depth 1, what's inside it
+async function propfindResources(identity, virtualPath, depth) {
+  if (isVirtualRoot(virtualPath)) {
+    const resources = [{ virtualPath: '/', stats: null, isDirectory: true }];
+    if (depth === '1') {
+      for (const root of listRoots()) {
+        if (!permissions.canReach(identity, root.path)) continue;
+        const stats = await statOrNull(resolveSharePath(root.path).fullPath);
+        if (stats) resources.push({ virtualPath: root.path, stats, isDirectory: true });
+      }
+    }
+    return resources;
+  }
+
+  const target = resolveSharePath(virtualPath);
+  const stats = await statOrNull(target.fullPath);
+  if (!stats || !(stats.isFile() || stats.isDirectory())) throw new DavError(404, 'Not found');
+  if (stats.isFile()) {
+    requireAllowed(identity, 'read', target.virtualPath);
+    return [{ virtualPath: target.virtualPath, stats, isDirectory: false }];
+  }
+  if (!permissions.canReach(identity, target.virtualPath)) {
+    throw new DavError(403, `You may not read in ${target.virtualPath}`);
+  }
+
+  const resources = [{ virtualPath: target.virtualPath, stats, isDirectory: true }];
+  if (depth !== '1') return resources;
+
+  // Like /list-folders: without read access only the way to deeper folders shows
+  const canRead = permissions.can(identity, 'read', target.virtualPath);
+  for (const name of await fs.promises.readdir(target.fullPath)) {
+    const childPath = target.virtualPath + '/' + name;
+    let entry;
+    try {
+      entry = resolveSharePath(childPath);
+    } catch {
+      continue; // symlink leaving the root
+    }
+    const childStats = await statOrNull(entry.fullPath);
+    if (!childStats) continue;
+    if (childStats.isDirectory()) {
+      if (canRead || permissions.canReach(identity, childPath)) {
+        resources.push({ virtualPath: childPath, stats: childStats, isDirectory: true });
+      }
+    } else if (childStats.isFile() && canRead) {
+      resources.push({ virtualPath: childPath, stats: childStats, isDirectory: false });
+    }
+  }
+  return resources;
+}
+
+// -------------------------------------------
+// Methods
+// -------------------------------------------
+
+async function handlePropfind(req, res, virtualPath) {
+  const depth = req.headers['depth'] === undefined ? 'infinity' : String(req.headers['depth']).toLowerCase();
+  if (depth === 'infinity') {
+    throw new DavError(403, 'Depth: infinity is not supported', 'propfind-finite-depth');
+  }
+  if (depth !== '0' && depth !== '1') throw new DavError(400, 'Depth must be 0 or 1');
+
+  const request = parsePropfind(await readXmlBody(req));
+  const resources = await propfindResources(req.identity, virtualPath, depth);
+  sendXml(res, 207,
+    `<D:multistatus xmlns:D="DAV:">${resources.map(r => propfindResponse(r, request)).join('')}</D:multistatus>`);
+}
+
+async function handleProppatch(req, res, virtualPath) {
+  const target = resolveSharePath(virtualPath);
+  const stats = await statOrNull(target.fullPath);
+  if (!stats) throw new DavError(404, 'Not found');
+  requireAllowed(req.identity, 'upload', path.posix.dirname(target.virtualPath));
+  requireUnlocked(req, target.virtualPath);
+
+  const body = await readXmlBody(req);
+  if (!body || body.ns !== DAV || body.name !== 'propertyupdate') {
+    throw new DavError(400, 'Expected <propertyupdate>');
+  }
+  const props = [];
+  for (const action of body.children) {
+    const prop = child(action, DAV, 'prop');
+    if (prop) prop.children.forEach(p => props.push(propertyXml(p)));
+  }
+  sendXml(res, 207,
+    '<D:multistatus xmlns:D="DAV:"><D:response>' +
+    `<D:href>${escapeXml(hrefFor(target.virtualPath, stats.isDirectory()))}</D:href>` +
+    propstatXml(props, 200) +
+    '</D:response></D:multistatus>');
+}
+
+async function handleGet(req, res, virtualPath) {
+  const resources = await propfindResources(req.identity, virtualPath, '1');
+  const [self, ...children] = resources;
+  if (!self.isDirectory) {
+    // The same headers as /download, so an HTML or SVG file can't run as part of the site
+    const { fullPath } = resolveSharePath(virtualPath);
+    const contentType = detectType(fullPath);
+    return sendFile(req, res, fullPath, {
+      'Content-Type': contentType,
+      'Content-Disposition': `${dispositionFor(contentType)}; filename="${encodeURIComponent(path.basename(fullPath))}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-cache'
+    });
+  }
+
+  // A plain listing, for whoever opens the URL in a browser
+  const links = children.map(r => {
+    const name = path.posix.basename(r.virtualPath) + (r.isDirectory ? '/' : '');
+    return `<li><a href="${escapeXml(hrefFor(r.virtualPath, r.isDirectory))}">${escapeXml(name)}</a></li>`;
+  });
+  const html = `<!DOCTYPE html><meta charset="utf-8"><title>${escapeXml(self.virtualPath)}</title>` +
+    `<h1>${escapeXml(self.virtualPath)}</h1><ul>${links.join('')}</ul>`;
+  res.writeHead(200, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Length': Buffer.byteLength(html),
+    'Cache-Control': 'private, no-cache'
+  });
+  res.end(req.method === 'HEAD' ? undefined : html);
+}
+
+async function handlePut(req, res, virtualPath) {
+  requireInsideRoot(virtualPath);
+  if (req.headers['content-range']) throw new DavError(400, 'Partial PUT is not supported');
+  const target = resolveSharePath(virtualPath);
+  const parentStats = await statOrNull(path.dirname(target.fullPath));
+  if (!parentStats || !parentStats.isDirectory()) throw new DavError(409, 'Parent folder does not exist');
+  const stats = await statOrNull(target.fullPath);
+  if (stats && stats.isDirectory()) throw new DavError(405, 'A folder exists at this path');
+  requireAllowed(req.identity, 'upload', path.posix.dirname(target.virtualPath));
+  // Replacing content that won't be kept as a version destroys it, which takes delete
+  if (stats && !versions.shouldKeep(stats)) requireAllowed(req.identity, 'delete', target.virtualPath);
+  requireUnlocked(req, target.virtualPath, { parent: !stats });
+
+  // Size limits, up front from Content-Length and again as the body arrives
+  const stagedPath = uploadSessions.newStagingPath();
+  const quotaKey = path.basename(stagedPath);
+  const dirs = [uploadSessions.stagingDir, path.dirname(target.fullPath)];
+  const declared = Number(req.headers['content-length'] || 0);
+  const allowed = await quotas.checkUpload(req.identity, target.virtualPath, declared, dirs, quotaKey);
+  quotas.reserve(quotaKey, { virtualPath: target.virtualPath, owner: req.identity.name, size: declared });
+  const guard = quotas.guardStream(allowed, dirs, quotaKey);
+  try {
+    await pipeline(req, guard, fs.createWriteStream(stagedPath));
+    if (guard.error) throw guard.error;
+    // The old content may have changed or gone while the body arrived
+    const current = await statOrNull(target.fullPath);
+    if (current && versions.shouldKeep(current)) await versions.keepVersion(target, current, req.identity);
+    else if (current) requireAllowed(req.identity, 'delete', target.virtualPath);
+    await placeStagedFile(stagedPath, target.fullPath);
+  } finally {
+    quotas.release(quotaKey);
+    await fs.promises.rm(stagedPath, { force: true });
+  }
+  await versions.recordUpload(target.virtualPath, req.identity.name);
+  quotas.recordUpload(req.identity.name, target.virtualPath, guard.bytes);
+  sendStatus(res, stats ? 204 : 201);
+}
+
+async function handleMkcol(req, res, virtualPath) {
+  requireInsideRoot(virtualPath);
+  const target = resolveSharePath(virtualPath);
+  const hasBody = Number(req.headers['content-length'] || 0) > 0 || req.headers['transfer-encoding'];
+  if (hasBody) throw new DavError(415, 'MKCOL does not take a body');
+  if (await statOrNull(target.fullPath)) throw new DavError(405, 'Something exists at this path');
+  const parentStats = await statOrNull(path.dirname(target.fullPath));
+  if (!parentStats || !parentStats.isDirectory()) throw new DavError(409, 'Parent folder does not exist');
+  requireAllowed(req.identity, 'upload', path.posix.dirname(target.virtualPath));
+  requireUnlocked(req, target.virtualPath, { parent: true });
+
+  await fs.promises.mkdir(target.fullPath);
+  sendStatus(res, 201);
+}
+
+async function handleDelete(req, res, virtualPath) {
+  requireInsideRoot(virtualPath);
+  const target = resolveSharePath(virtualPath);
+  const stats = await statOrNull(target.fullPath);
+  if (!stats) throw new DavError(404, 'Not found');
+  await requireAllowedBelow(req.identity, 'delete', target, stats);
+  requireUnlocked(req, target.virtualPath, { deep: true, parent: true });
+
+  await trashEntry(req.identity, target, stats);
+  releaseLocksBelow(target.virtualPath);
+  sendStatus(res, 204);
+}
+
+// Read and check the Destination header of COPY / MOVE
+function parseDestination(req) {
+  const header = req.headers['destination'];
+  if (!header) throw new DavError(400, 'Missing Destination header');
+  let url;
+  try {
+    url = new URL(header, `http://${req.headers['host'] || 'localhost'}`);
+  } catch {
+    throw new DavError(400, 'Invalid Destination header');
+  }
+  if (url.host !== (req.headers['host'] || url.host) || !isDavPath(url.pathname)) {
+    throw new DavError(502, 'Destination is on another server');
+  }
+  return toVirtualPath(url.pathname);
+}
+
+async function handleCopyMove(req, res, virtualPath) {
+  const isMove = req.method === 'MOVE';
+  const depth = String(req.headers['depth'] || 'infinity').toLowerCase();
+  if (depth !== 'infinity' && (isMove || depth !== '0')) {
+    throw new DavError(400, `Depth ${depth} is not allowed for ${req.method}`);
+  }
+  const overwrite = String(req.headers['overwrite'] || 'T').toUpperCase() !== 'F';
+
+  if (isMove) requireInsideRoot(virtualPath);
+  const source = resolveSharePath(virtualPath);
+  const sourceStats = await statOrNull(source.fullPath);
+  if (!sourceStats) throw new DavError(404, 'Not found');
+
+  const destPath = parseDestination(req);
+  requireInsideRoot(destPath);
+  const dest = resolveSharePath(destPath);
+  if (dest.virtualPath === source.virtualPath) throw new DavError(403, 'Source and destination are the same');
+  if (sourceStats.isDirectory() && isSameOrInside(source.virtualPath, dest.virtualPath)) {
+    throw new DavError(403, 'Cannot copy or move a folder into itself');
+  }
+  const parentStats = await statOrNull(path.dirname(dest.fullPath));
+  if (!parentStats || !parentStats.isDirectory()) throw new DavError(409, 'Destination folder does not exist');
+  const destStats = await statOrNull(dest.fullPath);
+  if (destStats && !overwrite) throw new DavError(412, 'Destination exists');
+
+  await requireAllowedBelow(req.identity, isMove ? 'delete' : 'read', source, sourceStats);
+  requireAllowed(req.identity, 'upload', path.posix.dirname(dest.virtualPath));
+  // As for PUT: a file kept as a version isn't lost, anything else replaced takes delete
+  if (destStats && !versions.shouldKeep(destStats)) await requireAllowedBelow(req.identity, 'delete', dest, destStats);
+  if (isMove) requireUnlocked(req, source.virtualPath, { deep: true, parent: true });
+  requireUnlocked(req, dest.virtualPath, { deep: true, parent: true });
+
+  // Overwrite means the old destination goes first (a version, or to the trash), folders included
+  if (destStats) {
+    await moveAside(req.identity, dest, destStats);
+    releaseLocksBelow(dest.virtualPath);
+  }
+
+  if (sourceStats.isDirectory() && depth === '0') {
+    await fs.promises.mkdir(dest.fullPath);
+  } else {
+    await transfer(source.fullPath, dest.fullPath, { move: isMove });
+  }
+  if (isMove) releaseLocksBelow(source.virtualPath);
+  if (isMove && sourceStats.isFile()) await versions.moveHistory(source.virtualPath, dest.virtualPath);
+  if (isMove) quotas.moveUsage(source.virtualPath, dest.virtualPath);
+  sendStatus(res, destStats ? 204 : 201);
+}
+
+async function handleLock(req, res, virtualPath) {
+  requireInsideRoot(virtualPath);
+  const target = resolveSharePath(virtualPath);
+  const body = await readXmlBody(req);
+  const timeout = lockTimeout(req.headers['timeout']);
+
+  // No body: refresh a lock the client already holds
+  if (!body) {
+    const tokens = submittedTokens(req);
+    const lock = locksOn(target.virtualPath).find(l => tokens.has(l.token) && l.owner === req.identity.name);
+    if (!lock) throw new DavError(412, 'No matching lock to refresh', 'lock-token-matches-request-uri');
+    lock.expires = Date.now() + timeout * 1000;
+    return sendXml(res, 200,
+      `<D:prop xmlns:D="DAV:"><D:lockdiscovery>${activeLockXml(lock)}</D:lockdiscovery></D:prop>`);
+  }
+
+  if (body.ns !== DAV || body.name !== 'lockinfo') throw new DavError(400, 'Expected <lockinfo>');
+  const scopeElement = child(body, DAV, 'lockscope');
+  const scope = scopeElement && scopeElement.children[0] && scopeElement.children[0].name;
+  if (scope !== 'exclusive' && scope !== 'shared') throw new DavError(400, 'Unknown lock scope');
+  const typeElement = child(body, DAV, 'locktype');
+  if (!typeElement || !child(typeElement, DAV, 'write')) throw new DavError(400, 'Only write locks are supported');
+  const depth = String(req.headers['depth'] || 'infinity').toLowerCase();
+  if (depth !== '0' && depth !== 'infinity') throw new DavError(400, 'Depth must be 0 or infinity');
+
+  const stats = await statOrNull(target.fullPath);
+  requireAllowed(req.identity, 'upload', path.posix.dirname(target.virtualPath));
+  const conflicting = locksOn(target.virtualPath, depth === 'infinity')
+    .filter(l => scope === 'exclusive' || l.scope === 'exclusive');
+  if (conflicting.length) throw new DavError(423, `${target.virtualPath} is locked`, 'no-conflicting-lock');
+
+  // Locking a path that doesn't exist yet creates an empty file there
+  if (!stats) {
+    const parentStats = await statOrNull(path.dirname(target.fullPath));
+    if (!parentStats || !parentStats.isDirectory()) throw new DavError(409, 'Parent folder does not exist');
+    requireUnlocked(req, target.virtualPath, { parent: true });
+    await fs.promises.writeFile(target.fullPath, '', { flag: 'wx' });
+  }
+
+  const owner = child(body, DAV, 'owner');
+  const lock = {
+    token: `opaquelocktoken:${crypto.randomUUID()}`,
+    root: target.virtualPath,
+    href: hrefFor(target.virtualPath, stats ? stats.isDirectory() : false),
+    depth,
+    scope,
+    owner: req.identity.name,
+    ownerXml: owner ? escapeXml(owner.text.trim()) + owner.children.map(c => serializeXml(c, '')).join('') : '',
+    expires: Date.now() + timeout * 1000
+  };
+  locks.set(lock.token, lock);
+  sendXml(res, stats ? 200 : 201,
+    `<D:prop xmlns:D="DAV:"><D:lockdiscovery>${activeLockXml(lock)}</D:lockdiscovery></D:prop>`,
+    { 'Lock-Token': `<${lock.token}>` });
+}
+
+function handleUnlock(req, res, virtualPath) {
+  const match = /<([^>]+)>/.exec(req.headers['lock-token'] || '');
+  if (!match) throw new DavError(400, 'Missing Lock-Token header');
+  const lock = liveLocks().find(l => l.token === match[1]);
+  const target = isVirtualRoot(virtualPath) ? null : resolveSharePath(virtualPath);
+  if (!lock || !target || !locksOn(target.virtualPath).includes(lock)) {
+    throw new DavError(409, 'Lock token does not apply to this resource', 'lock-token-matches-request-uri');
+  }
+  if (lock.owner !== req.identity.name && !req.identity.admin) {
+    throw new DavError(403, 'This lock belongs to another user');
+  }
+  locks.delete(lock.token);
+  sendStatus(res, 204);
+}
+
+const HANDLERS = {
+  PROPFIND: handlePropfind,
+  PROPPATCH: handleProppatch,
+  GET: handleGet,
+  HEAD: handleGet,
+  PUT: handlePut,
+  MKCOL: handleMkcol,
+  DELETE: handleDelete,
+  COPY: handleCopyMove,
+  MOVE: handleCopyMove,
+  LOCK: handleLock,
+  UNLOCK: handleUnlock
+};
+
+/**
+ * Answer one WebDAV request. Expects req.identity to be set, like every
+ * other route; OPTIONS is answered by the server before authentication.
+ */
+async function handleWebDav(req, res, pathname) {
+  const handler = HANDLERS[req.method];
+  if (!handler) return sendStatus(res, 405, { Allow: ALLOWED_METHODS });
+  try {
+    await handler(req, res, toVirtualPath(pathname));
+  } catch (err) {
+    if (res.headersSent) {
+      console.error(`WebDAV ${req.method} ${pathname} failed mid-response:`, err.message);
+      return res.destroy();
+    }
+    const known = err instanceof DavError || err instanceof FileOpError || err instanceof AccessDeniedError ||
+      err instanceof quotas.QuotaError;
+    const statusCode = known ? err.statusCode
+      : err.code === 'ENOENT' ? 404
+      : 500;
+    if (statusCode === 500) console.error(`WebDAV ${req.method} ${pathname} error:`, err);
+    // Don't leave an unread request body behind on a kept-alive connection
+    req.resume();
+    if (err.condition) {
+      return sendXml(res, statusCode, `<D:error xmlns:D="DAV:"><D:${err.condition}/></D:error>`);
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(err.message);
+  }
+}
+
+module.exports = {
+  DAV_PREFIX,
+  isDavPath,
+  davOptionsHeaders,
+  handleWebDav
+};
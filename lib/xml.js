@@ -0,0 +1,132 @@
+/**
+ * XML.JS
+ *
+ * - Just enough XML for WebDAV request bodies (PROPFIND, PROPPATCH,
+ *   LOCK): elements, attributes, text, CDATA and namespaces.
+ * - Elements come back as { name, ns, attrs, children, text } where
+ *   `name` is the local name and `ns` the resolved namespace URI.
+ * - DOCTYPEs are refused, so entity expansion tricks can't happen.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (!(name in ENTITIES)) throw new Error(`Unknown entity &${name};`);
+    return ENTITIES[name];
+  });
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper: split "D:prop" into ["D", "prop"] ("" prefix when unqualified)
+function splitName(qname) {
+  const idx = qname.indexOf(':');
+  return idx < 0 ? ['', qname] : [qname.slice(0, idx), qname.slice(idx + 1)];
+}
+
+/**
+ * Parse a document and return its root element. Throws on anything
+ * malformed, so callers can answer 400 Bad Request.
+ */
+function parseXml(text) {
+  const tagPattern = /<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  const attrPattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const stack = [];
+  let root = null;
+  let pos = 0;
+
+  const appendText = str => {
+    if (stack.length) stack[stack.length - 1].text += str;
+    else if (str.trim()) throw new Error('Text outside the root element');
+  };
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    if (lt < 0) {
+      appendText(decodeEntities(text.slice(pos)));
+      break;
+    }
+    if (lt > pos) appendText(decodeEntities(text.slice(pos, lt)));
+
+    if (text.startsWith('<?', lt)) {
+      const end = text.indexOf('?>', lt);
+      if (end < 0) throw new Error('Unterminated processing instruction');
+      pos = end + 2;
+    } else if (text.startsWith('<!--', lt)) {
+      const end = text.indexOf('-->', lt);
+      if (end < 0) throw new Error('Unterminated comment');
+      pos = end + 3;
+    } else if (text.startsWith('<![CDATA[', lt)) {
+      const end = text.indexOf(']]>', lt);
+      if (end < 0) throw new Error('Unterminated CDATA section');
+      appendText(text.slice(lt + 9, end));
+      pos = end + 3;
+    } else if (text.startsWith('<!', lt)) {
+      throw new Error('DOCTYPE declarations are not accepted');
+    } else {
+      tagPattern.lastIndex = lt;
+      const match = tagPattern.exec(text);
+      if (!match) throw new Error(`Malformed tag at offset ${lt}`);
+      const [whole, closing, qname, rawAttrs, selfClosing] = match;
+      pos = lt + whole.length;
+
+      if (closing) {
+        const open = stack.pop();
+        if (!open || open.qname !== qname) throw new Error(`Unexpected </${qname}>`);
+        continue;
+      }
+
+      // Namespace declarations on this element apply to it and its children
+      const parent = stack[stack.length - 1];
+      const namespaces = Object.create(parent ? parent.namespaces : null);
+      const attrs = {};
+      for (const [, name, dq, sq] of rawAttrs.matchAll(attrPattern)) {
+        const value = decodeEntities(dq !== undefined ? dq : sq);
+        if (name === 'xmlns') namespaces[''] = value;
+        else if (name.startsWith('xmlns:')) namespaces[name.slice(6)] = value;
+        else attrs[name] = value;
+      }
+      const [prefix, local] = splitName(qname);
+      if (prefix && !(prefix in namespaces)) throw new Error(`Undeclared namespace prefix "${prefix}"`);
+
+      const element = { name: local, ns: namespaces[prefix] || '', attrs, children: [], text: '', qname, namespaces };
+      if (parent) parent.children.push(element);
+      else if (root) throw new Error('More than one root element');
+      else root = element;
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length) throw new Error(`Unclosed <${stack[stack.length - 1].qname}>`);
+  if (!root) throw new Error('Empty document');
+  return root;
+}
+
+// First child element with this namespace and local name
+function child(element, ns, name) {
+  return element && element.children.find(c => c.ns === ns && c.name === name) || null;
+}
+
+/**
+ * Write an element back out, declaring each namespace where it changes.
+ * Used to echo client-supplied XML such as a lock's <owner>.
+ */
+function serializeXml(element, parentNs = null) {
+  const nsAttr = element.ns !== parentNs ? ` xmlns="${escapeXml(element.ns)}"` : '';
+  const attrs = Object.entries(element.attrs).map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+  const inner = escapeXml(element.text.trim()) + element.children.map(c => serializeXml(c, element.ns)).join('');
+  return `<${element.name}${nsAttr}${attrs}>${inner}</${element.name}>`;
+}
+
+module.exports = { parseXml, escapeXml, child, serializeXml };
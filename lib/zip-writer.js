@@ -0,0 +1,342 @@
+/**
+ * ZIP-WRITER.JS
+ *
+ * - Streams a ZIP archive straight into any writable stream (usually
+ *   the HTTP response): no temp files, no external zip programs.
+ * - Entries are stored or deflated with the built-in zlib. Sizes and
+ *   CRC32 go into a data descriptor after each entry, so nothing has
+ *   to be known (or buffered) before the data is sent.
+ * - ZIP64 records are written for entries over 4 GB, archives over
+ *   4 GB and archives with more than 65535 entries.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const SIG_LOCAL = 0x04034b50;
+const SIG_DESCRIPTOR = 0x08074b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_ZIP64_END = 0x06064b50;
+const SIG_ZIP64_LOCATOR = 0x07064b50;
+const SIG_END = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// Bit 3: sizes/CRC follow in a data descriptor. Bit 11: UTF-8 file names.
+const FLAGS = 0x0008 | 0x0800;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+// "Made by" Unix, so file modes in the external attributes are honoured
+const VERSION_MADE_BY = (3 << 8) | VERSION_ZIP64;
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+// Entries this close to 4 GB get ZIP64 headers, as deflate can grow the data a little
+const ZIP64_ENTRY_THRESHOLD = 0xffff0000;
+
+// Extensions whose data is already compressed; deflating them wastes CPU
+const STORED_EXTENSIONS = new Set([
+  'zip', 'gz', 'tgz', 'bz2', 'xz', 'zst', '7z', 'rar', 'jar', 'apk',
+  'jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'heic',
+  'mp3', 'aac', 'm4a', 'ogg', 'opus', 'flac',
+  'mp4', 'm4v', 'mov', 'mkv', 'webm', 'avi',
+  'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub', 'pdf', 'woff', 'woff2'
+]);
+
+// CRC32 — zlib has a native one on newer Node versions, otherwise use a table
+let crc32 = zlib.crc32;
+if (typeof crc32 !== 'function') {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c;
+  }
+  crc32 = (buf, prev = 0) => {
+    let crc = ~prev;
+    for (let i = 0; i < buf.length; i++) {
+      crc = table[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+  };
+}
+
+// Helper: MS-DOS time and date fields (local time, 2-second precision)
+function dosDateTime(date) {
+  const d = (date instanceof Date && !isNaN(date)) ? date : new Date();
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+function chooseMethod(name) {
+  const ext = name.split('.').pop().toLowerCase();
+  return STORED_EXTENSIONS.has(ext) ? METHOD_STORE : METHOD_DEFLATE;
+}
+
+class ZipWriter {
+  /**
+   * @param {Writable} output   stream to write the archive to
+   * @param {object}  [options]
+   * @param {string}  [options.compression] 'auto' (default), 'deflate' or 'store'
+   * @param {number}  [options.level]       deflate level, 0-9
+   * @param {boolean} [options.forceZip64]  write ZIP64 headers for every entry
+   */
+  constructor(output, options = {}) {
+    this.output = output;
+    this.compression = options.compression || 'auto';
+    this.level = options.level === undefined ? zlib.constants.Z_DEFAULT_COMPRESSION : options.level;
+    this.forceZip64 = !!options.forceZip64;
+    this.offset = 0;
+    this.entries = [];
+    this.finished = false;
+  }
+
+  // Write a buffer, waiting for the output to drain when it asks us to
+  write(buf) {
+    this.offset += buf.length;
+    if (this.output.write(buf)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onDrain = () => { cleanup(); resolve(); };
+      const onClose = () => { cleanup(); reject(new Error('Output closed before the archive was complete')); };
+      const cleanup = () => {
+        this.output.off('drain', onDrain);
+        this.output.off('close', onClose);
+      };
+      this.output.on('drain', onDrain);
+      this.output.on('close', onClose);
+    });
+  }
+
+  methodFor(name) {
+    if (this.compression === 'store') return METHOD_STORE;
+    if (this.compression === 'deflate') return METHOD_DEFLATE;
+    return chooseMethod(name);
+  }
+
+  async writeLocalHeader(entry) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const extra = entry.zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+    if (entry.zip64) {
+      // ZIP64 extended info with zero sizes; the real ones are in the descriptor
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(16, 2);
+    }
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(SIG_LOCAL, 0);
+    header.writeUInt16LE(entry.zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.dos.time, 10);
+    header.writeUInt16LE(entry.dos.date, 12);
+    header.writeUInt32LE(0, 14);
+    header.writeUInt32LE(entry.zip64 ? MAX_32 : 0, 18);
+    header.writeUInt32LE(entry.zip64 ? MAX_32 : 0, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(extra.length, 28);
+    await this.write(Buffer.concat([header, name, extra]));
+  }
+
+  async writeDescriptor(entry) {
+    if (entry.zip64) {
+      const buf = Buffer.alloc(24);
+      buf.writeUInt32LE(SIG_DESCRIPTOR, 0);
+      buf.writeUInt32LE(entry.crc, 4);
+      buf.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+      buf.writeBigUInt64LE(BigInt(entry.size), 16);
+      return this.write(buf);
+    }
+    if (entry.compressedSize > MAX_32 || entry.size > MAX_32) {
+      throw new Error(`Entry ${entry.name} grew past 4 GB while it was being archived`);
+    }
+    const buf = Buffer.alloc(16);
+    buf.writeUInt32LE(SIG_DESCRIPTOR, 0);
+    buf.writeUInt32LE(entry.crc, 4);
+    buf.writeUInt32LE(entry.compressedSize, 8);
+    buf.writeUInt32LE(entry.size, 12);
+    return this.write(buf);
+  }
+
+  /**
+   * Add one entry whose data comes from a readable stream.
+   * `size` is the expected size (used to decide on ZIP64 up front).
+   */
+  async addStream(name, source, { size = 0, mtime = new Date(), mode = 0o644 } = {}) {
+    if (this.finished) throw new Error('Archive already finished');
+    const entry = {
+      name,
+      method: this.methodFor(name),
+      dos: dosDateTime(mtime),
+      zip64: this.forceZip64 || size >= ZIP64_ENTRY_THRESHOLD,
+      offset: this.offset,
+      externalAttr: ((0o100000 | mode) << 16) >>> 0,
+      crc: 0,
+      size: 0,
+      compressedSize: 0
+    };
+    await this.writeLocalHeader(entry);
+
+    const deflater = entry.method === METHOD_DEFLATE
+      ? zlib.createDeflateRaw({ level: this.level })
+      : null;
+
+    await new Promise((resolve, reject) => {
+      const fail = err => {
+        source.destroy();
+        if (deflater) deflater.destroy();
+        reject(err);
+      };
+      // The compressed side goes to the output, honouring backpressure
+      const sink = deflater || source;
+      let pending = Promise.resolve();
+
+      source.on('data', chunk => {
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        if (deflater && !deflater.write(chunk) && !source.isPaused()) {
+          source.pause();
+          deflater.once('drain', () => source.resume());
+        }
+      });
+      source.on('error', fail);
+      if (deflater) {
+        deflater.on('error', fail);
+        source.on('end', () => deflater.end());
+      }
+
+      sink.on('data', chunk => {
+        entry.compressedSize += chunk.length;
+        sink.pause();
+        pending = this.write(chunk).then(() => sink.resume(), fail);
+      });
+      sink.on('end', () => pending.then(resolve, fail));
+    });
+
+    await this.writeDescriptor(entry);
+    this.entries.push(entry);
+  }
+
+  // Add a file from disk
+  addFile(name, fullPath, { size, mtime, mode } = {}) {
+    if (size === undefined || mtime === undefined) {
+      const stats = fs.statSync(fullPath);
+      size = stats.size;
+      mtime = stats.mtime;
+      mode = stats.mode & 0o777;
+    }
+    return this.addStream(name, fs.createReadStream(fullPath), { size, mtime, mode });
+  }
+
+  // Add an empty directory entry (name should end with "/")
+  async addDirectory(name, { mtime = new Date(), mode = 0o755 } = {}) {
+    if (this.finished) throw new Error('Archive already finished');
+    const dirName = name.endsWith('/') ? name : name + '/';
+    const entry = {
+      name: dirName,
+      method: METHOD_STORE,
+      dos: dosDateTime(mtime),
+      zip64: this.forceZip64,
+      offset: this.offset,
+      // Unix directory mode plus the MS-DOS directory bit
+      externalAttr: (((0o040000 | mode) << 16) | 0x10) >>> 0,
+      crc: 0,
+      size: 0,
+      compressedSize: 0
+    };
+    await this.writeLocalHeader(entry);
+    await this.writeDescriptor(entry);
+    this.entries.push(entry);
+  }
+
+  centralRecord(entry) {
+    const name = Buffer.from(entry.name, 'utf8');
+    // ZIP64 extra holds only the fields that overflow, in this fixed order
+    const zip64Fields = [];
+    const needsZip64 = entry.zip64 || entry.offset >= MAX_32;
+    if (needsZip64) {
+      zip64Fields.push(entry.size, entry.compressedSize);
+      if (entry.offset >= MAX_32) zip64Fields.push(entry.offset);
+    }
+    let extra = Buffer.alloc(0);
+    if (zip64Fields.length) {
+      extra = Buffer.alloc(4 + zip64Fields.length * 8);
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(zip64Fields.length * 8, 2);
+      zip64Fields.forEach((v, i) => extra.writeBigUInt64LE(BigInt(v), 4 + i * 8));
+    }
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(SIG_CENTRAL, 0);
+    header.writeUInt16LE(VERSION_MADE_BY, 4);
+    header.writeUInt16LE(needsZip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 6);
+    header.writeUInt16LE(FLAGS, 8);
+    header.writeUInt16LE(entry.method, 10);
+    header.writeUInt16LE(entry.dos.time, 12);
+    header.writeUInt16LE(entry.dos.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(needsZip64 ? MAX_32 : entry.compressedSize, 20);
+    header.writeUInt32LE(needsZip64 ? MAX_32 : entry.size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt16LE(0, 32); // comment length
+    header.writeUInt16LE(0, 34); // disk number
+    header.writeUInt16LE(0, 36); // internal attributes
+    header.writeUInt32LE(entry.externalAttr, 38);
+    header.writeUInt32LE(entry.offset >= MAX_32 ? MAX_32 : entry.offset, 42);
+    return Buffer.concat([header, name, extra]);
+  }
+
+  // Write the central directory and end records; does not end the output
+  async finish() {
+    if (this.finished) return;
+    this.finished = true;
+
+    const cdOffset = this.offset;
+    for (const entry of this.entries) {
+      await this.write(this.centralRecord(entry));
+    }
+    const cdSize = this.offset - cdOffset;
+    const count = this.entries.length;
+    const needsZip64 = this.forceZip64 || count >= MAX_16 || cdSize >= MAX_32 || cdOffset >= MAX_32;
+
+    if (needsZip64) {
+      const zip64EndOffset = this.offset;
+      const end64 = Buffer.alloc(56);
+      end64.writeUInt32LE(SIG_ZIP64_END, 0);
+      end64.writeBigUInt64LE(44n, 4); // size of the rest of this record
+      end64.writeUInt16LE(VERSION_MADE_BY, 12);
+      end64.writeUInt16LE(VERSION_ZIP64, 14);
+      end64.writeUInt32LE(0, 16);
+      end64.writeUInt32LE(0, 20);
+      end64.writeBigUInt64LE(BigInt(count), 24);
+      end64.writeBigUInt64LE(BigInt(count), 32);
+      end64.writeBigUInt64LE(BigInt(cdSize), 40);
+      end64.writeBigUInt64LE(BigInt(cdOffset), 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(SIG_ZIP64_LOCATOR, 0);
+      locator.writeUInt32LE(0, 4);
+      locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+      locator.writeUInt32LE(1, 16);
+      await this.write(Buffer.concat([end64, locator]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(SIG_END, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(Math.min(count, MAX_16), 8);
+    end.writeUInt16LE(Math.min(count, MAX_16), 10);
+    end.writeUInt32LE(needsZip64 ? MAX_32 : cdSize, 12);
+    end.writeUInt32LE(needsZip64 ? MAX_32 : cdOffset, 16);
+    end.writeUInt16LE(0, 20);
+    await this.write(end);
+  }
+}
+
+module.exports = { ZipWriter, crc32 };
@@ -0,0 +1,101 @@
+/**
+ * MANAGE-USERS.JS
+ *
+ * Command-line helper for the user store used by server.js.
+ *
+ *   node manage-users.js add <username> [--admin]   (prompts for a password)
+ *   node manage-users.js remove <username>
+ *   node manage-users.js list
+ *   node manage-users.js token <username> [label]   (prints a new API token)
+ *   node manage-users.js tokens [username]
+ *   node manage-users.js revoke <token id>
+ */
+
+const readline = require('readline');
+const auth = require('./lib/auth');
+
+// Read a password from the terminal without echoing it
+function promptPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.stdoutMuted = false;
+    rl._writeToOutput = function (str) {
+      if (!rl.stdoutMuted || str.includes(question)) rl.output.write(str);
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    rl.stdoutMuted = true;
+  });
+}
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node manage-users.js add <username> [--admin]');
+  console.log('  node manage-users.js remove <username>');
+  console.log('  node manage-users.js list');
+  console.log('  node manage-users.js token <username> [label]');
+  console.log('  node manage-users.js tokens [username]');
+  console.log('  node manage-users.js revoke <token id>');
+  process.exit(1);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const flags = args.filter(a => a.startsWith('--'));
+  const params = args.filter(a => !a.startsWith('--'));
+
+  switch (command) {
+    case 'add': {
+      const username = params[0];
+      if (!username) usage();
+      const password = await promptPassword(`Password for ${username}: `);
+      const confirm = await promptPassword('Repeat password: ');
+      if (!password || password !== confirm) {
+        console.error('Passwords are empty or do not match');
+        process.exit(1);
+      }
+      await auth.setUser(username, password, { admin: flags.includes('--admin') });
+      console.log(`Saved user ${username} in ${auth.usersFile}`);
+      break;
+    }
+    case 'remove': {
+      if (!params[0]) usage();
+      console.log(auth.removeUser(params[0]) ? `Removed ${params[0]}` : `No such user: ${params[0]}`);
+      break;
+    }
+    case 'list': {
+      for (const u of auth.listUsers()) {
+        console.log(`${u.username}${u.admin ? ' (admin)' : ''}  created ${u.createdAt || '-'}`);
+      }
+      break;
+    }
+    case 'token': {
+      if (!params[0]) usage();
+      const created = auth.createToken(params[0], params.slice(1).join(' '));
+      console.log(`Token ${created.id} for ${params[0]} (shown only once):`);
+      console.log(created.token);
+      break;
+    }
+    case 'tokens': {
+      for (const t of auth.listTokens(params[0])) {
+        console.log(`${t.id}  ${t.user}  ${t.label || '-'}  created ${t.createdAt}`);
+      }
+      break;
+    }
+    case 'revoke': {
+      if (!params[0]) usage();
+      console.log(auth.revokeToken(params[0]) ? `Revoked ${params[0]}` : `No such token: ${params[0]}`);
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
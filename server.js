@@ -3,28 +3,94 @@
  *
  * - Supports both single-chunk and multi-chunk uploads
  * - No separate "init" request for chunk #0. The first chunk
- *   of data (index=0) immediately writes to the file.
- * - Uses an in-memory tracker to handle partial uploads.
+ *   of data (index=0) immediately writes to the upload's staging file;
+ *   the finished file is renamed into place in one step.
+ * - Uses an in-memory tracker to handle partial uploads, journaled to
+ *   disk so they resume after a restart (see lib/upload-sessions.js).
  * - Cleans up stale uploads.
+ * - Every filesystem route works on virtual paths that are jailed
+ *   inside the configured share roots (see lib/share-roots.js).
+ * - Once users exist, every request except the login page and static
+ *   assets needs a session cookie or bearer token (see lib/auth.js).
+ * - Per-folder read / upload / delete rules are checked on every
+ *   route (see lib/permissions.js).
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { parse } = require('url');
-const { exec } = require('child_process');
 const os = require('os');
 const crypto = require('crypto');
 const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { config } = require('./lib/config');
+const {
+  AccessDeniedError,
+  listRoots,
+  getDefaultRoot,
+  isVirtualRoot,
+  resolveSharePath,
+  walkSharePath
+} = require('./lib/share-roots');
+const auth = require('./lib/auth');
+const permissions = require('./lib/permissions');
+const uploadSessions = require('./lib/upload-sessions');
+const {
+  CHUNK_ALGORITHMS,
+  FILE_ALGORITHMS,
+  parseChecksum,
+  createChunkHasher,
+  chunkListDigest,
+  hashStoredFile
+} = require('./lib/checksums');
+const { ZipWriter } = require('./lib/zip-writer');
+const { TarWriter } = require('./lib/tar-writer');
+const { sendFile, parseRange } = require('./lib/send-file');
+const mime = require('./lib/mime');
+const {
+  TUS_VERSION,
+  tusHeaders,
+  tusOptionsHeaders,
+  parseMetadata,
+  parseUploadChecksum,
+  createChecksumHash,
+  newUploadId
+} = require('./lib/tus');
+const { GlobError, parsePatterns, createPathFilter } = require('./lib/glob');
+const webdav = require('./lib/webdav');
+const fileOps = require('./lib/file-ops');
+const trash = require('./lib/trash');
+const versions = require('./lib/versions');
+const shareLinks = require('./lib/share-links');
+const quotas = require('./lib/quotas');
+const thumbnails = require('./lib/thumbnails');
+const search = require('./lib/search');
+const listing = require('./lib/listing');
+const live = require('./lib/live');
+const { escapeXml } = require('./lib/xml');
+
+// Static UI files are served from here, wherever the server is started
+const PUBLIC_DIR = path.join(__dirname, 'public');
 
 // Keep an in-memory map of ongoing uploads
 const uploadTracker = new Map();
-// Keep track of errors
-const uploadErrors = new Map();
+// How often /events streams check on upload progress
+const UPLOAD_PROGRESS_INTERVAL = 1000;
+// Uploads that finished lately, so a late retried chunk can't restart them
+const recentlyCompleted = new Map();
+// Keep track of errors (persisted next to the session journals)
+const uploadErrors = uploadSessions.openErrorLog();
+
+// Pick up multi-chunk uploads that were in flight when the server stopped
+restoreUploadSessions();
 
 // Periodic cleanup of stale uploads
 setupUploadCleanup();
 
+// Periodic purge of old trash items and file versions
+setupRetentionPurge();
+
 // Basic dynamic config
 const systemConfig = {
   totalMem: os.totalmem(),
@@ -43,26 +109,332 @@ const systemConfig = {
   }
 };
 
-function getCurrentPath() {
-  // Default base "uploads" folder in current working directory
-  const base = process.cwd();
-  const uploadPath = path.join(base, 'uploads');
-  if (!fs.existsSync(uploadPath)) {
-    fs.mkdirSync(uploadPath, { recursive: true });
+// Rebuild uploadTracker from the journals; files reopen on the next chunk
+function restoreUploadSessions() {
+  for (const session of uploadSessions.loadSessions()) {
+    try {
+      resolveSharePath(session.requestedPath || session.virtualPath);
+      const upload = {
+        ...session,
+        requestedPath: session.requestedPath || session.virtualPath,
+        conflict: session.conflict || uploadConflictPolicy(),
+        fileSize: session.fileSize ?? null,
+        fileChecksum: session.fileChecksum || null,
+        stagingPath: uploadSessions.stagingPath(session.fileId),
+        fileHandle: null,
+        timeout: null
+      };
+      uploadTracker.set(session.fileId, upload);
+      reserveUpload(session.fileId, upload);
+    } catch (err) {
+      // The share root went away or changed; nothing to resume into
+      console.log(`Dropping upload ${session.fileId}: ${err.message}`);
+      uploadSessions.removeSession(session.fileId);
+    }
+  }
+  if (uploadTracker.size > 0) {
+    console.log(`Restored ${uploadTracker.size} unfinished upload(s)`);
+  }
+}
+
+/**
+ * Open (or reopen after a restart) the staging file a multi-chunk upload writes into.
+ * Chunks land at chunkIndex * chunkSize, so they may arrive in any order and
+ * a retried chunk simply overwrites its own range. Concurrent chunks of the
+ * same upload share one open.
+ */
+function openUploadFile(upload) {
+  if (!upload.opening) {
+    upload.opening = (async () => {
+      let flags = 'r+';
+      const hasData = upload.receivedChunks.size > 0 || upload.offset > 0;
+      if (!hasData || !fs.existsSync(upload.stagingPath)) {
+        // Nothing to keep (new upload, or the partial file vanished): start over
+        upload.receivedChunks.clear();
+        if (upload.offset) upload.offset = 0;
+        flags = 'w';
+        await fs.promises.mkdir(path.dirname(upload.stagingPath), { recursive: true, mode: 0o700 });
+      }
+      upload.fileHandle = await fs.promises.open(upload.stagingPath, flags);
+    })().catch(err => {
+      upload.opening = null;
+      throw err;
+    });
+  }
+  return upload.opening;
+}
+
+function closeUploadFile(upload) {
+  if (upload.fileHandle) {
+    upload.fileHandle.close().catch(err => console.error('Error closing upload file:', err));
+    upload.fileHandle = null;
+  }
+  upload.opening = null;
+}
+
+// Size of one chunk; only the last one may be short (fileSize may still be unknown)
+function expectedChunkSize(upload, chunkIndex) {
+  if (upload.fileSize === null) return upload.chunkSize;
+  return Math.max(0, Math.min(upload.chunkSize, upload.fileSize - chunkIndex * upload.chunkSize));
+}
+
+// Bytes of the upload that are safely on disk
+function receivedBytes(upload) {
+  if (upload.protocol === 'tus') return upload.offset;
+  let total = 0;
+  for (const index of upload.receivedChunks) total += expectedChunkSize(upload, index);
+  return total;
+}
+
+// Unfinished chunked and tus uploads for /events: the caller's own, and any into a folder they can read
+function activeUploads(identity) {
+  const list = [];
+  for (const [fileId, upload] of uploadTracker) {
+    const folder = path.posix.dirname(upload.virtualPath);
+    const mine = Boolean(identity.name) && upload.owner === identity.name;
+    if (!mine && !permissions.can(identity, 'read', folder)) continue;
+    list.push({
+      // Upload ids let their holder send chunks, so only a digest of one goes out
+      id: crypto.createHash('sha256').update(fileId).digest('hex').slice(0, 16),
+      name: path.posix.basename(upload.virtualPath),
+      folder,
+      owner: upload.owner || null,
+      mine,
+      protocol: upload.protocol || 'chunked',
+      received: receivedBytes(upload),
+      size: upload.fileSize ?? null,
+      startedAt: upload.createdAt ?? null,
+      lastActivity: upload.lastActivity
+    });
+  }
+  return list;
+}
+
+/**
+ * Read a finished upload back and compare it with its declared file checksum.
+ * Returns null when it matches, otherwise the chunks whose bytes on disk
+ * differ from what we received (every chunk if that doesn't narrow it down).
+ */
+async function findDamagedChunks(upload) {
+  const stored = await hashStoredFile(upload.stagingPath, upload.chunkSize);
+  const actual = upload.fileChecksum.algorithm === 'sha256'
+    ? stored.sha256
+    : chunkListDigest(stored.chunkDigests);
+  if (actual === upload.fileChecksum.value) return null;
+
+  const damaged = [];
+  stored.chunkDigests.forEach((hex, index) => {
+    if (upload.chunkDigests.get(index) !== hex) damaged.push(index);
+  });
+  return damaged.length ? damaged : stored.chunkDigests.map((_, index) => index);
+}
+
+// When an idle upload gets dropped; the timeout scales with totalChunks * chunkSize
+function uploadExpiresAt(upload) {
+  return upload.lastActivity + systemConfig.getUploadTimeout(upload.totalChunks * upload.chunkSize);
+}
+
+// Forget an unfinished upload along with its journal and staged data
+function discardUpload(fileId, upload) {
+  closeUploadFile(upload);
+  clearTimeout(upload.timeout);
+  uploadTracker.delete(fileId);
+  quotas.release(fileId);
+  uploadSessions.removeSession(fileId);
+  uploadSessions.removeStaging(fileId);
+}
+
+function dropStaleUpload(fileId, upload) {
+  console.log(`Cleaning up stale upload ${fileId}`);
+  discardUpload(fileId, upload);
+}
+
+// Bookkeeping once every byte of an upload is on disk
+function completeUpload(fileId, upload) {
+  clearTimeout(upload.timeout);
+  uploadTracker.delete(fileId);
+  quotas.release(fileId);
+  uploadSessions.removeSession(fileId);
+  recentlyCompleted.set(fileId, {
+    virtualPath: upload.virtualPath,
+    requestedPath: upload.requestedPath || upload.virtualPath,
+    outcome: upload.outcome,
+    owner: upload.owner,
+    protocol: upload.protocol,
+    fileSize: upload.fileSize,
+    completedAt: Date.now()
+  });
+  uploadErrors.delete(fileId);
+  if (upload.outcome !== 'skipped') {
+    versions.recordUpload(upload.virtualPath, upload.owner);
+    quotas.recordUpload(upload.owner, upload.virtualPath, upload.fileSize);
+  }
+}
+
+// Where an upload's data goes: the staging folder, then its target's folder
+function uploadDirs(virtualPath) {
+  return [uploadSessions.stagingDir, path.dirname(resolveSharePath(virtualPath).fullPath)];
+}
+
+// Count a chunked or tus upload against the limits of later ones until it ends
+function reserveUpload(fileId, upload) {
+  quotas.reserve(fileId, {
+    virtualPath: upload.requestedPath,
+    owner: upload.owner,
+    size: upload.fileSize ?? upload.totalChunks * upload.chunkSize,
+    written: () => receivedBytes(upload)
+  });
+}
+
+// Upload conflict policy: the request's (X-Conflict header, tus "conflict"
+// metadata) or the server default; null if it isn't one we know
+function uploadConflictPolicy(requested) {
+  const policy = requested || config.uploadConflict || 'rename';
+  return fileOps.UPLOAD_CONFLICT_POLICIES.includes(policy) ? policy : null;
+}
+
+/**
+ * Check where a new chunked upload would go (see fileOps.planUpload) and
+ * that it fits the quotas, so a refused or skipped one stops before its
+ * data is sent. Chunks sent in parallel with the first one wait on
+ * upload.claiming. A skipped or refused upload leaves the tracker again.
+ */
+function claimChunkedUpload(fileId, upload, identity) {
+  const size = upload.fileSize ?? upload.totalChunks * upload.chunkSize;
+  upload.claiming = quotas.checkUpload(identity, upload.requestedPath, size, uploadDirs(upload.requestedPath), fileId)
+    .then(() => fileOps.planUpload(identity, upload.requestedPath, upload.conflict))
+    .then(({ target, outcome }) => {
+      upload.virtualPath = target.virtualPath;
+      upload.outcome = outcome;
+      upload.claiming = null;
+      if (outcome === 'skipped') {
+        clearTimeout(upload.timeout);
+        uploadTracker.delete(fileId);
+        quotas.release(fileId);
+        return;
+      }
+      if (outcome !== 'created') console.log(`Upload ${fileId}: ${upload.requestedPath} exists, ${outcome} (${target.virtualPath})`);
+      uploadSessions.saveSession(fileId, upload);
+    }, err => {
+      clearTimeout(upload.timeout);
+      uploadTracker.delete(fileId);
+      quotas.release(fileId);
+      throw err;
+    });
+  return upload.claiming;
+}
+
+/**
+ * Move a finished chunked or tus upload from staging to where the
+ * conflict policy now puts it, and record where that was. An upload that
+ * can't be placed is dropped, with the reason kept for /check-upload.
+ */
+async function placeFinishedUpload(fileId, upload, identity) {
+  let placed;
+  try {
+    placed = await fileOps.placeUpload(identity, upload.stagingPath, upload.requestedPath, upload.conflict);
+  } catch (err) {
+    discardUpload(fileId, upload);
+    uploadErrors.set(fileId, {
+      code: isFileOpFailure(err) ? err.code || 'ACCESS_DENIED' : 'WRITE_ERROR',
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    throw err;
   }
-  return uploadPath;
+  upload.virtualPath = placed.target.virtualPath;
+  upload.outcome = placed.outcome;
+  completeUpload(fileId, upload);
+}
+
+// Finish a tus upload whose offset reached Upload-Length
+async function finishTusUpload(fileId, upload, identity) {
+  await openUploadFile(upload); // zero-length uploads never opened it
+  await upload.fileHandle.truncate(upload.fileSize);
+  closeUploadFile(upload);
+  await placeFinishedUpload(fileId, upload, identity);
+  console.log(`tus upload ${fileId} complete, saved at ${upload.virtualPath}`);
 }
 
-function cleanupFile(filePath) {
-  if (fs.existsSync(filePath)) {
-    // Optionally rename to ".incomplete" or remove
-    const incomplete = filePath + '.incomplete';
+/**
+ * Append the body of a tus PATCH (or creation-with-upload POST) at
+ * upload.offset. Without Upload-Checksum, whatever arrived before a
+ * dropped connection is kept; with one, the data only counts if it
+ * matches. Resolves to null on success, else { status, message }.
+ */
+async function appendTusData(req, fileId, upload, checksum) {
+  upload.patching = true;
+  upload.lastActivity = Date.now();
+  try {
+    try {
+      await quotas.checkFreeSpace(uploadDirs(upload.requestedPath), upload.fileSize - upload.offset, fileId);
+    } catch (err) {
+      if (!(err instanceof quotas.QuotaError)) throw err;
+      req.resume();
+      return { status: err.statusCode, message: err.message };
+    }
+    await openUploadFile(upload);
+
+    const start = upload.offset;
+    const hash = createChecksumHash(checksum);
+    let bytesWritten = 0;
+    let tooLarge = false;
     try {
-      fs.renameSync(filePath, incomplete);
-      console.log(`Renamed incomplete file to: ${incomplete}`);
+      for await (const data of req) {
+        // Never write past Upload-Length; read the rest and reject it
+        if (tooLarge || start + bytesWritten + data.length > upload.fileSize) {
+          tooLarge = true;
+          continue;
+        }
+        await upload.fileHandle.write(data, 0, data.length, start + bytesWritten);
+        if (hash) hash.update(data);
+        bytesWritten += data.length;
+      }
     } catch (err) {
-      console.error('Failed renaming incomplete file:', err);
+      const receiveError = err.code === 'ECONNRESET' || err.message === 'aborted';
+      console.error(`Error receiving tus data for fileId=${fileId}:`, err.message);
+      if (!checksum && bytesWritten > 0) {
+        upload.offset = start + bytesWritten;
+        uploadSessions.saveSession(fileId, upload);
+      }
+      uploadErrors.set(fileId, {
+        code: receiveError ? 'CHUNK_RECEIVE_ERROR' : 'WRITE_ERROR',
+        message: err.message,
+        offset: upload.offset,
+        timestamp: new Date().toISOString()
+      });
+      return { status: 500, message: `${receiveError ? 'Receive' : 'Write'} error: ${err.message}` };
+    }
+
+    if (tooLarge) {
+      return { status: 413, message: 'Data goes past Upload-Length' };
+    }
+    if (hash && hash.digest('base64') !== checksum.digest) {
+      const message = `${checksum.algorithm} mismatch at offset ${start}`;
+      uploadErrors.set(fileId, {
+        code: 'CHECKSUM_MISMATCH',
+        message,
+        offset: start,
+        timestamp: new Date().toISOString()
+      });
+      // 460 Checksum Mismatch (tus checksum extension)
+      return { status: 460, message };
+    }
+
+    upload.offset = start + bytesWritten;
+    upload.lastActivity = Date.now();
+    uploadSessions.saveSession(fileId, upload);
+    if (upload.offset === upload.fileSize) {
+      try {
+        await finishTusUpload(fileId, upload, req.identity);
+      } catch (err) {
+        if (!isFileOpFailure(err)) throw err;
+        return { status: err.statusCode, message: err.message };
+      }
     }
+    return null;
+  } finally {
+    upload.patching = false;
   }
 }
 
@@ -71,26 +443,19 @@ function setupUploadCleanup() {
   setInterval(() => {
     const now = Date.now();
     for (const [fileId, upload] of uploadTracker) {
-      const inactive = now - upload.lastActivity;
-      // Timeout is dynamic: totalChunks * chunkSize estimate
-      const estimateSize = upload.totalChunks * upload.chunkSize;
-      const uploadTimeout = systemConfig.getUploadTimeout(estimateSize);
-      if (inactive > uploadTimeout) {
-        console.log(`Cleaning up stale upload ${fileId}`);
-        if (upload.writeStream) {
-          try {
-            upload.writeStream.end();
-          } catch {}
-        }
-        if (upload.receivedChunks.size < upload.totalChunks) {
-          // mark incomplete
-          cleanupFile(upload.finalPath);
-        }
-        clearTimeout(upload.timeout);
-        uploadTracker.delete(fileId);
-      }
+      if (now > uploadExpiresAt(upload)) dropStaleUpload(fileId, upload);
     }
 
+    // Staged data of uploads that are gone (crashes, dropped single-chunk requests)
+    const swept = uploadSessions.sweepStaging(new Set(uploadTracker.keys()), now);
+    if (swept) console.log(`Removed ${swept} abandoned staging file(s)`);
+
+    for (const [fileId, done] of recentlyCompleted) {
+      if (now - done.completedAt > 10 * 60 * 1000) recentlyCompleted.delete(fileId);
+    }
+
+    auth.purgeExpiredSessions();
+
     // Clean older error records
     const errorStale = 24 * 60 * 60 * 1000; // 24h
     for (const [fileId, errInfo] of uploadErrors) {
@@ -102,6 +467,35 @@ function setupUploadCleanup() {
   }, 60_000);
 }
 
+// Permanently remove trash items, file versions and share links past their time
+function setupRetentionPurge() {
+  const purge = () => {
+    trash.purgeExpired()
+      .then(count => {
+        if (count) console.log(`Purged ${count} item(s) from the trash`);
+      })
+      .catch(err => console.error('Trash purge failed:', err.message));
+    versions.purgeExpired()
+      .then(count => {
+        if (count) console.log(`Purged ${count} old file version(s)`);
+      })
+      .catch(err => console.error('Version purge failed:', err.message));
+    try {
+      const count = shareLinks.purgeExpired();
+      if (count) console.log(`Purged ${count} expired share link(s)`);
+    } catch (err) {
+      console.error('Share link purge failed:', err.message);
+    }
+    thumbnails.purgeExpired()
+      .then(count => {
+        if (count) console.log(`Purged ${count} unused thumbnail(s)`);
+      })
+      .catch(err => console.error('Thumbnail purge failed:', err.message));
+  };
+  purge();
+  setInterval(purge, 60 * 60 * 1000);
+}
+
 // Helper: respond with JSON error
 function sendError(res, code, msg, details=null) {
   res.writeHead(code, { 'Content-Type': 'application/json' });
@@ -112,29 +506,557 @@ function sendError(res, code, msg, details=null) {
   }));
 }
 
+// Helper: read a small JSON request body
+function readJsonBody(req, maxBytes = 1_048_576) {
+  return readBody(req, maxBytes).then(text => {
+    if (!text) return {};
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error('Invalid JSON body');
+    }
+  });
+}
+
+// Helper: parse an urlencoded HTML form post (only where a form is expected)
+function readFormBody(req, maxBytes = 65_536) {
+  return readBody(req, maxBytes).then(text => Object.fromEntries(new URLSearchParams(text)));
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Helper: respond with JSON success payload
+function sendJson(res, code, payload, headers = {}) {
+  res.writeHead(code, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+// Helper: an upload over a size limit or quota (413), or with the disk too full (507)
+function sendQuotaError(res, err) {
+  sendError(res, err.statusCode, err.message, { code: err.code, ...err.details });
+}
+
+// Helper: the "skip" conflict policy kept the existing file at virtualPath
+function sendUploadSkipped(res, virtualPath) {
+  sendJson(res, 200, {
+    success: true,
+    message: 'File already exists, upload skipped',
+    skipped: true,
+    outcome: 'skipped',
+    filePath: virtualPath
+  });
+}
+
+// Routes that stay reachable without logging in
+const PUBLIC_ROUTES = new Set(['/login', '/auth/login', '/auth/me']);
+// The chunked uploader's routes, which file request links may use
+const FILE_REQUEST_ROUTES = new Set(['/upload-chunk', '/check-upload', '/cancel-upload', '/report-upload-error']);
+
+function isPublicRequest(req, pathname) {
+  if (PUBLIC_ROUTES.has(pathname)) return true;
+  // Share links carry their own token (see lib/share-links.js)
+  if (pathname.startsWith('/s/')) return true;
+  // WebDAV paths have file extensions but are never static assets
+  if (webdav.isDavPath(pathname)) return false;
+  // Static assets from ./public (anything with a file extension)
+  return (req.method === 'GET' || req.method === 'HEAD') && path.extname(pathname) !== '';
+}
+
+// Helper: 401 for APIs, a redirect page for browsers opening the UI
+function sendUnauthorized(req, res, pathname) {
+  if (webdav.isDavPath(pathname)) {
+    // Network drive clients only prompt for Basic credentials (user name + API token)
+    res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="file-server"', 'Content-Length': 0 });
+    return res.end();
+  }
+  if (req.method === 'GET' && /text\/html/.test(req.headers['accept'] || '')) {
+    res.writeHead(401, { 'Content-Type': 'text/html' });
+    return res.end('<!DOCTYPE html><meta http-equiv="refresh" content="0;url=/login"><a href="/login">Log in</a>');
+  }
+  res.setHeader('WWW-Authenticate', 'Bearer realm="file-server"');
+  sendError(res, 401, 'Authentication required');
+}
+
+// Helper: check the optional limits of a new share link
+function shareLinkOptions(body) {
+  const isSet = value => value !== undefined && value !== null && value !== '';
+  let expiresAt = null;
+  if (isSet(body.expiresInHours)) {
+    const hours = Number(body.expiresInHours);
+    if (!(hours > 0)) throw new Error('expiresInHours must be a positive number');
+    expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+  } else if (body.expiresAt) {
+    const time = Date.parse(body.expiresAt);
+    if (!(time > Date.now())) throw new Error('expiresAt must be a date in the future');
+    expiresAt = new Date(time).toISOString();
+  }
+  const options = { expiresAt, password: body.password ? String(body.password) : null };
+  if (body.type !== 'upload') {
+    options.maxDownloads = null;
+    if (isSet(body.maxDownloads)) {
+      options.maxDownloads = Number(body.maxDownloads);
+      if (!Number.isInteger(options.maxDownloads) || options.maxDownloads < 1) throw new Error('maxDownloads must be a positive whole number');
+    }
+    return options;
+  }
+
+  // File requests: total size, extensions ("pdf, .JPG" or a list) and a note
+  options.maxTotalSize = null;
+  if (isSet(body.maxTotalSize)) {
+    options.maxTotalSize = Number(body.maxTotalSize);
+    if (!Number.isInteger(options.maxTotalSize) || options.maxTotalSize < 1) throw new Error('maxTotalSize must be a positive number of bytes');
+  }
+  const extensions = Array.isArray(body.allowedExtensions) ? body.allowedExtensions : String(body.allowedExtensions || '').split(',');
+  options.allowedExtensions = extensions.map(e => String(e).trim().replace(/^\./, '').toLowerCase()).filter(Boolean);
+  if (!options.allowedExtensions.length) options.allowedExtensions = null;
+  options.note = body.note ? String(body.note).slice(0, 2000) : null;
+  return options;
+}
+
+/**
+ * The page people opening a share link in a browser see when it can't
+ * just download: a problem with the link, or the password form (which
+ * posts back to the same URL).
+ */
+function sendSharePage(req, res, status, message, { askPassword = false } = {}) {
+  if (!/text\/html/.test(req.headers['accept'] || '')) {
+    return sendError(res, status, message);
+  }
+  const form = askPassword
+    ? `<form method="post">
+        <input type="password" name="password" placeholder="Password" autofocus required>
+        <button type="submit">Download</button>
+      </form>`
+    : '';
+  const html = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Shared file</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #f3f4f6; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+  main { background: #fff; border-radius: 12px; box-shadow: 0 1px 3px rgba(0,0,0,.1); padding: 24px; width: 100%; max-width: 360px; }
+  h1 { font-size: 18px; margin: 0 0 8px; color: #1f2937; }
+  p { font-size: 14px; color: #4b5563; }
+  .error { color: #dc2626; }
+  input, button { width: 100%; box-sizing: border-box; padding: 8px 12px; margin-top: 8px; border-radius: 8px; font-size: 14px; }
+  input { border: 1px solid #d1d5db; }
+  button { border: 0; background: #3b82f6; color: #fff; cursor: pointer; }
+</style></head>
+<body><main>
+  <h1>Shared file</h1>
+  <p${askPassword ? '' : ' class="error"'}>${escapeXml(message)}</p>
+  ${form}
+</main></body></html>`;
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(html);
+}
+
+const SHARE_LINK_STATES = {
+  expired: 'This link has expired',
+  'used up': 'This link has been used up',
+  full: 'This file request is full'
+};
+
+/**
+ * What a share link points at, seen as its creator: { identity, target,
+ * stats }, or null once the item (or, with auth on, the creator) is gone.
+ */
+async function shareLinkTarget(link) {
+  let identity = permissions.identityFor(link.createdBy);
+  if (link.createdBy && auth.isAuthEnabled()) {
+    const creator = auth.listUsers().find(u => u.username === link.createdBy);
+    if (!creator) return null;
+    identity = permissions.identityFor(link.createdBy, creator.admin);
+  }
+  let target;
+  try {
+    target = resolveSharePath(link.path);
+  } catch (err) {
+    if (err instanceof AccessDeniedError) return null;
+    throw err;
+  }
+  const stats = await fs.promises.stat(target.fullPath).catch(() => null);
+  if (!stats || stats.isDirectory() !== link.isFolder) return null;
+  return { identity, target, stats };
+}
+
+/**
+ * Let a request in through a file request link (X-Share-Token, plus
+ * X-Share-Password if it has one). Resolves { link, identity, target },
+ * or null once it has answered why not.
+ */
+async function openFileRequest(req, res, link) {
+  if (!link || link.type !== 'upload') {
+    sendError(res, 404, 'This link does not exist or has been revoked');
+    return null;
+  }
+  const state = shareLinks.linkState(link);
+  if (state) {
+    sendError(res, 410, SHARE_LINK_STATES[state]);
+    return null;
+  }
+  const check = await shareLinks.checkPassword(link, req.headers['x-share-password'], req.socket.remoteAddress);
+  if (!check.ok) {
+    sendError(res, check.status, check.error);
+    return null;
+  }
+  const shared = await shareLinkTarget(link);
+  if (!shared || !permissions.can(shared.identity, 'upload', shared.target.virtualPath)) {
+    sendError(res, 404, 'The shared item is no longer available');
+    return null;
+  }
+  return { link, ...shared };
+}
+
+// Bytes of the unfinished uploads through a file request (but one)
+function fileRequestPendingBytes(linkId, exceptFileId) {
+  let bytes = 0;
+  for (const [fileId, upload] of uploadTracker) {
+    if (upload.shareLinkId === linkId && fileId !== exceptFileId) bytes += upload.fileSize || 0;
+  }
+  return bytes;
+}
+
+/**
+ * Check a file against its file request: a plain name with an allowed
+ * extension, a known size, and room for it. Answers and returns false
+ * when it doesn't fit.
+ */
+function admitFileRequestUpload(res, link, fileName, fileSize, fileId) {
+  if (/[\\/]/.test(fileName)) {
+    sendError(res, 400, 'Invalid file name', 'Folders cannot be uploaded to a file request');
+    return false;
+  }
+  if (!shareLinks.allowsFile(link, fileName)) {
+    sendError(res, 415, 'File type not allowed', { allowed: link.allowedExtensions });
+    return false;
+  }
+  if (!Number.isInteger(fileSize) || fileSize < 0) {
+    sendError(res, 400, 'Missing file size', 'Send X-File-Size with uploads to a file request');
+    return false;
+  }
+  if (link.maxTotalSize) {
+    const left = link.maxTotalSize - link.uploadedBytes - fileRequestPendingBytes(link.id, fileId);
+    if (fileSize > left) {
+      sendError(res, 413, 'File is larger than the space left in this file request', { spaceLeft: Math.max(0, left) });
+      return false;
+    }
+  }
+  return true;
+}
+
+// Helper: archive entry name that doesn't clash with one already used
+function uniqueEntryName(name, usedNames) {
+  let candidate = name;
+  const ext = path.posix.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+  for (let i = 1; usedNames.has(candidate.toLowerCase()); i++) {
+    candidate = `${base} (${i})${ext}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Archive formats offered by /download-multiple and folder share links (?format=)
+const ARCHIVE_FORMATS = {
+  zip: { extension: '.zip', contentType: 'application/zip' },
+  tar: { extension: '.tar', contentType: 'application/x-tar' },
+  tgz: { extension: '.tar.gz', contentType: 'application/gzip' }
+};
+
+/**
+ * List what goes into an archive for the selected files and folders.
+ * Folders are walked recursively and keep their relative structure;
+ * the include/exclude filter applies to paths relative to each selected
+ * folder and anything the caller may not read is left out.
+ */
+async function* archiveEntries(identity, items, filter) {
+  for (const item of items) {
+    if (!item.stats.isDirectory()) {
+      yield { name: item.name, fullPath: item.fullPath, stats: item.stats, isDirectory: false };
+      continue;
+    }
+
+    // Folder entries are only worth adding when they won't end up as empty shells
+    if (!filter.active) {
+      yield { name: item.name + '/', stats: item.stats, isDirectory: true };
+    }
+    const walk = walkSharePath(item.virtualPath, {
+      enterDir: entry =>
+        filter.dir(entry.relPath) &&
+        permissions.canReach(identity, entry.virtualPath)
+    });
+    for await (const entry of walk) {
+      const name = `${item.name}/${entry.relPath}`;
+      if (entry.isDirectory) {
+        if (!filter.active && permissions.can(identity, 'read', entry.virtualPath)) {
+          yield { name: name + '/', stats: entry.stats, isDirectory: true };
+        }
+      } else if (filter.file(entry.relPath) && permissions.can(identity, 'read', entry.virtualPath)) {
+        yield { name, fullPath: entry.fullPath, stats: entry.stats, isDirectory: false };
+      }
+    }
+  }
+}
+
+/**
+ * Stream `items` (resolved targets with `stats` and a unique `name`) as a
+ * zip / tar / tgz archive, leaving out whatever `identity` may not read.
+ */
+async function sendArchive(res, identity, items, { formatName, filter, archiveName, compression }) {
+  // Stream the archive straight into the response
+  res.writeHead(200, {
+    'Content-Type': ARCHIVE_FORMATS[formatName].contentType,
+    'Content-Disposition': `attachment; filename="${encodeURIComponent(archiveName)}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  // tar.gz goes through gzip on the way out; nothing touches the disk
+  let output = res;
+  if (formatName === 'tgz') {
+    output = zlib.createGzip();
+    output.pipe(res);
+    res.on('close', () => output.destroy());
+  }
+  const archive = formatName === 'zip'
+    ? new ZipWriter(output, { compression })
+    : new TarWriter(output);
+  try {
+    for await (const entry of archiveEntries(identity, items, filter)) {
+      if (entry.isDirectory) {
+        await archive.addDirectory(entry.name, { mtime: entry.stats.mtime });
+      } else {
+        await archive.addFile(entry.name, entry.fullPath, {
+          size: entry.stats.size,
+          mtime: entry.stats.mtime,
+          mode: entry.stats.mode & 0o777
+        });
+      }
+    }
+    await archive.finish();
+    output.end();
+  } catch (err) {
+    // Headers are gone already; cutting the connection tells the client it failed
+    console.error(`Error streaming ${formatName} archive:`, err);
+    res.destroy(err);
+  }
+}
+
+// Helper: resolve a client path inside the share roots, or answer 403
+function resolveOrDeny(res, virtualPath, ...extra) {
+  try {
+    return resolveSharePath(virtualPath, ...extra);
+  } catch (err) {
+    if (err instanceof AccessDeniedError) {
+      sendError(res, err.statusCode, 'Access denied', err.message);
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Helper: check a read/upload/delete permission, or answer 403
+function requirePermission(req, res, action, virtualPath) {
+  if (permissions.can(req.identity, action, virtualPath)) return true;
+  sendError(res, 403, 'Permission denied', `You may not ${action} in ${virtualPath}`);
+  return false;
+}
+
+// File operations in one request; each path gets its own result
+const MAX_BATCH_PATHS = 1000;
+
+// Helper: errors a file operation reports to the client (anything else is a 500)
+function isFileOpFailure(err) {
+  return err instanceof fileOps.FileOpError || err instanceof AccessDeniedError;
+}
+
+/**
+ * Run `op` for every path (or trash id, with key "id") of a batch request.
+ * One failure doesn't stop the rest; failed entries carry their status
+ * and error code (e.g. EXISTS when the target name is taken) so the
+ * client can retry them.
+ */
+async function runFileOps(items, op, key = 'path') {
+  const results = [];
+  for (const item of items) {
+    try {
+      results.push({ [key]: item, success: true, ...await op(item) });
+    } catch (err) {
+      if (!isFileOpFailure(err)) throw err;
+      results.push({ [key]: item, success: false, status: err.statusCode, code: err.code || 'ACCESS_DENIED', error: err.message });
+    }
+  }
+  return results;
+}
+
+// Helper: may this caller touch an upload session someone else started?
+function ownsUpload(req, upload) {
+  if (req.fileRequest) return upload.shareLinkId === req.fileRequest.link.id;
+  return req.identity.admin || upload.owner === req.identity.name;
+}
+
 // Start HTTP server
 const server = http.createServer(async (req, res) => {
   systemConfig.update();
 
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PATCH, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', [
     'Origin','X-Requested-With','Content-Type','Accept',
     'X-File-Name','X-Chunk-Index','X-Total-Chunks','X-File-Path',
-    'Content-Disposition','Content-Range','X-File-Id','X-Client-Speed','X-Chunk-Size'
+    'Content-Disposition','Content-Range','X-File-Id','X-Client-Speed','X-Chunk-Size',
+    'X-File-Size','X-Chunk-Checksum','X-File-Checksum','X-Conflict','X-Share-Token','X-Share-Password',
+    'Authorization','Range','If-Range','If-None-Match','If-Modified-Since',
+    'Tus-Resumable','Upload-Length','Upload-Defer-Length','Upload-Metadata','Upload-Offset',
+    'Upload-Checksum','X-HTTP-Method-Override'
+  ].join(', '));
+  res.setHeader('Access-Control-Expose-Headers', [
+    'Accept-Ranges','Content-Range','Content-Length','Content-Disposition','ETag','Last-Modified',
+    'Location','Tus-Resumable','Tus-Version','Tus-Extension','Tus-Checksum-Algorithm',
+    'Upload-Offset','Upload-Length','Upload-Metadata','Upload-Expires',
+    'X-File-Path','X-Upload-Outcome'
   ].join(', '));
 
+  const { pathname, query } = parse(req.url, true);
+
   if (req.method === 'OPTIONS') {
-    res.writeHead(200);
+    // tus and WebDAV clients discover the server's capabilities this way
+    if (pathname === '/tus' || pathname.startsWith('/tus/')) {
+      res.writeHead(204, tusOptionsHeaders(quotas.maxFileSize));
+    } else if (webdav.isDavPath(pathname)) {
+      res.writeHead(200, webdav.davOptionsHeaders());
+    } else {
+      res.writeHead(200);
+    }
     res.end();
     return;
   }
 
-  const { pathname, query } = parse(req.url, true);
+  // Malformed credentials fail this request, not the server
+  let authEnabled;
+  try {
+    // File request links may use the chunked uploader without an account,
+    // as their creator and only into their folder
+    req.fileRequest = null;
+    if (req.headers['x-share-token'] && FILE_REQUEST_ROUTES.has(pathname)) {
+      req.fileRequest = await openFileRequest(req, res, shareLinks.findByToken(String(req.headers['x-share-token'])));
+      if (!req.fileRequest) return;
+    }
+
+    // Who is calling? (null when not logged in or auth is disabled)
+    authEnabled = auth.isAuthEnabled();
+    req.user = authEnabled ? auth.authenticate(req) : null;
+    if (authEnabled && !req.user && !req.fileRequest && !isPublicRequest(req, pathname)) {
+      return sendUnauthorized(req, res, pathname);
+    }
+    req.identity = req.fileRequest ? req.fileRequest.identity : permissions.getIdentity(req);
+  } catch (err) {
+    if (res.headersSent) return res.destroy();
+    return sendError(res, 400, 'Invalid request', err.message);
+  }
+
+  // -------------------------------------------
+  // 1) Login page and authentication API
+  // -------------------------------------------
+  if (req.method === 'GET' && pathname === '/login') {
+    if (!authEnabled) {
+      res.writeHead(302, { 'Location': '/' });
+      return res.end();
+    }
+    fs.readFile(path.join(PUBLIC_DIR, 'login.html'), (err, data) => {
+      if (err) {
+        res.writeHead(500);
+        return res.end('Error loading login.html');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(data);
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/auth/login') {
+    try {
+      const body = await readJsonBody(req);
+      if (!body.username || !body.password) {
+        return sendError(res, 400, 'Missing username or password');
+      }
+      const result = await auth.login(String(body.username), String(body.password), req.socket.remoteAddress);
+      if (result.error) {
+        return sendError(res, result.status, result.error);
+      }
+      console.log(`User logged in: ${result.user.username}`);
+      sendJson(res, 200, { success: true, user: result.user }, { 'Set-Cookie': result.cookie });
+    } catch (err) {
+      sendError(res, 400, 'Invalid login request', err.message);
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/auth/logout') {
+    const cookie = auth.logout(req.user);
+    return sendJson(res, 200, { success: true }, { 'Set-Cookie': cookie });
+  }
+
+  if (req.method === 'GET' && pathname === '/auth/me') {
+    if (authEnabled && !req.user) {
+      return sendError(res, 401, 'Authentication required');
+    }
+    const user = req.identity.name
+      ? { username: req.identity.name, admin: req.identity.admin }
+      : null;
+    return sendJson(res, 200, {
+      success: true,
+      authEnabled,
+      accessControl: permissions.isAccessControlEnabled(),
+      user
+    });
+  }
+
+  if (pathname === '/auth/tokens' || pathname === '/auth/tokens/revoke') {
+    if (!req.user) {
+      return sendError(res, 400, 'API tokens need authentication to be enabled');
+    }
+    // Admins may pass ?all=1 to see and revoke everybody's tokens
+    const owner = (req.user.admin && query.all) ? null : req.user.username;
+    try {
+      if (req.method === 'GET' && pathname === '/auth/tokens') {
+        return sendJson(res, 200, { success: true, tokens: auth.listTokens(owner) });
+      }
+      if (req.method === 'POST' && pathname === '/auth/tokens') {
+        const body = await readJsonBody(req);
+        const created = auth.createToken(req.user.username, body.label || '');
+        return sendJson(res, 200, { success: true, ...created });
+      }
+      if (req.method === 'POST' && pathname === '/auth/tokens/revoke') {
+        if (!auth.revokeToken(query.id, owner)) {
+          return sendError(res, 404, 'Token not found');
+        }
+        return sendJson(res, 200, { success: true });
+      }
+      return sendError(res, 405, 'Method not allowed');
+    } catch (err) {
+      return sendError(res, 500, 'Token request failed', err.message);
+    }
+  }
 
   // -------------------------------------------
-  // 1) Cancel Upload Endpoint
+  // 2) Cancel Upload Endpoint
   // -------------------------------------------
   if (req.method === 'POST' && pathname === '/cancel-upload') {
     try {
@@ -145,37 +1067,13 @@ const server = http.createServer(async (req, res) => {
       
       if (fileId && uploadTracker.has(fileId)) {
         const upload = uploadTracker.get(fileId);
-        
-        // Close the write stream if open
-        if (upload.writeStream) {
-          try {
-            upload.writeStream.end();
-          } catch (err) {
-            console.error('Error closing write stream:', err);
-          }
+        if (!ownsUpload(req, upload)) {
+          return sendError(res, 403, 'Permission denied', 'This upload belongs to another user');
         }
+        if (!requirePermission(req, res, 'upload', path.posix.dirname(upload.virtualPath))) return;
         
-        // Clean up the file if it exists
-        cleanupFile(upload.finalPath);
-        
-        // Clean up temporary chunks if any
-        const tempDir = path.dirname(upload.finalPath);
-        const tempPrefix = path.basename(upload.finalPath) + '.part';
-        try {
-          const files = fs.readdirSync(tempDir);
-          for (const file of files) {
-            if (file.startsWith(tempPrefix)) {
-              fs.unlinkSync(path.join(tempDir, file));
-              console.log(`Deleted temp chunk: ${file}`);
-            }
-          }
-        } catch (err) {
-          console.error('Error cleaning up temp chunks:', err);
-        }
-        
-        // Remove from tracker
-        clearTimeout(upload.timeout);
-        uploadTracker.delete(fileId);
+        // Close the file, drop the staged data and forget the session
+        discardUpload(fileId, upload);
         
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
@@ -197,7 +1095,7 @@ const server = http.createServer(async (req, res) => {
   }
 
   // -------------------------------------------
-  // 2) Speed Test Endpoint
+  // 3) Speed Test Endpoint
   // -------------------------------------------
   if (req.method === 'GET' && pathname === '/speed-test') {
     try {
@@ -231,10 +1129,10 @@ const server = http.createServer(async (req, res) => {
   }
 
   // -------------------------------------------
-  // 3) Serve index.html at root
+  // 4) Serve index.html at root
   // -------------------------------------------
   else if (req.method === 'GET' && pathname === '/') {
-    fs.readFile('./public/index.html', (err, data) => {
+    fs.readFile(path.join(PUBLIC_DIR, 'index.html'), (err, data) => {
       if (err) {
         res.writeHead(500);
         return res.end('Error loading index.html');
@@ -245,326 +1143,1249 @@ const server = http.createServer(async (req, res) => {
   }
 
   // -------------------------------------------
-  // 4) List drives (Windows only)
+  // 5) List configured share roots
   // -------------------------------------------
-  else if (req.method === 'GET' && pathname === '/list-drives') {
-    if (process.platform === 'win32') {
-      exec('wmic logicaldisk get name', (error, stdout) => {
-        if (error) {
-          return sendError(res, 500, error.message);
-        }
-        const lines = stdout.split('\r\r\n').map(x => x.trim()).filter(x => /^[A-Za-z]:$/.test(x));
-        const drives = lines.map(d => d + '\\');
+  else if (req.method === 'GET' && pathname === '/list-roots') {
+    // Only offer roots the caller can do something in
+    const roots = listRoots().filter(r => permissions.canReach(req.identity, r.path));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ roots }));
+  }
+
+  // -------------------------------------------
+  // 6) List folders
+  // -------------------------------------------
+  else if (req.method === 'GET' && pathname === '/list-folders') {
+    try {
+      const currentPath = query.path || '/';
+      if (isVirtualRoot(currentPath)) {
+        // Top level: the client should show the share roots instead
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ drives }));
-      });
-    } else {
-      // Non-windows
+        return res.end(JSON.stringify({ path:'/', folders:[], isRoot:true }));
+      }
+      const target = resolveOrDeny(res, currentPath);
+      if (!target) return;
+      if (!permissions.canReach(req.identity, target.virtualPath)) {
+        return sendError(res, 403, 'Permission denied', `You may not open ${target.virtualPath}`);
+      }
+      const perms = permissions.permissionsFor(req.identity, target.virtualPath);
+      const items = fs.readdirSync(target.fullPath, { withFileTypes: true });
+      // Without read access, only reveal folders that lead somewhere the caller may go
+      const folders = items
+        .filter(d => d.isDirectory())
+        .map(d => d.name)
+        .filter(name => perms.read || permissions.canReach(req.identity, target.virtualPath + '/' + name));
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ drives: ['/'] }));
+      res.end(JSON.stringify({ path: target.virtualPath, folders, permissions: perms }));
+    } catch (err) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ path:'/', folders:[], error:err.message }));
     }
   }
 
   // -------------------------------------------
-  // 5) List folders
+  // 7) Chunked/Single-chunk upload
   // -------------------------------------------
-  else if (req.method === 'GET' && pathname === '/list-folders') {
-    let currentPath = query.path || '/';
-    if ((currentPath === '/' || currentPath === '\\') && process.platform === 'win32') {
-      // Return that we are at Windows root
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      return res.end(JSON.stringify({ path:'/', folders:[], isRoot:true }));
+  else if (req.method === 'POST' && pathname === '/upload-chunk') {
+    try {
+      const fileName = decodeURIComponent(req.headers['x-file-name'] || '');
+      const chunkIndex = parseInt(req.headers['x-chunk-index'] || '0', 10);
+      const totalChunks = parseInt(req.headers['x-total-chunks'] || '1', 10);
+      const fileId = req.headers['x-file-id'] || Date.now().toString();
+      if (!uploadSessions.isValidFileId(fileId)) {
+        return sendError(res, 400, 'Invalid file id', 'Use 1-128 letters, digits, "-" or "_"');
+      }
+      // A file request link always uploads into its own folder
+      const request = req.fileRequest && req.fileRequest.link;
+      const targetPath = request ? request.path : (query.path || getDefaultRoot());
+      const chunkSz = parseInt(req.headers['x-chunk-size'] || '0', 10);
+
+      if (!fileName) return sendError(res, 400, 'Missing file name');
+
+      const fileSizeHeader = req.headers['x-file-size'];
+      const fileSize = fileSizeHeader === undefined ? null : parseInt(fileSizeHeader, 10);
+      if (request && !admitFileRequestUpload(res, request, fileName, fileSize, fileId)) return;
+
+      // Resolve the target inside the share roots (file name may not escape either)
+      const target = resolveOrDeny(res, targetPath, fileName);
+      if (!target) return;
+      const finalVirtualPath = target.virtualPath;
+      if (!requirePermission(req, res, 'upload', path.posix.dirname(finalVirtualPath))) return;
+      
+      // Ensure the parent directory of the file exists (for nested folder uploads)
+      const fileDir = path.dirname(target.fullPath);
+      if (!fs.existsSync(fileDir)) {
+        fs.mkdirSync(fileDir, { recursive: true });
+      }
+      
+      const isSingleChunk = (totalChunks === 1 && chunkIndex === 0);
+      // Files dropped through a file request never replace anything there
+      const conflict = request ? 'rename' : uploadConflictPolicy(req.headers['x-conflict']);
+      if (!conflict) {
+        return sendError(res, 400, 'Invalid conflict policy', `Use one of ${fileOps.UPLOAD_CONFLICT_POLICIES.join(', ')}`);
+      }
+
+      // If single-chunk => stage it, then move it into place once it all arrived
+      if (isSingleChunk) {
+        let claim;
+        try {
+          claim = await fileOps.planUpload(req.identity, finalVirtualPath, conflict);
+        } catch (err) {
+          if (!isFileOpFailure(err)) throw err;
+          req.resume();
+          return sendError(res, err.statusCode, err.message, { code: err.code || 'ACCESS_DENIED' });
+        }
+        if (claim.outcome === 'skipped') {
+          req.resume();
+          return sendUploadSkipped(res, claim.target.virtualPath);
+        }
+
+        // Size limits, up front from what the client announced and again as it arrives
+        const stagedPath = uploadSessions.newStagingPath();
+        const quotaKey = path.basename(stagedPath);
+        const dirs = uploadDirs(finalVirtualPath);
+        const declared = fileSize ?? (totalChunks * chunkSz || parseInt(req.headers['content-length'] || '0', 10));
+        let allowed;
+        try {
+          allowed = await quotas.checkUpload(req.identity, finalVirtualPath, declared, dirs, quotaKey);
+        } catch (err) {
+          if (!(err instanceof quotas.QuotaError)) throw err;
+          req.resume();
+          return sendQuotaError(res, err);
+        }
+        quotas.reserve(quotaKey, { virtualPath: finalVirtualPath, owner: req.identity.name, size: declared });
+        const guard = quotas.guardStream(allowed, dirs, quotaKey);
+        try {
+          await pipeline(req, guard, fs.createWriteStream(stagedPath));
+          if (guard.error) {
+            await fs.promises.rm(stagedPath, { force: true });
+            return sendQuotaError(res, guard.error);
+          }
+          // X-File-Size, when sent, must match what arrived
+          const { size } = await fs.promises.stat(stagedPath);
+          if (fileSize !== null && size !== fileSize) {
+            await fs.promises.rm(stagedPath, { force: true });
+            return sendError(res, 400, 'Incomplete upload', { expected: fileSize, received: size });
+          }
+          if (request && !shareLinks.countUpload(request.id, size)) {
+            await fs.promises.rm(stagedPath, { force: true });
+            return sendError(res, 413, 'This file request is full');
+          }
+          claim = await fileOps.placeUpload(req.identity, stagedPath, finalVirtualPath, conflict);
+        } catch (err) {
+          await fs.promises.rm(stagedPath, { force: true });
+          if (isFileOpFailure(err)) {
+            return sendError(res, err.statusCode, err.message, { code: err.code || 'ACCESS_DENIED' });
+          }
+          console.error('Single-chunk write error:', err.message);
+          if (!res.headersSent && !res.destroyed) {
+            sendError(res, 500, `Write error: ${err.message}`);
+          }
+          return;
+        } finally {
+          quotas.release(quotaKey);
+        }
+        if (claim.outcome === 'skipped') return sendUploadSkipped(res, claim.target.virtualPath);
+
+        versions.recordUpload(claim.target.virtualPath, req.identity.name);
+        quotas.recordUpload(req.identity.name, claim.target.virtualPath, guard.bytes);
+        res.writeHead(200, { 'Content-Type':'application/json' });
+        res.end(JSON.stringify({
+          success: true,
+          message: 'File upload complete (single-chunk)',
+          outcome: claim.outcome,
+          filePath: claim.target.virtualPath
+        }));
+        return;
+      }
+
+      // --- MULTI-CHUNK LOGIC ---
+      // Each chunk is written at chunkIndex * chunkSize, so chunks may arrive
+      // in any order, several at once, and retries are always safe.
+      // X-Chunk-Size is the nominal chunk size; X-File-Size the whole file.
+      if (!(totalChunks > 0) || !(chunkIndex >= 0 && chunkIndex < totalChunks)) {
+        return sendError(res, 400, 'Invalid chunk index', `Expected 0-${totalChunks - 1}`);
+      }
+
+      // Optional integrity checks: X-Chunk-Checksum for this chunk,
+      // X-File-Checksum (sent with any chunk) for the finished file
+      let chunkChecksum, fileChecksum;
+      try {
+        chunkChecksum = parseChecksum(req.headers['x-chunk-checksum'], CHUNK_ALGORITHMS);
+        fileChecksum = parseChecksum(req.headers['x-file-checksum'], FILE_ALGORITHMS);
+      } catch (err) {
+        return sendError(res, 400, 'Invalid checksum header', err.message);
+      }
+
+      let upload = uploadTracker.get(fileId);
+      if (upload && !ownsUpload(req, upload)) {
+        return sendError(res, 403, 'Permission denied', 'This upload belongs to another user');
+      }
+      if (upload && upload.protocol === 'tus') {
+        return sendError(res, 400, 'This upload was started with tus', 'Continue it with PATCH /tus/' + fileId);
+      }
+
+      // A retried chunk of an upload that just finished must not start it over
+      const finished = recentlyCompleted.get(fileId);
+      if (!upload && finished && finished.requestedPath === finalVirtualPath) {
+        return sendJson(res, 200, {
+          success: true,
+          message: 'File upload already complete',
+          outcome: finished.outcome,
+          filePath: finished.virtualPath
+        });
+      }
+
+      // If no existing upload session, create it
+      if (!upload) {
+        if (!(chunkSz > 0)) {
+          return sendError(res, 400, 'Missing chunk size');
+        }
+        if (fileSize !== null && !(fileSize > (totalChunks - 1) * chunkSz && fileSize <= totalChunks * chunkSz)) {
+          return sendError(res, 400, 'File size does not match the chunk layout', { fileSize, totalChunks, chunkSize: chunkSz });
+        }
+        console.log(`Creating new upload session for fileId=${fileId}, file=${fileName}`);
+
+        const estimateBytes = totalChunks * chunkSz;
+        const timeoutValue = systemConfig.getUploadTimeout(estimateBytes);
+        const timeoutHandle = setTimeout(() => {
+          console.log(`Upload session timed out for ${fileId}`);
+          discardUpload(fileId, upload);
+        }, timeoutValue);
+
+        // Where it really goes depends on the conflict policy (claimChunkedUpload),
+        // and is only settled when the last chunk is in
+        upload = {
+          stagingPath: uploadSessions.stagingPath(fileId),
+          virtualPath: finalVirtualPath,
+          requestedPath: finalVirtualPath,
+          conflict,
+          outcome: null,
+          owner: req.identity.name,
+          shareLinkId: request ? request.id : null,
+          fileHandle: null,
+          totalChunks,
+          chunkSize: chunkSz,
+          fileSize,
+          fileChecksum: null,
+          receivedChunks: new Set(),
+          chunkDigests: new Map(),
+          createdAt: Date.now(),
+          lastActivity: Date.now(),
+          timeout: timeoutHandle
+        };
+        uploadTracker.set(fileId, upload);
+        reserveUpload(fileId, upload);
+        claimChunkedUpload(fileId, upload, req.identity).catch(() => {});
+      }
+
+      if (upload.claiming) {
+        try {
+          await upload.claiming;
+        } catch (err) {
+          if (err instanceof quotas.QuotaError) {
+            req.resume();
+            return sendQuotaError(res, err);
+          }
+          if (!isFileOpFailure(err)) throw err;
+          req.resume();
+          return sendError(res, err.statusCode, err.message, { code: err.code || 'ACCESS_DENIED' });
+        }
+        if (upload.outcome === 'skipped') {
+          req.resume();
+          return sendUploadSkipped(res, upload.virtualPath);
+        }
+      }
+
+      if (totalChunks !== upload.totalChunks) {
+        return sendError(res, 400, 'Chunk count does not match the upload', { totalChunks: upload.totalChunks });
+      }
+      if (fileChecksum && JSON.stringify(fileChecksum) !== JSON.stringify(upload.fileChecksum)) {
+        upload.fileChecksum = fileChecksum;
+        uploadSessions.saveSession(fileId, upload);
+      }
+
+      // If this chunk is already received, respond success immediately (e.g. retry)
+      if (upload.receivedChunks.has(chunkIndex)) {
+        res.writeHead(200, { 'Content-Type':'application/json' });
+        return res.end(JSON.stringify({
+          success: true, 
+          message:`Chunk ${chunkIndex} already received`
+        }));
+      }
+
+      // Update activity
+      upload.lastActivity = Date.now();
+
+      // Write the chunk where it belongs as it arrives
+      const position = chunkIndex * upload.chunkSize;
+      const maxBytes = expectedChunkSize(upload, chunkIndex);
+
+      // The disk may have filled up since the upload started
+      try {
+        await quotas.checkFreeSpace(uploadDirs(upload.requestedPath), maxBytes, fileId);
+      } catch (err) {
+        if (!(err instanceof quotas.QuotaError)) throw err;
+        req.resume();
+        return sendQuotaError(res, err);
+      }
+
+      // New session, or one restored from its journal after a restart
+      await openUploadFile(upload);
+      let bytesWritten = 0;
+      let tooLarge = false;
+      const hasher = createChunkHasher(chunkChecksum && chunkChecksum.algorithm);
+      try {
+        for await (const data of req) {
+          // Never spill into the next chunk's range; read the rest and reject it
+          if (tooLarge || bytesWritten + data.length > maxBytes) {
+            tooLarge = true;
+            continue;
+          }
+          await upload.fileHandle.write(data, 0, data.length, position + bytesWritten);
+          hasher.update(data);
+          bytesWritten += data.length;
+        }
+      } catch (err) {
+        if (upload.finishing) {
+          // A duplicate of a chunk we already have lost the race to the final one
+          return sendJson(res, 200, { success: true, message: `Chunk ${chunkIndex} already received` });
+        }
+        const receiveError = err.code === 'ECONNRESET' || err.message === 'aborted';
+        console.error(`Error receiving chunk ${chunkIndex} for fileId=${fileId}:`, err.message);
+        uploadErrors.set(fileId, {
+          code: receiveError ? 'CHUNK_RECEIVE_ERROR' : 'WRITE_ERROR',
+          message: err.message,
+          chunkIndex,
+          timestamp: new Date().toISOString()
+        });
+        if (!res.headersSent && !res.destroyed) {
+          sendError(res, 500, `Chunk ${receiveError ? 'receive' : 'write'} error: ${err.message}`);
+        }
+        return;
+      }
+
+      if (tooLarge) {
+        return sendError(res, 400, 'Chunk is larger than expected', { chunkIndex, expected: maxBytes });
+      }
+
+      // Only a full chunk counts; the last one also tells us the file size
+      const isLastChunk = chunkIndex === upload.totalChunks - 1;
+      if (bytesWritten !== maxBytes && !(isLastChunk && upload.fileSize === null && bytesWritten > 0)) {
+        return sendError(res, 400, 'Incomplete chunk', { chunkIndex, expected: maxBytes, received: bytesWritten });
+      }
+
+      // A chunk that doesn't match its checksum is not received; the client re-sends it
+      const digest = hasher.digest();
+      if (chunkChecksum && digest[chunkChecksum.algorithm] !== chunkChecksum.value) {
+        const message = `Chunk ${chunkIndex} ${chunkChecksum.algorithm} mismatch`;
+        uploadErrors.set(fileId, {
+          code: 'CHECKSUM_MISMATCH',
+          message,
+          chunkIndex,
+          timestamp: new Date().toISOString()
+        });
+        return sendError(res, 400, message, {
+          code: 'CHECKSUM_MISMATCH',
+          chunkIndex,
+          expected: chunkChecksum.value,
+          actual: digest[chunkChecksum.algorithm]
+        });
+      }
+
+      if (isLastChunk && upload.fileSize === null) {
+        upload.fileSize = position + bytesWritten;
+      }
+
+      upload.receivedChunks.add(chunkIndex);
+      upload.chunkDigests.set(chunkIndex, digest.sha256);
+      upload.lastActivity = Date.now();
+      uploadSessions.saveChunkDigest(fileId, chunkIndex, digest.sha256);
+      uploadSessions.saveSession(fileId, upload);
+
+      // This chunk made it now, so an old error about it is no longer news
+      const lastError = uploadErrors.get(fileId);
+      if (lastError && lastError.chunkIndex === chunkIndex) {
+        uploadErrors.delete(fileId);
+      }
+
+      // More chunks to go (or another request is already finishing up)
+      if (upload.receivedChunks.size < upload.totalChunks || upload.finishing) {
+        return sendJson(res, 200, {
+          success: true,
+          message: `Chunk ${chunkIndex} received`,
+          fileId
+        });
+      }
+
+      // All chunks complete: drop anything an older, longer file left behind
+      upload.finishing = true;
+      try {
+        await upload.fileHandle.truncate(upload.fileSize);
+        closeUploadFile(upload);
+
+        // Verify the whole file; damaged chunks go back to "missing" for the client to re-send
+        if (upload.fileChecksum) {
+          const damaged = await findDamagedChunks(upload);
+          if (damaged) {
+            for (const index of damaged) {
+              upload.receivedChunks.delete(index);
+              upload.chunkDigests.delete(index);
+            }
+            uploadSessions.saveSession(fileId, upload);
+            const message = `File ${upload.fileChecksum.algorithm} mismatch`;
+            uploadErrors.set(fileId, {
+              code: 'FILE_CHECKSUM_MISMATCH',
+              message,
+              chunks: damaged,
+              timestamp: new Date().toISOString()
+            });
+            console.log(`Checksum mismatch for fileId=${fileId}, chunks to re-send: ${damaged.join(', ')}`);
+            return sendError(res, 400, message, { code: 'FILE_CHECKSUM_MISMATCH', chunks: damaged });
+          }
+        }
+
+        // Someone else's upload may have filled the file request meanwhile
+        if (upload.shareLinkId && !shareLinks.countUpload(upload.shareLinkId, upload.fileSize)) {
+          discardUpload(fileId, upload);
+          return sendError(res, 413, 'This file request is full');
+        }
+
+        // Only now does the file appear under its real name
+        try {
+          await placeFinishedUpload(fileId, upload, req.identity);
+        } catch (err) {
+          if (!isFileOpFailure(err)) throw err;
+          return sendError(res, err.statusCode, err.message, { code: err.code || 'ACCESS_DENIED' });
+        }
+        if (upload.outcome === 'skipped') return sendUploadSkipped(res, upload.virtualPath);
+        console.log(`All chunks uploaded for fileId=${fileId}, saved at ${upload.virtualPath}`);
+
+        // Send final success
+        res.writeHead(200, { 'Content-Type':'application/json' });
+        res.end(JSON.stringify({
+          success: true,
+          message: 'File upload complete (multi-chunk)',
+          outcome: upload.outcome,
+          filePath: upload.virtualPath
+        }));
+      } finally {
+        // Unless it was placed or dropped, a re-sent chunk must be able to finish it again
+        if (uploadTracker.get(fileId) === upload) upload.finishing = false;
+      }
+    } catch (err) {
+      console.error('Upload chunk error:', err);
+      sendError(res, 500, `Server error: ${err.message}`);
     }
+  }
+
+  // -------------------------------------------
+  // 8) Check upload status
+  // -------------------------------------------
+  else if (req.method === 'GET' && pathname === '/check-upload') {
+    const fileId = query.fileId;
+    if (!fileId) {
+      return sendError(res, 400, 'Missing fileId');
+    }
+    const upload = uploadTracker.get(fileId);
+    if (upload && !ownsUpload(req, upload)) {
+      return sendError(res, 403, 'Permission denied', 'This upload belongs to another user');
+    }
+    if (!upload) {
+      // Maybe it finished or got cleaned up?
+      const error = uploadErrors.get(fileId) || null;
+      res.writeHead(200, { 'Content-Type':'application/json' });
+      return res.end(JSON.stringify({
+        success: true,
+        exists: false,
+        error
+      }));
+    }
+    // If found
+    res.writeHead(200, { 'Content-Type':'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      exists: true,
+      receivedChunks: Array.from(upload.receivedChunks),
+      totalChunks: upload.totalChunks,
+      chunkSize: upload.chunkSize,
+      fileSize: upload.fileSize,
+      bytesReceived: receivedBytes(upload),
+      fileChecksum: upload.fileChecksum,
+      lastActivity: upload.lastActivity,
+      // e.g. CHECKSUM_MISMATCH for one chunk, or FILE_CHECKSUM_MISMATCH with `chunks`
+      error: uploadErrors.get(fileId) || null
+    }));
+  }
+
+  // -------------------------------------------
+  // 9) Report upload error
+  // -------------------------------------------
+  else if (req.method === 'GET' && pathname === '/report-upload-error') {
+    const fileId = query.fileId;
+    const code = query.code || 'CLIENT_ERROR';
+    const message = query.message || 'Unknown client error';
+    const chunkIndex = (query.chunkIndex) ? parseInt(query.chunkIndex, 10) : null;
+    if (!fileId) {
+      return sendError(res, 400, 'Missing fileId');
+    }
+    const upload = uploadTracker.get(fileId);
+    if (upload && !ownsUpload(req, upload)) {
+      return sendError(res, 403, 'Permission denied', 'This upload belongs to another user');
+    }
+    uploadErrors.set(fileId, {
+      code,
+      message,
+      chunkIndex,
+      timestamp: new Date().toISOString()
+    });
+    console.log(`Client reported error for ${fileId}:`, code, message);
+    res.writeHead(200, { 'Content-Type':'application/json' });
+    res.end(JSON.stringify({ success:true, message:'Error reported' }));
+  }
+
+  // -------------------------------------------
+  // 10) tus 1.0 resumable uploads
+  // -------------------------------------------
+  // POST /tus creates an upload (Upload-Length, Upload-Metadata with
+  // "filename" and optional "path"), HEAD /tus/<id> reports its offset,
+  // PATCH /tus/<id> appends at that offset and DELETE /tus/<id> drops it.
+  else if (pathname === '/tus' || pathname.startsWith('/tus/')) {
+    const method = (req.headers['x-http-method-override'] || req.method).toUpperCase();
+    for (const [name, value] of Object.entries(tusHeaders())) res.setHeader(name, value);
+    if (req.headers['tus-resumable'] !== TUS_VERSION) {
+      res.setHeader('Tus-Version', TUS_VERSION);
+      return sendError(res, 412, 'Unsupported tus version', `This server speaks tus ${TUS_VERSION}`);
+    }
+
     try {
-      currentPath = path.resolve(currentPath);
-      const items = fs.readdirSync(currentPath, { withFileTypes: true });
-      const folders = items.filter(d => d.isDirectory()).map(d => d.name);
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ path: currentPath, folders }));
+      let checksum;
+      try {
+        checksum = parseUploadChecksum(req.headers['upload-checksum']);
+      } catch (err) {
+        return sendError(res, 400, 'Invalid Upload-Checksum', err.message);
+      }
+      const hasBody = (req.headers['content-type'] || '').split(';')[0].trim() === 'application/offset+octet-stream';
+
+      // Creation (with optional data in the same request)
+      if (pathname === '/tus') {
+        if (method !== 'POST') return sendError(res, 405, 'Method not allowed');
+        if (req.headers['upload-defer-length'] !== undefined) {
+          return sendError(res, 400, 'Upload-Defer-Length is not supported', 'Send Upload-Length');
+        }
+        const lengthHeader = req.headers['upload-length'] || '';
+        if (!/^\d+$/.test(lengthHeader)) {
+          return sendError(res, 400, 'Missing or invalid Upload-Length');
+        }
+        const fileSize = Number(lengthHeader);
+
+        let metadata;
+        try {
+          metadata = parseMetadata(req.headers['upload-metadata']);
+        } catch (err) {
+          return sendError(res, 400, 'Invalid Upload-Metadata', err.message);
+        }
+        const fileName = metadata.filename || metadata.name;
+        if (!fileName) return sendError(res, 400, 'Missing file name', 'Set "filename" in Upload-Metadata');
+
+        const requested = resolveOrDeny(res, metadata.path || query.path || getDefaultRoot(), fileName);
+        if (!requested) return;
+        if (!requirePermission(req, res, 'upload', path.posix.dirname(requested.virtualPath))) return;
+        const conflict = uploadConflictPolicy(metadata.conflict);
+        if (!conflict) {
+          return sendError(res, 400, 'Invalid conflict policy', `Use one of ${fileOps.UPLOAD_CONFLICT_POLICIES.join(', ')}`);
+        }
+        try {
+          await quotas.checkUpload(req.identity, requested.virtualPath, fileSize, uploadDirs(requested.virtualPath));
+        } catch (err) {
+          if (!(err instanceof quotas.QuotaError)) throw err;
+          return sendQuotaError(res, err);
+        }
+        fs.mkdirSync(path.dirname(requested.fullPath), { recursive: true });
+
+        // tus has no way to report a skipped upload, so "skip" is refused like "fail"
+        let claim;
+        try {
+          claim = await fileOps.planUpload(req.identity, requested.virtualPath, conflict);
+        } catch (err) {
+          if (!isFileOpFailure(err)) throw err;
+          return sendError(res, err.statusCode, err.message, { code: err.code || 'ACCESS_DENIED' });
+        }
+        if (claim.outcome === 'skipped') {
+          return sendError(res, 409, `${requested.virtualPath} already exists`, { code: 'EXISTS' });
+        }
+        const target = claim.target;
+
+        const fileId = newUploadId();
+        const upload = {
+          protocol: 'tus',
+          stagingPath: uploadSessions.stagingPath(fileId),
+          virtualPath: target.virtualPath,
+          owner: req.identity.name,
+          fileHandle: null,
+          // One "chunk" spanning the file keeps the shared session code working
+          totalChunks: 1,
+          chunkSize: Math.max(fileSize, 1),
+          fileSize,
+          fileChecksum: null,
+          receivedChunks: new Set(),
+          chunkDigests: new Map(),
+          offset: 0,
+          metadata: req.headers['upload-metadata'] || '',
+          requestedPath: requested.virtualPath,
+          conflict: conflict === 'skip' ? 'fail' : conflict,
+          outcome: claim.outcome,
+          createdAt: Date.now(),
+          lastActivity: Date.now(),
+          timeout: null
+        };
+        uploadTracker.set(fileId, upload);
+        reserveUpload(fileId, upload);
+        uploadSessions.saveSession(fileId, upload);
+        console.log(`Creating tus upload ${fileId} for ${target.virtualPath} (${fileSize} bytes)`);
+
+        if (hasBody) {
+          // A failed first part still leaves a usable upload; the client resumes via HEAD
+          const error = await appendTusData(req, fileId, upload, checksum);
+          if (error) console.log(`tus upload ${fileId}: ${error.message}`);
+          if (error && !uploadTracker.has(fileId)) return sendError(res, error.status, error.message);
+        } else if (fileSize === 0) {
+          try {
+            await finishTusUpload(fileId, upload, req.identity);
+          } catch (err) {
+            if (!isFileOpFailure(err)) throw err;
+            return sendError(res, err.statusCode, err.message, { code: err.code || 'ACCESS_DENIED' });
+          }
+        }
+        // Where the file goes: predicted until the upload is complete
+        const headers = {
+          Location: `/tus/${fileId}`,
+          'Content-Length': 0,
+          'X-File-Path': encodeURI(upload.virtualPath),
+          'X-Upload-Outcome': upload.outcome
+        };
+        if (hasBody) headers['Upload-Offset'] = upload.offset;
+        if (uploadTracker.has(fileId)) {
+          headers['Upload-Expires'] = new Date(uploadExpiresAt(upload)).toUTCString();
+        }
+        if (res.destroyed) return;
+        res.writeHead(201, headers);
+        return res.end();
+      }
+
+      const fileId = pathname.slice('/tus/'.length);
+      const upload = uploadTracker.get(fileId);
+      if (!upload || upload.protocol !== 'tus') {
+        // Finished uploads answer for a while, so a client that missed the last response can tell
+        const finished = recentlyCompleted.get(fileId);
+        if (finished && finished.protocol === 'tus' && (method === 'HEAD' || method === 'PATCH')) {
+          if (!ownsUpload(req, finished)) {
+            return sendError(res, 403, 'Permission denied', 'This upload belongs to another user');
+          }
+          if (method === 'PATCH' && Number(req.headers['upload-offset']) !== finished.fileSize) {
+            return sendError(res, 409, 'Upload-Offset does not match', { offset: finished.fileSize });
+          }
+          req.resume();
+          res.writeHead(method === 'HEAD' ? 200 : 204, {
+            'Upload-Offset': finished.fileSize,
+            'Upload-Length': finished.fileSize
+          });
+          return res.end();
+        }
+        return sendError(res, 404, 'Upload not found');
+      }
+      if (!ownsUpload(req, upload)) {
+        return sendError(res, 403, 'Permission denied', 'This upload belongs to another user');
+      }
+      if (Date.now() > uploadExpiresAt(upload)) {
+        dropStaleUpload(fileId, upload);
+        return sendError(res, 410, 'Upload expired');
+      }
+
+      // Offset query
+      if (method === 'HEAD') {
+        const headers = {
+          'Upload-Offset': upload.offset,
+          'Upload-Length': upload.fileSize,
+          'Upload-Expires': new Date(uploadExpiresAt(upload)).toUTCString()
+        };
+        if (upload.metadata) headers['Upload-Metadata'] = upload.metadata;
+        res.writeHead(200, headers);
+        return res.end();
+      }
+
+      // Append
+      if (method === 'PATCH') {
+        if (!hasBody) {
+          return sendError(res, 415, 'Content-Type must be application/offset+octet-stream');
+        }
+        const offsetHeader = req.headers['upload-offset'] || '';
+        if (!/^\d+$/.test(offsetHeader) || Number(offsetHeader) !== upload.offset) {
+          return sendError(res, 409, 'Upload-Offset does not match', { offset: upload.offset });
+        }
+        if (upload.patching) {
+          return sendError(res, 423, 'Another request is writing to this upload');
+        }
+
+        const error = await appendTusData(req, fileId, upload, checksum);
+        if (error) {
+          if (res.headersSent || res.destroyed) return;
+          if (error.status === 460) res.statusMessage = 'Checksum Mismatch';
+          sendError(res, error.status, error.message, { offset: upload.offset });
+          return;
+        }
+        const headers = { 'Upload-Offset': upload.offset };
+        if (uploadTracker.has(fileId)) {
+          headers['Upload-Expires'] = new Date(uploadExpiresAt(upload)).toUTCString();
+        } else {
+          // Complete: tell the client where the file ended up
+          headers['X-File-Path'] = encodeURI(upload.virtualPath);
+          headers['X-Upload-Outcome'] = upload.outcome;
+        }
+        res.writeHead(204, headers);
+        return res.end();
+      }
+
+      // Termination
+      if (method === 'DELETE') {
+        console.log(`Terminating tus upload ${fileId}`);
+        discardUpload(fileId, upload);
+        uploadErrors.delete(fileId);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      sendError(res, 405, 'Method not allowed');
+    } catch (err) {
+      console.error('tus upload error:', err);
+      if (!res.headersSent) sendError(res, 500, `Server error: ${err.message}`);
+    }
+  }
+
+  // -------------------------------------------
+  // 11) WebDAV (mount the share roots as a network drive)
+  // -------------------------------------------
+  else if (webdav.isDavPath(pathname)) {
+    await webdav.handleWebDav(req, res, pathname);
+  }
+
+  // -------------------------------------------
+  // 12) File management: create folder, rename, move, copy, delete
+  // -------------------------------------------
+  // JSON bodies: /create-folder { path, name }, /rename { path, name, conflict },
+  // /move and /copy { paths, destination, conflict }, /delete { paths }
+  else if (req.method === 'POST' && ['/create-folder', '/rename', '/move', '/copy', '/delete'].includes(pathname)) {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      return sendError(res, 400, 'Invalid request body', err.message);
+    }
+    const who = req.identity.name || 'anonymous';
+    try {
+      if (pathname === '/create-folder') {
+        const result = await fileOps.createFolder(req.identity, body.path || getDefaultRoot(), body.name);
+        console.log(`Folder created: ${result.path} (by ${who})`);
+        return sendJson(res, 201, { success: true, ...result });
+      }
+      if (pathname === '/rename') {
+        if (!body.path) return sendError(res, 400, 'Missing path');
+        const result = await fileOps.renameEntry(req.identity, body.path, body.name, { conflict: body.conflict });
+        console.log(`Renamed ${body.path} to ${result.newPath || '(skipped)'} (by ${who})`);
+        return sendJson(res, 200, { success: true, ...result });
+      }
+
+      if (body.conflict !== undefined && !fileOps.CONFLICT_POLICIES.includes(body.conflict)) {
+        return sendError(res, 400, 'Invalid conflict policy', `Use one of ${fileOps.CONFLICT_POLICIES.join(', ')}`);
+      }
+      const paths = Array.isArray(body.paths) ? body.paths : [];
+      if (paths.length === 0 || paths.length > MAX_BATCH_PATHS || !paths.every(p => typeof p === 'string')) {
+        return sendError(res, 400, 'Missing or invalid paths', `Send 1-${MAX_BATCH_PATHS} paths`);
+      }
+      let results;
+      if (pathname === '/delete') {
+        results = await runFileOps(paths, p => fileOps.deleteEntry(req.identity, p));
+      } else {
+        if (!body.destination) return sendError(res, 400, 'Missing destination');
+        const op = pathname === '/move' ? fileOps.moveEntry : fileOps.copyEntry;
+        results = await runFileOps(paths, p => op(req.identity, p, body.destination, { conflict: body.conflict }));
+      }
+      const done = results.filter(r => r.success && !r.skipped).length;
+      console.log(`${pathname.slice(1)}: ${done} of ${paths.length} item(s) done (by ${who})`);
+      sendJson(res, 200, { success: results.every(r => r.success), results });
+    } catch (err) {
+      if (isFileOpFailure(err)) {
+        return sendError(res, err.statusCode, err.message, { code: err.code || 'ACCESS_DENIED' });
+      }
+      console.error(`File operation ${pathname} failed:`, err);
+      sendError(res, 500, `Server error: ${err.message}`);
+    }
+  }
+
+  // -------------------------------------------
+  // 13) Trash: list deleted items and restore them
+  // -------------------------------------------
+  else if (req.method === 'GET' && pathname === '/trash') {
+    try {
+      const items = await fileOps.listTrash(req.identity);
+      sendJson(res, 200, { success: true, retentionDays: trash.retentionDays, items });
+    } catch (err) {
+      console.error('Listing the trash failed:', err);
+      sendError(res, 500, `Server error: ${err.message}`);
+    }
+  }
+  // { ids, conflict }: conflict as for /move when the original name is taken again
+  else if (req.method === 'POST' && pathname === '/trash/restore') {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      return sendError(res, 400, 'Invalid request body', err.message);
+    }
+    if (body.conflict !== undefined && !fileOps.CONFLICT_POLICIES.includes(body.conflict)) {
+      return sendError(res, 400, 'Invalid conflict policy', `Use one of ${fileOps.CONFLICT_POLICIES.join(', ')}`);
+    }
+    const ids = Array.isArray(body.ids) ? body.ids : [];
+    if (ids.length === 0 || ids.length > MAX_BATCH_PATHS || !ids.every(id => typeof id === 'string')) {
+      return sendError(res, 400, 'Missing or invalid ids', `Send 1-${MAX_BATCH_PATHS} trash ids`);
+    }
+    try {
+      const results = await runFileOps(ids, id => fileOps.restoreEntry(req.identity, id, { conflict: body.conflict }), 'id');
+      const done = results.filter(r => r.success && !r.skipped).length;
+      console.log(`restore: ${done} of ${ids.length} item(s) done (by ${req.identity.name || 'anonymous'})`);
+      sendJson(res, 200, { success: results.every(r => r.success), results });
+    } catch (err) {
+      console.error('Restoring from the trash failed:', err);
+      sendError(res, 500, `Server error: ${err.message}`);
+    }
+  }
+
+  // -------------------------------------------
+  // 14) File versions: list, download and restore older content
+  // -------------------------------------------
+  // GET /versions?path=, GET /versions/download?path=&version=,
+  // POST /versions/restore { path, version }
+  else if ((req.method === 'GET' || req.method === 'HEAD') && (pathname === '/versions' || pathname === '/versions/download')) {
+    try {
+      const target = resolveOrDeny(res, query.path || '');
+      if (!target) return;
+      if (!requirePermission(req, res, 'read', target.virtualPath)) return;
+
+      if (pathname === '/versions') {
+        const history = await versions.listVersions(target.virtualPath);
+        const stats = fs.existsSync(target.fullPath) ? fs.statSync(target.fullPath) : null;
+        return sendJson(res, 200, {
+          success: true,
+          path: target.virtualPath,
+          current: stats && stats.isFile()
+            ? { size: stats.size, modified: stats.mtime.toISOString(), ...history.current }
+            : null,
+          versions: history.versions,
+          maxVersions: versions.maxVersions,
+          retentionDays: versions.retentionDays
+        });
+      }
+
+      const version = await versions.findVersion(target.virtualPath, Number(query.version));
+      if (!version) return sendError(res, 404, 'Version not found');
+      // "report.docx" version 3 downloads as "report (version 3).docx"
+      const ext = path.extname(target.virtualPath);
+      const fileName = `${path.basename(target.virtualPath, ext)} (version ${version.number})${ext}`;
+      await sendFile(req, res, version.fullPath, {
+        'Content-Type': mime.contentTypeFor(fileName),
+        'Content-Disposition': `attachment; filename="${encodeURIComponent(fileName)}"`,
+        'Cache-Control': 'private, no-cache'
+      });
+    } catch (err) {
+      console.error('Version request failed:', err);
+      if (!res.headersSent) sendError(res, 500, `Server error: ${err.message}`);
+    }
+  }
+  else if (req.method === 'POST' && pathname === '/versions/restore') {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      return sendError(res, 400, 'Invalid request body', err.message);
+    }
+    try {
+      const target = resolveOrDeny(res, body.path || '');
+      if (!target) return;
+      // The current content becomes a version, so restoring only needs "upload"
+      if (!requirePermission(req, res, 'upload', path.posix.dirname(target.virtualPath))) return;
+      if (fs.existsSync(target.fullPath) && !fs.statSync(target.fullPath).isFile()) {
+        return sendError(res, 400, 'Not a file');
+      }
+      const version = await versions.restoreVersion(target, Number(body.version), req.identity);
+      if (!version) return sendError(res, 404, 'Version not found');
+      console.log(`Restored version ${version.number} of ${target.virtualPath} (by ${req.identity.name || 'anonymous'})`);
+      sendJson(res, 200, { success: true, path: target.virtualPath, restored: version.number });
+    } catch (err) {
+      console.error('Version restore failed:', err);
+      sendError(res, 500, `Server error: ${err.message}`);
+    }
+  }
+
+  // -------------------------------------------
+  // 15) Share links and file requests: manage them, and the public /s/<token> pages
+  // -------------------------------------------
+  // GET /shares, POST /shares { path, expiresInHours | expiresAt,
+  // password, maxDownloads } (or { type: 'upload', path, ..., maxTotalSize,
+  // allowedExtensions, note } for a file request), POST /shares/revoke?id=
+  else if (pathname === '/shares' || pathname === '/shares/revoke') {
+    // Admins may pass ?all=1 to see and revoke everybody's links
+    const owner = (req.identity.admin && query.all) ? null : req.identity.name;
+    try {
+      if (req.method === 'GET' && pathname === '/shares') {
+        return sendJson(res, 200, { success: true, links: shareLinks.listLinks(owner) });
+      }
+      if (req.method === 'POST' && pathname === '/shares') {
+        let body;
+        try {
+          body = await readJsonBody(req);
+        } catch (err) {
+          return sendError(res, 400, 'Invalid request body', err.message);
+        }
+        const type = body.type === 'upload' ? 'upload' : 'download';
+        const target = resolveOrDeny(res, body.path || '');
+        if (!target) return;
+        if (!requirePermission(req, res, type === 'upload' ? 'upload' : 'read', target.virtualPath)) return;
+        const stats = fs.existsSync(target.fullPath) ? fs.statSync(target.fullPath) : null;
+        if (!stats || !(stats.isFile() || stats.isDirectory())) {
+          return sendError(res, 404, 'File not found');
+        }
+        if (type === 'upload' && !stats.isDirectory()) {
+          return sendError(res, 400, 'Not a folder', 'Files can only be requested into a folder');
+        }
+        let options;
+        try {
+          options = shareLinkOptions(body);
+        } catch (err) {
+          return sendError(res, 400, 'Invalid share link', err.message);
+        }
+        const link = await shareLinks.createLink({
+          type,
+          virtualPath: target.virtualPath,
+          isFolder: stats.isDirectory(),
+          createdBy: req.identity.name,
+          ...options
+        });
+        console.log(`${type === 'upload' ? 'File request' : 'Share link'} ${link.id} created for ${link.path} (by ${req.identity.name || 'anonymous'})`);
+        return sendJson(res, 200, { success: true, link });
+      }
+      if (req.method === 'POST' && pathname === '/shares/revoke') {
+        if (!shareLinks.revokeLink(query.id, owner)) {
+          return sendError(res, 404, 'Share link not found');
+        }
+        console.log(`Share link ${query.id} revoked (by ${req.identity.name || 'anonymous'})`);
+        return sendJson(res, 200, { success: true });
+      }
+      return sendError(res, 405, 'Method not allowed');
     } catch (err) {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ path:'/', folders:[], error:err.message }));
+      console.error('Share link request failed:', err);
+      return sendError(res, 500, 'Share link request failed', err.message);
     }
   }
-
-  // -------------------------------------------
-  // 6) Chunked/Single-chunk upload
-  // -------------------------------------------
-  else if (req.method === 'POST' && pathname === '/upload-chunk') {
+  // GET /s/<token> downloads (folders as ?format= archives); a password
+  // comes as X-Share-Password or from the form POSTed back to the link.
+  // File requests open their upload page, or describe themselves as JSON
+  else if ((req.method === 'GET' || req.method === 'HEAD' || req.method === 'POST') && pathname.startsWith('/s/')) {
     try {
-      const fileName = decodeURIComponent(req.headers['x-file-name'] || '');
-      const chunkIndex = parseInt(req.headers['x-chunk-index'] || '0', 10);
-      const totalChunks = parseInt(req.headers['x-total-chunks'] || '1', 10);
-      const fileId = req.headers['x-file-id'] || Date.now().toString();
-      const targetPath = query.path || getCurrentPath();
-      const chunkSz = parseInt(req.headers['x-chunk-size'] || '0', 10);
+      const link = shareLinks.findByToken(pathname.slice('/s/'.length));
+      if (!link) return sendSharePage(req, res, 404, 'This link does not exist or has been revoked');
+      const state = shareLinks.linkState(link);
+      if (state) return sendSharePage(req, res, 410, SHARE_LINK_STATES[state]);
 
-      if (!fileName) return sendError(res, 400, 'Missing file name');
+      // File requests: browsers get the upload page, which asks for the rest here
+      if (link.type === 'upload') {
+        if (req.method === 'POST') return sendError(res, 405, 'Method not allowed');
+        if (/text\/html/.test(req.headers['accept'] || '')) {
+          return await sendFile(req, res, path.join(PUBLIC_DIR, 'drop.html'), {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-cache'
+          });
+        }
+        const request = await openFileRequest(req, res, link);
+        if (!request) return;
+        return sendJson(res, 200, {
+          success: true,
+          request: {
+            folder: path.basename(request.target.fullPath),
+            note: link.note,
+            allowedExtensions: link.allowedExtensions,
+            maxTotalSize: link.maxTotalSize,
+            spaceLeft: link.maxTotalSize ? Math.max(0, link.maxTotalSize - link.uploadedBytes - fileRequestPendingBytes(link.id)) : null,
+            expiresAt: link.expiresAt
+          }
+        });
+      }
 
-      // Create target dir if needed (including nested directories for folder uploads)
-      const outDir = path.resolve(targetPath);
-      if (!fs.existsSync(outDir)) {
-        fs.mkdirSync(outDir, { recursive: true });
+      let password = req.headers['x-share-password'];
+      if (req.method === 'POST') {
+        try {
+          password = (await readFormBody(req)).password;
+        } catch (err) {
+          return sendError(res, 400, 'Invalid request body', err.message);
+        }
+      }
+      const check = await shareLinks.checkPassword(link, password, req.socket.remoteAddress);
+      if (!check.ok) {
+        return sendSharePage(req, res, check.status, check.error, { askPassword: check.status === 401 });
       }
 
-      const finalFilePath = path.join(outDir, fileName);
-      
-      // Ensure the parent directory of the file exists (for nested folder uploads)
-      const fileDir = path.dirname(finalFilePath);
-      if (!fs.existsSync(fileDir)) {
-        fs.mkdirSync(fileDir, { recursive: true });
+      // A link reaches only what its creator can still read
+      const shared = await shareLinkTarget(link);
+      if (!shared || !permissions.can(shared.identity, 'read', shared.target.virtualPath)) {
+        return sendSharePage(req, res, 404, 'The shared item is no longer available');
       }
-      
-      const isSingleChunk = (totalChunks === 1 && chunkIndex === 0);
+      const { identity, target, stats } = shared;
 
-      // If single-chunk => just pipe it to disk
-      if (isSingleChunk) {
-        const ws = fs.createWriteStream(finalFilePath, { flags:'w' });
-        ws.on('error', err => {
-          console.error('Single-chunk write error:', err);
-          if (!res.headersSent) {
-            sendError(res, 500, `Write error: ${err.message}`);
-          }
-        });
-        req.pipe(ws);
-
-        req.on('end', () => {
-          ws.end();
-          ws.on('finish', () => {
-            res.writeHead(200, { 'Content-Type':'application/json' });
-            res.end(JSON.stringify({
-              success: true,
-              message: 'File upload complete (single-chunk)',
-              filePath: finalFilePath
-            }));
-          });
-        });
-        return;
+      const formatName = String(query.format || 'zip').toLowerCase();
+      if (link.isFolder && !ARCHIVE_FORMATS[formatName]) {
+        return sendError(res, 400, `Unsupported archive format: ${formatName}`, { supported: Object.keys(ARCHIVE_FORMATS) });
       }
 
-      // --- MULTI-CHUNK LOGIC ---
-      let upload = uploadTracker.get(fileId);
+      // HEAD and resumed ranges of a file are not new downloads. Links with a
+      // download limit ignore Range, so the file can't be fetched in uncounted pieces
+      const limited = Boolean(link.maxDownloads);
+      let isNewDownload = req.method !== 'HEAD';
+      if (isNewDownload && !link.isFolder && !limited) {
+        // Counted when what is sent includes the first byte (parsed as sendFile does)
+        const ranges = parseRange(req.headers['range'], stats.size);
+        isNewDownload = !ranges || ranges.some(r => r.start === 0);
+      }
+      if (isNewDownload) {
+        if (!shareLinks.countDownload(link.id)) return sendSharePage(req, res, 410, 'This link has been used up');
+        console.log(`Share link ${link.id}: ${link.path} downloaded`);
+      }
 
-      // If no existing upload session, create it
-      if (!upload) {
-        console.log(`Creating new upload session for fileId=${fileId}, file=${fileName}`);
-        const ws = fs.createWriteStream(finalFilePath, { flags:'w' });
-        ws.on('error', err => {
-          uploadErrors.set(fileId, { 
-            code:'WRITE_ERROR', 
-            message: err.message, 
-            timestamp: new Date().toISOString() 
-          });
+      const name = path.basename(target.fullPath);
+      if (!link.isFolder) {
+        return await sendFile(req, res, target.fullPath, {
+          'Content-Type': mime.detectType(target.fullPath),
+          'Content-Disposition': `attachment; filename="${encodeURIComponent(name)}"`,
+          'X-Content-Type-Options': 'nosniff',
+          'Cache-Control': 'private, no-store'
+        }, { ranges: !limited });
+      }
+      const archiveName = name + ARCHIVE_FORMATS[formatName].extension;
+      if (req.method === 'HEAD') {
+        res.writeHead(200, {
+          'Content-Type': ARCHIVE_FORMATS[formatName].contentType,
+          'Content-Disposition': `attachment; filename="${encodeURIComponent(archiveName)}"`,
+          'Cache-Control': 'no-store'
         });
-
-        const estimateBytes = totalChunks * chunkSz;
-        const timeoutValue = systemConfig.getUploadTimeout(estimateBytes);
-        const timeoutHandle = setTimeout(() => {
-          console.log(`Upload session timed out for ${fileId}`);
-          if (ws) {
-            ws.end();
-          }
-          cleanupFile(finalFilePath);
-          uploadTracker.delete(fileId);
-        }, timeoutValue);
-
-        upload = {
-          finalPath: finalFilePath,
-          writeStream: ws,
-          totalChunks,
-          chunkSize: chunkSz,
-          receivedChunks: new Set(),
-          createdAt: Date.now(),
-          lastActivity: Date.now(),
-          timeout: timeoutHandle
-        };
-        uploadTracker.set(fileId, upload);
+        return res.end();
       }
+      const filter = createPathFilter(parsePatterns(), parsePatterns());
+      await sendArchive(res, identity, [{ ...target, stats, name }], { formatName, filter, archiveName });
+    } catch (err) {
+      console.error('Share link download failed:', err);
+      if (!res.headersSent) sendError(res, 500, `Server error: ${err.message}`);
+    }
+  }
 
-      // If this chunk is already received, respond success immediately (e.g. retry)
-      if (upload.receivedChunks.has(chunkIndex)) {
+  // -------------------------------------------
+  // 16) List files in a directory
+  // -------------------------------------------
+  else if (req.method === 'GET' && pathname === '/list-files') {
+    const dirPath = query.path || getDefaultRoot();
+    let options;
+    try {
+      options = listing.parseListQuery(query);
+    } catch (err) {
+      return sendError(res, 400, err.message);
+    }
+    try {
+      if (isVirtualRoot(dirPath)) {
+        // The virtual top level only holds the share roots, never files
         res.writeHead(200, { 'Content-Type':'application/json' });
         return res.end(JSON.stringify({
-          success: true, 
-          message:`Chunk ${chunkIndex} already received`
+          success: true, path: '/', folders: [], files: [], total: { folders: 0, files: 0 }, nextCursor: null
         }));
       }
+      const target = resolveOrDeny(res, dirPath);
+      if (!target) return;
+      if (!requirePermission(req, res, 'read', target.virtualPath)) return;
+      const dirStats = await fs.promises.stat(target.fullPath).catch(() => null);
+      if (!dirStats || !dirStats.isDirectory()) {
+        return sendError(res, 404, 'Directory not found');
+      }
 
-      // Update activity
-      upload.lastActivity = Date.now();
-
-      // Accumulate chunk data as it arrives
-      const ws = upload.writeStream;
-      let bytesWritten = 0;
-      req.on('data', chunk => {
-        ws.write(chunk);
-        bytesWritten += chunk.length;
-      });
-
-      req.on('end', () => {
-        ws.once('drain', () => {}); // just to ensure we handle backpressure if needed
-        upload.receivedChunks.add(chunkIndex);
-
-        // If that was the last chunk, close up the file
-        if (upload.receivedChunks.size === upload.totalChunks) {
-          // All chunks complete
-          ws.end();
-          ws.on('finish', () => {
-            console.log(`All chunks uploaded for fileId=${fileId}, saved at ${upload.finalPath}`);
-            clearTimeout(upload.timeout);
-            uploadTracker.delete(fileId);
-
-            // Send final success
-            res.writeHead(200, { 'Content-Type':'application/json' });
-            res.end(JSON.stringify({
-              success: true,
-              message: 'File upload complete (multi-chunk)',
-              filePath: upload.finalPath
-            }));
+      // One page, folders first (see lib/listing.js)
+      const page = await listing.listDirectory(target, options);
+      // Only files without a known extension are opened to sniff their type
+      const mimeTypes = new Map(await listing.inBatches(
+        page.entries.filter(e => e.kind !== 'folder' && e.stats),
+        async e => [e, await mime.detectTypeAsync(e.fullPath, { sniffKnown: false })]
+      ));
+      const folderList = [];
+      const fileList = [];
+      for (const entry of page.entries) {
+        const { name, kind, symlink, stats } = entry;
+        if (kind === 'folder') {
+          // Subfolders can be selected and downloaded as archives
+          folderList.push({ name, kind, symlink, modified: stats ? stats.mtime.toISOString() : null });
+        } else if (stats) {
+          const mimeType = mimeTypes.get(entry);
+          fileList.push({
+            name,
+            kind,
+            symlink,
+            size: stats.size,
+            modified: stats.mtime.toISOString(),
+            created: stats.birthtime.toISOString(),
+            extension: path.extname(name).toLowerCase().substring(1),
+            type: mime.categoryFor(mimeType),
+            mimeType,
+            preview: mime.previewKindFor(mimeType),
+            thumbnail: thumbnails.canThumbnail(mimeType)
           });
         } else {
-          // More chunks to go, respond success
-          res.writeHead(200, { 'Content-Type':'application/json' });
-          res.end(JSON.stringify({
-            success: true,
-            message: `Chunk ${chunkIndex} received`,
-            fileId
-          }));
+          // Broken links, links out of the root and files that went away
+          fileList.push({ name, kind, symlink, size: 0, error: 'Could not read file info' });
         }
-      });
+      }
 
-      req.on('error', err => {
-        console.error(`Error receiving chunk ${chunkIndex} for fileId=${fileId}:`, err);
-        uploadErrors.set(fileId, {
-          code:'CHUNK_RECEIVE_ERROR',
-          message: err.message,
-          timestamp: new Date().toISOString()
-        });
-        if (!res.headersSent) {
-          sendError(res, 500, `Chunk receive error: ${err.message}`);
-        }
-      });
-    } catch (err) {
-      console.error('Upload chunk error:', err);
-      sendError(res, 500, `Server error: ${err.message}`);
-    }
-  }
+      // How many older versions each file has (see lib/versions.js)
+      const versionCounts = await versions.countVersions(
+        fileList.map(f => target.virtualPath + '/' + f.name),
+        { concurrency: listing.STAT_BATCH }
+      );
+      for (const file of fileList) {
+        file.versions = versionCounts.get(target.virtualPath + '/' + file.name) || 0;
+      }
 
-  // -------------------------------------------
-  // 7) Check upload status
-  // -------------------------------------------
-  else if (req.method === 'GET' && pathname === '/check-upload') {
-    const fileId = query.fileId;
-    if (!fileId) {
-      return sendError(res, 400, 'Missing fileId');
-    }
-    const upload = uploadTracker.get(fileId);
-    if (!upload) {
-      // Maybe it finished or got cleaned up?
-      const error = uploadErrors.get(fileId) || null;
       res.writeHead(200, { 'Content-Type':'application/json' });
-      return res.end(JSON.stringify({
+      res.end(JSON.stringify({
         success: true,
-        exists: false,
-        error
+        path: target.virtualPath,
+        permissions: permissions.permissionsFor(req.identity, target.virtualPath),
+        sort: options.sort,
+        order: options.order,
+        folders: folderList,
+        files: fileList,
+        total: page.total,
+        nextCursor: page.nextCursor
       }));
+    } catch (err) {
+      sendError(res, 500, `List files error: ${err.message}`);
     }
-    // If found
-    res.writeHead(200, { 'Content-Type':'application/json' });
-    res.end(JSON.stringify({
-      success: true,
-      exists: true,
-      receivedChunks: Array.from(upload.receivedChunks),
-      totalChunks: upload.totalChunks,
-      lastActivity: upload.lastActivity,
-      error: null
-    }));
   }
 
   // -------------------------------------------
-  // 8) Report upload error
+  // 17) Search a folder tree; results stream as one JSON object per line
   // -------------------------------------------
-  else if (req.method === 'GET' && pathname === '/report-upload-error') {
-    const fileId = query.fileId;
-    const code = query.code || 'CLIENT_ERROR';
-    const message = query.message || 'Unknown client error';
-    const chunkIndex = (query.chunkIndex) ? parseInt(query.chunkIndex, 10) : null;
-    if (!fileId) {
-      return sendError(res, 400, 'Missing fileId');
+  else if (req.method === 'GET' && pathname === '/search') {
+    let options;
+    try {
+      options = search.parseSearchQuery(query);
+    } catch (err) {
+      return sendError(res, 400, err.message);
     }
-    uploadErrors.set(fileId, {
-      code,
-      message,
-      chunkIndex,
-      timestamp: new Date().toISOString()
+    const startPath = query.path || '/';
+    // "/" searches every share root
+    if (startPath.replace(/\/+/g, '') !== '') {
+      const target = resolveOrDeny(res, startPath);
+      if (!target) return;
+      if (!permissions.canReach(req.identity, target.virtualPath)) {
+        return sendError(res, 403, 'Access denied', 'You cannot search this folder');
+      }
+      if (!fs.existsSync(target.fullPath) || !fs.statSync(target.fullPath).isDirectory()) {
+        return sendError(res, 404, 'Directory not found');
+      }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
     });
-    console.log(`Client reported error for ${fileId}:`, code, message);
-    res.writeHead(200, { 'Content-Type':'application/json' });
-    res.end(JSON.stringify({ success:true, message:'Error reported' }));
+    // A closed tab or a new search in the UI stops the walk
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    try {
+      const results = search.searchTree(req.identity, startPath, options, () => closed);
+      let step;
+      while (!(step = await results.next()).done) {
+        if (!res.write(JSON.stringify(step.value) + '\n')) {
+          await new Promise(resolve => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+          });
+        }
+      }
+      // The last line says why the search ended
+      res.end(JSON.stringify({ done: true, ...step.value }) + '\n');
+    } catch (err) {
+      console.error('Search failed:', err);
+      res.end(JSON.stringify({ done: true, error: `Search failed: ${err.message}` }) + '\n');
+    }
   }
 
   // -------------------------------------------
-  // 9) List files in a directory
+  // 18) Live updates: changes in a folder and upload progress (Server-Sent Events)
   // -------------------------------------------
-  else if (req.method === 'GET' && pathname === '/list-files') {
-    const dirPath = query.path || getCurrentPath();
-    try {
-      const fullPath = path.resolve(dirPath);
-      if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
-        fs.readdir(fullPath, (err, items) => {
-          if (err) {
-            return sendError(res, 500, 'Failed to read directory');
-          }
-          const fileList = [];
-          
-          // Get detailed file info including size, type, and dates
-          for (const item of items) {
-            const filePath = path.join(fullPath, item);
-            try {
-              const stats = fs.statSync(filePath);
-              if (stats.isFile()) {
-                // Get file extension for type identification
-                const ext = path.extname(item).toLowerCase().substring(1);
-                
-                fileList.push({
-                  name: item,
-                  size: stats.size,
-                  modified: stats.mtime.toISOString(),
-                  created: stats.birthtime.toISOString(),
-                  extension: ext,
-                  type: getFileType(ext)
-                });
-              }
-            } catch (statErr) {
-              // console.error(`Error getting stats for ${item}:`, statErr);
-              // Still include the file with limited info
-              fileList.push({ 
-                name: item, 
-                size: 0, 
-                error: 'Could not read file info' 
-              });
-            }
+  else if (req.method === 'GET' && pathname === '/events') {
+    const watchPath = query.path || '/';
+    let target = null;
+    // Without a folder (or at the top level) only upload progress is sent
+    if (watchPath.replace(/\/+/g, '') !== '') {
+      target = resolveOrDeny(res, watchPath);
+      if (!target) return;
+      if (!requirePermission(req, res, 'read', target.virtualPath)) return;
+      const stats = await fs.promises.stat(target.fullPath).catch(() => null);
+      if (!stats || !stats.isDirectory()) {
+        return sendError(res, 404, 'Directory not found');
+      }
+    }
+
+    const stream = live.openEventStream(res);
+    stream.send('ready', { path: target ? target.virtualPath : '/' });
+
+    let stopWatching = () => {};
+    if (target) {
+      try {
+        stopWatching = live.watchFolder(target.fullPath, change => {
+          if (change.type === 'gone') {
+            stream.send('gone', { path: target.virtualPath });
+            return stream.end();
           }
-          
-          res.writeHead(200, { 'Content-Type':'application/json' });
-          res.end(JSON.stringify({
-            success: true,
-            path: dirPath,
-            files: fileList
-          }));
+          stream.send('change', {
+            type: change.type,
+            path: change.name === null ? null : target.virtualPath + '/' + change.name,
+            name: change.name,
+            isFolder: change.isFolder
+          });
         });
-      } else {
-        sendError(res, 404, 'Directory not found');
+      } catch (err) {
+        // Already streaming, so the failure is an event (such as ENOSPC when inotify watches run out)
+        stream.send('watch-error', { error: 'Cannot watch this folder', details: err.message });
+        return stream.end();
       }
-    } catch (err) {
-      sendError(res, 500, `List files error: ${err.message}`);
     }
+
+    // Upload progress is sampled, and only sent when it changed
+    let lastUploads = null;
+    const sendUploads = () => {
+      const uploads = activeUploads(req.identity);
+      const json = JSON.stringify(uploads);
+      if (json === lastUploads) return;
+      lastUploads = json;
+      stream.send('uploads', { uploads });
+    };
+    sendUploads();
+    const uploadTimer = setInterval(sendUploads, UPLOAD_PROGRESS_INTERVAL);
+    stream.onClose(() => {
+      clearInterval(uploadTimer);
+      stopWatching();
+    });
   }
 
   // -------------------------------------------
-  // 10) Download a single file
+  // 19) Download a single file
   // -------------------------------------------
-  else if (req.method === 'GET' && pathname === '/download') {
+  else if ((req.method === 'GET' || req.method === 'HEAD') && pathname === '/download') {
     try {
       // Get the file path from the query
       const filePath = query.file;
@@ -572,8 +2393,11 @@ const server = http.createServer(async (req, res) => {
         return sendError(res, 400, 'Missing file path');
       }
 
-      // Resolve the file path to prevent directory traversal
-      const fullPath = path.resolve(filePath);
+      // Resolve the file path inside the share roots
+      const target = resolveOrDeny(res, filePath);
+      if (!target) return;
+      if (!requirePermission(req, res, 'read', target.virtualPath)) return;
+      const fullPath = target.fullPath;
       
       // Check if the file exists
       if (!fs.existsSync(fullPath)) {
@@ -588,33 +2412,20 @@ const server = http.createServer(async (req, res) => {
 
       // Get the file name
       const fileName = path.basename(fullPath);
+
+      // Pictures, PDFs, media and plain text open in the browser unless ?disposition=attachment;
+      // anything that could run as part of the site is always an attachment
+      const contentType = mime.detectType(fullPath);
+      const disposition = query.disposition === 'attachment' ? 'attachment' : mime.dispositionFor(contentType);
       
-      // Set the content type based on the file extension
-      const ext = path.extname(fileName).toLowerCase();
-      let contentType = 'application/octet-stream'; // Default to binary
-      if (ext === '.pdf') contentType = 'application/pdf';
-      else if (ext === '.jpg' || ext === '.jpeg') contentType = 'image/jpeg';
-      else if (ext === '.png') contentType = 'image/png';
-      else if (ext === '.txt') contentType = 'text/plain';
-      else if (ext === '.mp4') contentType = 'video/mp4';
-      else if (ext === '.mp3') contentType = 'audio/mpeg';
-      
-      // Set headers for the file download
-      res.setHeader('Content-Type', contentType);
-      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(fileName)}"`);
-      res.setHeader('Content-Length', stats.size);
-      
-      // Create a read stream and pipe it to the response
-      const fileStream = fs.createReadStream(fullPath);
-      
-      fileStream.on('error', (err) => {
-        console.error('Error streaming file:', err);
-        if (!res.headersSent) {
-          sendError(res, 500, `File streaming error: ${err.message}`);
-        }
+      // Stream the file; Range / conditional requests are handled in sendFile
+      await sendFile(req, res, fullPath, {
+        'Content-Type': contentType,
+        'Content-Disposition': `${disposition}; filename="${encodeURIComponent(fileName)}"`,
+        'X-Content-Type-Options': 'nosniff',
+        // Per-user permissions: never let a shared cache keep a copy
+        'Cache-Control': 'private, no-cache'
       });
-      
-      fileStream.pipe(res);
     } catch (err) {
       console.error('Download error:', err);
       sendError(res, 500, `Server error: ${err.message}`);
@@ -622,7 +2433,80 @@ const server = http.createServer(async (req, res) => {
   }
 
   // -------------------------------------------
-  // 11) Download multiple files as a zip archive
+  // 20) Show a file in the browser (images, PDF, audio, video, text)
+  // -------------------------------------------
+  else if ((req.method === 'GET' || req.method === 'HEAD') && pathname === '/preview') {
+    try {
+      const target = resolveOrDeny(res, query.file || '');
+      if (!target) return;
+      if (!requirePermission(req, res, 'read', target.virtualPath)) return;
+
+      const stats = await fs.promises.stat(target.fullPath).catch(() => null);
+      if (!stats) return sendError(res, 404, 'File not found');
+      if (!stats.isFile()) return sendError(res, 400, 'Not a file');
+
+      const fileName = path.basename(target.fullPath);
+      const contentType = mime.detectType(target.fullPath);
+      const kind = mime.previewKindFor(contentType);
+      if (!kind) return sendError(res, 415, 'No preview for this file type');
+
+      const headers = {
+        // Text and code are shown as plain text, so an uploaded page never runs as ours
+        'Content-Type': kind === 'text' ? 'text/plain; charset=utf-8' : contentType,
+        'Content-Disposition': `inline; filename="${encodeURIComponent(fileName)}"`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, no-cache'
+      };
+      // SVG can carry scripts; a sandbox keeps them from running
+      if (contentType === 'image/svg+xml') headers['Content-Security-Policy'] = 'sandbox';
+      await sendFile(req, res, target.fullPath, headers);
+    } catch (err) {
+      console.error('Preview error:', err);
+      if (!res.headersSent) sendError(res, 500, `Server error: ${err.message}`);
+    }
+  }
+
+  // -------------------------------------------
+  // 21) Image thumbnail (GET /thumbnail?file=...&size=256)
+  // -------------------------------------------
+  else if ((req.method === 'GET' || req.method === 'HEAD') && pathname === '/thumbnail') {
+    try {
+      const size = query.size === undefined ? thumbnails.DEFAULT_SIZE : Number(query.size);
+      if (!thumbnails.SIZES.includes(size)) {
+        return sendError(res, 400, 'Invalid thumbnail size', { supported: thumbnails.SIZES });
+      }
+      const target = resolveOrDeny(res, query.file || '');
+      if (!target) return;
+      if (!requirePermission(req, res, 'read', target.virtualPath)) return;
+
+      const stats = await fs.promises.stat(target.fullPath).catch(() => null);
+      if (!stats) return sendError(res, 404, 'File not found');
+      if (!stats.isFile()) return sendError(res, 400, 'Not a file');
+      if (!thumbnails.canThumbnail(mime.detectType(target.fullPath))) {
+        return sendError(res, 415, 'No thumbnail for this file type');
+      }
+
+      let thumbnail;
+      try {
+        thumbnail = await thumbnails.getThumbnail(target.fullPath, stats, size);
+      } catch (err) {
+        if (err instanceof thumbnails.ThumbnailError) return sendError(res, err.statusCode, err.message);
+        throw err;
+      }
+      // The cache file is named after the image's mtime, so the UI adds it to the URL
+      await sendFile(req, res, thumbnail.path, {
+        'Content-Type': thumbnail.contentType,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=3600'
+      });
+    } catch (err) {
+      console.error('Thumbnail error:', err);
+      if (!res.headersSent) sendError(res, 500, `Server error: ${err.message}`);
+    }
+  }
+
+  // -------------------------------------------
+  // 22) Download multiple files and folders as a zip / tar archive
   // -------------------------------------------
   else if (req.method === 'GET' && pathname === '/download-multiple') {
     try {
@@ -633,165 +2517,65 @@ const server = http.createServer(async (req, res) => {
         return sendError(res, 400, 'No files specified');
       }
 
-      // Prepare archive name
-      const timestamp = Date.now();
-      const archiveName = `download_${timestamp}.zip`;
+      const formatName = String(query.format || 'zip').toLowerCase();
+      const format = ARCHIVE_FORMATS[formatName];
+      if (!format) {
+        return sendError(res, 400, `Unsupported archive format: ${formatName}`, {
+          supported: Object.keys(ARCHIVE_FORMATS)
+        });
+      }
+
+      // Optional glob filters for files inside selected folders
+      let filter;
+      try {
+        filter = createPathFilter(parsePatterns(query.include), parsePatterns(query.exclude));
+      } catch (err) {
+        if (err instanceof GlobError) return sendError(res, err.statusCode, err.message);
+        throw err;
+      }
       
+      // Resolve every requested file inside the share roots up front
+      const targets = [];
+      for (const filePath of fileList) {
+        const target = resolveOrDeny(res, filePath);
+        if (!target) return;
+        if (!requirePermission(req, res, 'read', target.virtualPath)) return;
+        targets.push(target);
+      }
+
       // For single file that's not too large, redirect to single file download
-      if (fileList.length === 1) {
-        const fullPath = path.resolve(fileList[0]);
+      if (targets.length === 1) {
+        const fullPath = targets[0].fullPath;
         if (fs.existsSync(fullPath) && fs.statSync(fullPath).isFile()) {
           res.writeHead(302, { 'Location': `/download?file=${encodeURIComponent(fileList[0])}` });
           return res.end();
         }
       }
 
-      // Validate all files exist and gather file details
-      const fileDetails = [];
-      for (const filePath of fileList) {
-        const fullPath = path.resolve(filePath);
-        
-        if (!fs.existsSync(fullPath)) {
-          return sendError(res, 404, `File not found: ${path.basename(fullPath)}`);
-        }
-        
-        const stats = fs.statSync(fullPath);
-        if (!stats.isFile()) {
-          return sendError(res, 400, `Not a file: ${path.basename(fullPath)}`);
+      // Validate everything exists and give each item a unique top-level name
+      const items = [];
+      const usedNames = new Set();
+      for (const target of targets) {
+        if (!fs.existsSync(target.fullPath)) {
+          return sendError(res, 404, `File not found: ${path.basename(target.fullPath)}`);
         }
-        
-        fileDetails.push({
-          path: fullPath,
-          name: path.basename(fullPath),
-          size: stats.size
-        });
-      }
-      
-      // Set headers for the zip download
-      res.setHeader('Content-Type', 'application/zip');
-      res.setHeader('Content-Disposition', `attachment; filename="${archiveName}"`);
-      
-      // Create temporary directory for creating the archive
-      const tmpDir = path.join(os.tmpdir(), `download_${timestamp}`);
-      if (!fs.existsSync(tmpDir)) {
-        fs.mkdirSync(tmpDir, { recursive: true });
-      }
-      
-      // Path for the temporary zip file
-      const zipFilePath = path.join(tmpDir, archiveName);
-      
-      // Create a ZIP file using the archiver module or similar approach
-      // Since we're not using third-party packages, we'll implement a simple ZIP creation
-      
-      // Using Node.js child_process to leverage system zip command if available
-      const platform = process.platform;
-      let zipCommand;
-      
-      if (platform === 'win32') {
-        // On Windows, check if PowerShell is available for ZIP creation
-        zipCommand = `powershell -command "Compress-Archive -Path '${fileDetails.map(f => f.path.replace(/'/g, "''")).join("','")}'`;
-        zipCommand += ` -DestinationPath '${zipFilePath.replace(/'/g, "''")}'`;
-        zipCommand += ` -Force"`;
-      } else {
-        // On Unix-like systems (Linux, macOS), use the zip command
-        zipCommand = `zip -j "${zipFilePath}"`;
-        fileDetails.forEach(file => {
-          zipCommand += ` "${file.path.replace(/"/g, '\\"')}"`;
-        });
-      }
-      
-      // Execute the zip command
-      exec(zipCommand, (error, stdout, stderr) => {
-        if (error) {
-          console.error('Error creating ZIP archive:', error);
-          // Fallback to manual concatenation if zip command fails
-          return sendManualDownload(res, fileDetails);
+        const stats = fs.statSync(target.fullPath);
+        if (!stats.isFile() && !stats.isDirectory()) {
+          return sendError(res, 400, `Not a file or folder: ${path.basename(target.fullPath)}`);
         }
-        
-        // Stream the zip file to the client
-        const zipStream = fs.createReadStream(zipFilePath);
-        
-        zipStream.on('error', (err) => {
-          console.error('Error streaming ZIP file:', err);
-          if (!res.headersSent) {
-            sendError(res, 500, `Error streaming ZIP: ${err.message}`);
-          }
-        });
-        
-        zipStream.on('end', () => {
-          // Clean up the temporary file and directory
-          fs.unlink(zipFilePath, (err) => {
-            if (err) console.error('Failed to clean up ZIP file:', err);
-            
-            // Try to remove the temporary directory
-            try {
-              fs.rmdirSync(tmpDir);
-            } catch (e) {
-              console.error('Failed to clean up temporary directory:', e);
-            }
-          });
+        items.push({
+          ...target,
+          stats,
+          name: uniqueEntryName(path.basename(target.fullPath), usedNames)
         });
-        
-        // Pipe the ZIP file to the response
-        zipStream.pipe(res);
-      });
-      
-      // Function to handle manual download if zip command fails
-      function sendManualDownload(res, files) {
-        console.log('Falling back to manual file concatenation');
-        
-        // Signal the start of streaming
-        if (!res.headersSent) {
-          res.writeHead(200, {
-            'Content-Type': 'application/octet-stream',
-            'Content-Disposition': `attachment; filename="files_${timestamp}.dat"`
-          });
-        }
-        
-        // Process each file sequentially
-        let currentFileIndex = 0;
-        
-        const processNextFile = () => {
-          if (currentFileIndex >= files.length) {
-            // All files processed, end the response
-            return res.end();
-          }
-          
-          const fileInfo = files[currentFileIndex];
-          const readStream = fs.createReadStream(fileInfo.path);
-          
-          // Write file header with metadata
-          const headerStr = JSON.stringify({
-            name: fileInfo.name,
-            size: fileInfo.size,
-            index: currentFileIndex
-          });
-          const headerBuf = Buffer.from(headerStr);
-          const headerLenBuf = Buffer.alloc(4);
-          headerLenBuf.writeUInt32BE(headerBuf.length, 0);
-          
-          // Write header length and header
-          res.write(headerLenBuf);
-          res.write(headerBuf);
-          
-          // Stream the file content
-          readStream.on('data', chunk => res.write(chunk));
-          
-          readStream.on('end', () => {
-            currentFileIndex++;
-            processNextFile();
-          });
-          
-          readStream.on('error', err => {
-            console.error(`Error reading file ${fileInfo.name}:`, err);
-            currentFileIndex++;
-            processNextFile();
-          });
-        };
-        
-        // Start processing files
-        processNextFile();
       }
+
+      // A single folder is named after itself, anything else gets a timestamp
+      const archiveName = (items.length === 1 && items[0].stats.isDirectory())
+        ? `${items[0].name}${format.extension}`
+        : `download_${Date.now()}${format.extension}`;
+
+      await sendArchive(res, req.identity, items, { formatName, filter, archiveName, compression: query.compression });
     } catch (err) {
       console.error('Multi-download error:', err);
       sendError(res, 500, `Server error: ${err.message}`);
@@ -799,41 +2583,39 @@ const server = http.createServer(async (req, res) => {
   }
 
   // -------------------------------------------
-  // 12) Fallback: serve static from ./public
+  // 23) Fallback: serve static from ./public
   // -------------------------------------------
-  else if (req.method === 'GET') {
-    let filePath = '.' + pathname;
-    if (filePath === './') {
-      filePath = './public/index.html';
-    } else if (!filePath.startsWith('./public')) {
-      filePath = './public' + pathname;
+  else if (req.method === 'GET' || req.method === 'HEAD') {
+    let filePath = path.join(PUBLIC_DIR, pathname.replace(/^\/public(?=\/|$)/, ''));
+    if (filePath === PUBLIC_DIR || filePath === PUBLIC_DIR + path.sep) {
+      filePath = path.join(PUBLIC_DIR, 'index.html');
+    }
+    if (!filePath.startsWith(PUBLIC_DIR + path.sep)) {
+      return sendError(res, 403, 'Access denied', 'Path is outside the public folder');
+    }
+    try {
+      if (!(await fs.promises.stat(filePath)).isFile()) {
+        res.writeHead(404);
+        return res.end('Not found');
+      }
+      // Our own files are UTF-8
+      const type = mime.contentTypeFor(filePath);
+      const contentType = mime.isText(type) ? `${type}; charset=utf-8` : type;
+
+      // Revalidate every time; unchanged files come back as a cheap 304
+      await sendFile(req, res, filePath, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        res.writeHead(404);
+        return res.end('Not found');
+      }
+      res.writeHead(500);
+      res.end('Server error');
     }
-    fs.readFile(filePath, (err, data) => {
-      if (err) {
-        if (err.code === 'ENOENT') {
-          res.writeHead(404);
-          return res.end('Not found');
-        }
-        res.writeHead(500);
-        return res.end('Server error');
-      }
-      // Basic content type detection
-      let contentType = 'text/html';
-      const ext = path.extname(filePath).toLowerCase();
-      if (ext === '.js') contentType = 'text/javascript';
-      else if (ext === '.css') contentType = 'text/css';
-      else if (ext === '.json') contentType = 'application/json';
-      else if (ext === '.png') contentType = 'image/png';
-      else if (ext === '.jpg' || ext === '.jpeg') contentType = 'image/jpeg';
-      else if (ext === '.svg') contentType = 'image/svg+xml';
-
-      res.writeHead(200, { 'Content-Type': contentType });
-      res.end(data);
-    });
   }
 
   // -------------------------------------------
-  // 13) 404 Not Found
+  // 24) 404 Not Found
   // -------------------------------------------
   else {
     res.writeHead(404);
@@ -844,13 +2626,10 @@ const server = http.createServer(async (req, res) => {
 // Graceful shutdown
 process.on('SIGINT', () => {
   for (const [fileId, upload] of uploadTracker) {
-    if (upload.writeStream) {
-      upload.writeStream.end();
-    }
+    closeUploadFile(upload);
     clearTimeout(upload.timeout);
   }
-  uploadTracker.clear();
-  uploadErrors.clear();
+  // Sessions and errors stay journaled on disk and resume on the next start
   process.exit(0);
 });
 
@@ -859,22 +2638,3 @@ const PORT = process.env.PORT || 4000;
 server.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}/`);
 });
-
-// Helper function to identify file types based on extension
-function getFileType(extension) {
-  const imageTypes = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'tiff', 'ico'];
-  const docTypes = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'rtf', 'csv', 'md', 'json'];
-  const archiveTypes = ['zip', 'rar', '7z', 'tar', 'gz', 'bz2'];
-  const audioTypes = ['mp3', 'wav', 'ogg', 'flac', 'aac', 'm4a'];
-  const videoTypes = ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm', 'mkv'];
-  const codeTypes = ['js', 'ts', 'html', 'css', 'scss', 'php', 'py', 'java', 'c', 'cpp', 'h', 'cs', 'rb', 'go', 'rs'];
-  
-  if (imageTypes.includes(extension)) return 'image';
-  if (docTypes.includes(extension)) return 'document';
-  if (archiveTypes.includes(extension)) return 'archive';
-  if (audioTypes.includes(extension)) return 'audio';
-  if (videoTypes.includes(extension)) return 'video';
-  if (codeTypes.includes(extension)) return 'code';
-  
-  return 'other';
-}